@@ -0,0 +1,46 @@
+/**
+ * Bid increment rules
+ * A rule is either a fixed step ({ mode: 'fixed', amount }) or a tiered table by
+ * current price band ({ mode: 'tiered', tiers: [{ upTo, increment }] }), where each
+ * tier applies to prices below its upTo and a tier without upTo covers the rest.
+ * Auctions without their own pricing.bidIncrement use their category's default,
+ * then the platform default table.
+ */
+
+// Platform default table
+export const DEFAULT_BID_INCREMENT_RULE = {
+    mode: 'tiered',
+    tiers: [
+        { upTo: 1, increment: 0.05 },
+        { upTo: 5, increment: 0.25 },
+        { upTo: 25, increment: 0.5 },
+        { upTo: 100, increment: 1 },
+        { upTo: 250, increment: 2.5 },
+        { upTo: 500, increment: 5 },
+        { upTo: 1000, increment: 10 },
+        { upTo: 2500, increment: 25 },
+        { upTo: 5000, increment: 50 },
+        { increment: 100 }
+    ]
+};
+
+// Category defaults (keys are lower-case category names)
+export const CATEGORY_BID_INCREMENT_RULES = {
+    vehicles: {
+        mode: 'tiered',
+        tiers: [
+            { upTo: 1000, increment: 25 },
+            { upTo: 10000, increment: 100 },
+            { increment: 250 }
+        ]
+    },
+    'real-estate': {
+        mode: 'fixed',
+        amount: 1000
+    }
+};
+
+export default {
+    DEFAULT_BID_INCREMENT_RULE,
+    CATEGORY_BID_INCREMENT_RULES
+};
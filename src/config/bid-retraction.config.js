@@ -0,0 +1,40 @@
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+
+/**
+ * Bid retraction rules
+ * A bid can only be withdrawn shortly after it was placed, while the auction
+ * still has plenty of time left, and with one of the accepted reason codes.
+ * Bidders who retract more than the limit within the lookback period are
+ * flagged for admin review.
+ */
+
+// How long after placing a bid it can still be retracted
+export const RETRACTION_WINDOW_MINUTES = parseFloat(process.env.BID_RETRACTION_WINDOW_MINUTES ?? 60);
+
+// Minimum time the auction must still have left
+export const RETRACTION_MIN_HOURS_LEFT = parseFloat(process.env.BID_RETRACTION_MIN_HOURS_LEFT ?? 12);
+
+// Retractions allowed per bidder within the lookback period before flagging
+export const RETRACTION_FLAG_LIMIT = parseInt(process.env.BID_RETRACTION_FLAG_LIMIT ?? 3);
+export const RETRACTION_LOOKBACK_DAYS = parseInt(process.env.BID_RETRACTION_LOOKBACK_DAYS ?? 30);
+
+// Risk score given to bids flagged for excessive retractions
+export const RETRACTION_FLAG_RISK_SCORE = 0.6;
+
+// Accepted reason codes
+export const RETRACTION_REASON_CODES = [
+    'entered_wrong_amount',
+    'item_description_changed',
+    'seller_unreachable'
+];
+
+export default {
+    RETRACTION_WINDOW_MINUTES,
+    RETRACTION_MIN_HOURS_LEFT,
+    RETRACTION_FLAG_LIMIT,
+    RETRACTION_LOOKBACK_DAYS,
+    RETRACTION_FLAG_RISK_SCORE,
+    RETRACTION_REASON_CODES
+};
@@ -0,0 +1,20 @@
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+
+/**
+ * Escrow ledger settings
+ * The platform keeps a percentage of every completed sale; the rest is held
+ * in escrow for the seller until the buyer confirms delivery.
+ */
+
+// Platform fee taken from each sale, in percent of the sale amount
+export const PLATFORM_FEE_PERCENT = parseFloat(process.env.PLATFORM_FEE_PERCENT ?? 5);
+
+// Smallest amount a seller can request as a payout
+export const MIN_PAYOUT_AMOUNT = parseFloat(process.env.MIN_PAYOUT_AMOUNT ?? 1);
+
+export default {
+    PLATFORM_FEE_PERCENT,
+    MIN_PAYOUT_AMOUNT
+};
@@ -138,4 +138,37 @@ export const auctionExpirationQueue = createQueue('auction-expiration', {
     }
 });
 
+// Payment Deadline Queue
+export const paymentDeadlineQueue = createQueue('payment-deadlines', {
+    defaultJobOptions: {
+        attempts: 3,
+        backoff: {
+            type: 'exponential',
+            delay: 5000
+        }
+    }
+});
+
+// Auction Reminder Queue
+export const auctionReminderQueue = createQueue('auction-reminders', {
+    defaultJobOptions: {
+        attempts: 2,
+        backoff: {
+            type: 'fixed',
+            delay: 5000
+        }
+    }
+});
+
+// Auction Start Queue
+export const auctionStartQueue = createQueue('auction-start', {
+    defaultJobOptions: {
+        attempts: 3,
+        backoff: {
+            type: 'exponential',
+            delay: 1000
+        }
+    }
+});
+
 logger.info('All queues initialized successfully');
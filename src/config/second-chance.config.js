@@ -0,0 +1,21 @@
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+
+/**
+ * Non-payment and second-chance offer rules
+ * A winner who has not paid within the deadline gets an unpaid strike and
+ * loses the item; the seller can then offer it to the next-highest bidder
+ * at that bidder's own amount.
+ */
+
+// How long a winner has to pay after the auction closes
+export const PAYMENT_DEADLINE_HOURS = parseFloat(process.env.PAYMENT_DEADLINE_HOURS ?? 48);
+
+// How long a second-chance offer stays open
+export const SECOND_CHANCE_OFFER_HOURS = parseFloat(process.env.SECOND_CHANCE_OFFER_HOURS ?? 48);
+
+export default {
+    PAYMENT_DEADLINE_HOURS,
+    SECOND_CHANCE_OFFER_HOURS
+};
@@ -4,10 +4,84 @@ import { createClient } from 'redis';
 import jwt from 'jsonwebtoken';
 import logger from './logger.js';
 import prometheusMetrics from '../services/prometheus-metrics.service.js';
+import eventLogService from '../services/event-log.service.js';
+import presenceService from '../services/presence.service.js';
+import auctionClockService from '../services/auction-clock.service.js';
 import { configDotenv } from 'dotenv';
 
 configDotenv();
 
+/**
+ * Room every socket of a user joins, used for per-user pushes
+ * @param {string} userId - User ID
+ * @returns {string} - Room name
+ */
+export const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Join a socket to its user's room and handle missed-event replay
+ * A reconnecting client sends `resume` with the last sequence it processed
+ * (or nothing, to use the last one it acknowledged) and receives every
+ * logged event after it, each with its `seq`, before the ack is returned
+ * @param {Object} socket - Authenticated socket
+ */
+const registerUserChannel = (socket) => {
+    socket.join(userRoom(socket.userId));
+
+    socket.on('resume', async (payload = {}, ack) => {
+        const respond = typeof ack === 'function' ? ack : (data) => socket.emit('resume:complete', data);
+
+        try {
+            const requestedSeq = Number(payload?.lastSeq);
+            const lastSeq = Number.isInteger(requestedSeq) && requestedSeq >= 0
+                ? requestedSeq
+                : await eventLogService.getAcknowledged(userRoom(socket.userId));
+
+            const { events, latestSeq, complete } = await eventLogService.getSince(userRoom(socket.userId), lastSeq);
+
+            for (const entry of events) {
+                socket.emit(entry.event, { ...entry.data, seq: entry.seq });
+            }
+
+            logger.info(`Replayed ${events.length} events to user ${socket.userId} after seq ${lastSeq}`);
+            respond({ success: true, replayed: events.length, latestSeq, complete });
+        } catch (error) {
+            logger.error(`Error resuming events for user ${socket.userId}:`, error.message);
+            respond({ success: false, error: { code: 'RESUME_FAILED', message: 'Failed to replay missed events' } });
+        }
+    });
+
+    // Client confirms it has processed every event up to seq
+    socket.on('events:ack', async (payload = {}) => {
+        const seq = Number(payload?.seq);
+        if (!Number.isInteger(seq) || seq < 1) {
+            return;
+        }
+
+        try {
+            await eventLogService.acknowledge(userRoom(socket.userId), seq);
+        } catch (error) {
+            logger.error(`Error acknowledging events for user ${socket.userId}:`, error.message);
+        }
+    });
+};
+
+/**
+ * Answer time:sync pings so clients can correct their clock offset
+ * @param {Object} socket - Connected socket
+ */
+const registerTimeSync = (socket) => {
+    socket.on('time:sync', (payload, ack) => {
+        const response = auctionClockService.buildTimeSync(payload, Date.now());
+
+        if (typeof ack === 'function') {
+            ack(response);
+        } else {
+            socket.emit('time:sync', response);
+        }
+    });
+};
+
 /**
  * Initialize Socket.IO server with authentication and Redis adapter
  * @param {Object} httpServer - HTTP server instance
@@ -67,6 +141,7 @@ export const initializeSocketIO = async (httpServer) => {
                 socket.userId = decoded.id;
                 socket.userEmail = decoded.email;
                 socket.userRole = decoded.role;
+                socket.tokenClaims = decoded;
 
                 logger.info(`Socket authenticated: ${socket.id} for user ${socket.userId}`);
                 next();
@@ -95,6 +170,9 @@ export const initializeSocketIO = async (httpServer) => {
                 socket.userId = decoded.id;
                 socket.userEmail = decoded.email;
                 socket.userRole = decoded.role;
+                socket.tokenClaims = decoded;
+                // Visible to other instances through fetchSockets (presence counts)
+                socket.data.userId = decoded.id;
 
                 logger.info(`Auctions namespace socket authenticated: ${socket.id} for user ${socket.userId}`);
                 next();
@@ -112,11 +190,16 @@ export const initializeSocketIO = async (httpServer) => {
             const connectionCount = auctionsNamespace.sockets.size;
             prometheusMetrics.updateWebSocketConnections(connectionCount);
 
+            // Join the user's own room for personal events
+            registerUserChannel(socket);
+            registerTimeSync(socket);
+
             // Join auction room
             socket.on('join:auction', (auctionId) => {
                 try {
                     socket.join(`auction:${auctionId}`);
                     logger.info(`User ${socket.userId} joined auction room: ${auctionId}`);
+                    presenceService.scheduleUpdate(auctionsNamespace, auctionId);
                     
                     // Notify user they joined successfully
                     socket.emit('joined:auction', {
@@ -134,6 +217,7 @@ export const initializeSocketIO = async (httpServer) => {
                 try {
                     socket.leave(`auction:${auctionId}`);
                     logger.info(`User ${socket.userId} left auction room: ${auctionId}`);
+                    presenceService.scheduleUpdate(auctionsNamespace, auctionId);
                     
                     // Notify user they left successfully
                     socket.emit('left:auction', {
@@ -145,6 +229,32 @@ export const initializeSocketIO = async (httpServer) => {
                 }
             });
 
+            // Place a bid; the ack receives the accepted bid or a typed error code
+            socket.on('bid:place', async (payload, ack) => {
+                const respond = typeof ack === 'function' ? ack : (data) => socket.emit('bid:placed', data);
+
+                try {
+                    // Loaded lazily: the bid controller pulls in services that import this module
+                    const { placeBidOverSocket } = await import('../controllers/bid.controller.js');
+                    respond(await placeBidOverSocket(socket, payload));
+                } catch (error) {
+                    logger.error(`Error placing bid over socket for user ${socket.userId}:`, error.message);
+                    respond({
+                        success: false,
+                        error: { code: 'INTERNAL_SERVER_ERROR', message: 'An error occurred while placing the bid' }
+                    });
+                }
+            });
+
+            // Rooms are still known while disconnecting; refresh presence for each auction
+            socket.on('disconnecting', () => {
+                for (const room of socket.rooms) {
+                    if (room.startsWith('auction:')) {
+                        presenceService.scheduleUpdate(auctionsNamespace, room.slice('auction:'.length));
+                    }
+                }
+            });
+
             // Handle disconnection
             socket.on('disconnect', (reason) => {
                 logger.info(`Client disconnected from auctions namespace: ${socket.id} (reason: ${reason})`);
@@ -164,6 +274,10 @@ export const initializeSocketIO = async (httpServer) => {
         io.on('connection', (socket) => {
             logger.info(`Client connected: ${socket.id} (user: ${socket.userId})`);
 
+            // Join the user's own room for personal events
+            registerUserChannel(socket);
+            registerTimeSync(socket);
+
             // Handle disconnection
             socket.on('disconnect', (reason) => {
                 logger.info(`Client disconnected: ${socket.id} (reason: ${reason})`);
@@ -202,7 +316,8 @@ export const emitToAuctionRoom = (io, auctionId, event, data) => {
 };
 
 /**
- * Emit event to specific user
+ * Emit event to specific user on every namespace they are connected to
+ * Clients connected to both namespaces can drop repeats by `seq`
  * @param {Object} io - Socket.IO server instance
  * @param {string} userId - User ID
  * @param {string} event - Event name
@@ -210,7 +325,8 @@ export const emitToAuctionRoom = (io, auctionId, event, data) => {
  */
 export const emitToUser = (io, userId, event, data) => {
     try {
-        io.to(userId).emit(event, data);
+        io.to(userRoom(userId)).emit(event, data);
+        io.of('/auctions').to(userRoom(userId)).emit(event, data);
         logger.info(`Event ${event} emitted to user ${userId}`);
     } catch (error) {
         logger.error(`Error emitting to user ${userId}:`, error.message);
@@ -236,5 +352,6 @@ export default {
     initializeSocketIO,
     emitToAuctionRoom,
     emitToUser,
-    broadcastEvent
+    broadcastEvent,
+    userRoom
 };
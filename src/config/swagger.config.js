@@ -250,7 +250,7 @@ const options = {
                         },
                         type: {
                             type: 'string',
-                            enum: ['bid_outbid', 'bid_won', 'auction_ended', 'payment_received', 'system'],
+                            enum: ['bid_outbid', 'bid_won', 'auction_ended', 'payment_received', 'payment_overdue', 'second_chance_available', 'second_chance_offer', 'second_chance_response', 'watchlist_price_change', 'watchlist_ending_soon', 'auction_ending_soon', 'auction_cancelled', 'system'],
                             example: 'bid_outbid',
                         },
                         title: {
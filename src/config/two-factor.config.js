@@ -0,0 +1,33 @@
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+
+/**
+ * Two-factor authentication (TOTP) settings
+ * Login with 2FA enabled is two steps: the password returns a short-lived
+ * challenge token, which is exchanged with a TOTP or recovery code for the
+ * real session tokens.
+ */
+
+// Name shown in authenticator apps next to the account
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER ?? 'AI Auction';
+
+// How long the second login step may take after the password was accepted
+export const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL ?? '5m';
+
+// Wrong codes allowed at the second login step before the user is locked out
+export const TWO_FACTOR_MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS ?? 5, 10);
+
+// How long a lockout lasts; outlives every challenge issued before it
+export const TWO_FACTOR_LOCKOUT_SECONDS = parseInt(process.env.TWO_FACTOR_LOCKOUT_SECONDS ?? 15 * 60, 10);
+
+// Number of one-time recovery codes issued at a time
+export const RECOVERY_CODE_COUNT = parseInt(process.env.TWO_FACTOR_RECOVERY_CODE_COUNT ?? 10, 10);
+
+export default {
+    TWO_FACTOR_ISSUER,
+    TWO_FACTOR_CHALLENGE_TTL,
+    TWO_FACTOR_MAX_ATTEMPTS,
+    TWO_FACTOR_LOCKOUT_SECONDS,
+    RECOVERY_CODE_COUNT
+};
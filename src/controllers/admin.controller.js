@@ -0,0 +1,527 @@
+import adminService from '../services/admin.service.js';
+import fraudCaseService from '../services/fraud-case.service.js';
+import shillDetectionService from '../services/shill-detection.service.js';
+import logger from '../config/logger.js';
+
+// Error mapping shared by the fraud case endpoints
+const FRAUD_CASE_ERRORS = {
+    'FRAUD_CASE_NOT_FOUND': { status: 404, message: 'Fraud case not found' },
+    'FRAUD_CASE_CLOSED': { status: 400, message: 'Fraud case is already confirmed or dismissed' },
+    'FRAUD_CASE_CONFLICT': { status: 409, message: 'Fraud case was changed by someone else, please reload it' },
+    'INVALID_CASE_TRANSITION': { status: 400, message: 'Fraud case cannot move to that status' },
+    'ASSIGNEE_NOT_ADMIN': { status: 400, message: 'Fraud cases can only be assigned to admins' },
+    'BID_NOT_FOUND': { status: 404, message: 'Bid not found' },
+    'BID_NOT_VOIDABLE': { status: 400, message: 'Only active or outbid bids can be voided' },
+    'AUCTION_NOT_ACTIVE': { status: 422, message: 'Bids can only be voided while the auction is active' },
+    'AUCTION_BUSY': { status: 409, message: 'Auction is processing other bids, please try again' },
+    'CANNOT_MODERATE_SELF': { status: 400, message: 'You cannot suspend or ban your own account' },
+    'CANNOT_MODERATE_ADMIN': { status: 403, message: 'Admin accounts cannot be suspended or banned' },
+    'USER_NOT_FOUND': { status: 404, message: 'User not found' }
+};
+
+/**
+ * Send the error response for a fraud case endpoint
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendFraudCaseError = (req, res, error, fallbackMessage) => {
+    const errorResponse = FRAUD_CASE_ERRORS[error.message];
+
+    res.status(errorResponse ? errorResponse.status : 500).json({
+        success: false,
+        error: {
+            code: errorResponse ? error.message : 'INTERNAL_SERVER_ERROR',
+            message: errorResponse ? errorResponse.message : fallbackMessage,
+            timestamp: new Date().toISOString(),
+            path: req.path
+        }
+    });
+};
+
+/**
+ * Suspend a user until a given time
+ * POST /api/v1/admin/users/:id/suspend
+ */
+export const suspendUser = async (req, res) => {
+    try {
+        const { reason, expiresAt } = req.body;
+        
+        const result = await adminService.restrictUser(req.user.id, req.params.id, {
+            status: 'suspended',
+            reason,
+            expiresAt
+        }, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'User suspended'
+        });
+    } catch (error) {
+        logger.error('Suspend user controller error:', error);
+        
+        if (error.message === 'CANNOT_MODERATE_SELF') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'CANNOT_MODERATE_SELF',
+                    message: 'You cannot suspend or ban your own account',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'CANNOT_MODERATE_ADMIN') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'CANNOT_MODERATE_ADMIN',
+                    message: 'Admin accounts cannot be suspended or banned',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while suspending the user',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Ban a user (indefinitely unless an expiry is given)
+ * POST /api/v1/admin/users/:id/ban
+ */
+export const banUser = async (req, res) => {
+    try {
+        const { reason, expiresAt } = req.body;
+        
+        const result = await adminService.restrictUser(req.user.id, req.params.id, {
+            status: 'banned',
+            reason,
+            expiresAt
+        }, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'User banned'
+        });
+    } catch (error) {
+        logger.error('Ban user controller error:', error);
+        
+        if (error.message === 'CANNOT_MODERATE_SELF') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'CANNOT_MODERATE_SELF',
+                    message: 'You cannot suspend or ban your own account',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'CANNOT_MODERATE_ADMIN') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'CANNOT_MODERATE_ADMIN',
+                    message: 'Admin accounts cannot be suspended or banned',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while banning the user',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Lift a user's suspension or ban
+ * POST /api/v1/admin/users/:id/unban
+ */
+export const unbanUser = async (req, res) => {
+    try {
+        const result = await adminService.liftRestriction(req.user.id, req.params.id, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'User restriction lifted'
+        });
+    } catch (error) {
+        logger.error('Unban user controller error:', error);
+        
+        if (error.message === 'USER_NOT_RESTRICTED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_RESTRICTED',
+                    message: 'User is not suspended or banned',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while lifting the user restriction',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Force-cancel an auction
+ * POST /api/v1/admin/auctions/:id/cancel
+ */
+export const cancelAuction = async (req, res) => {
+    try {
+        const result = await adminService.removeAuction(req.user.id, req.params.id, req.body.reason, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Auction cancelled'
+        });
+    } catch (error) {
+        logger.error('Cancel auction controller error:', error);
+        
+        if (error.message === 'AUCTION_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'AUCTION_NOT_FOUND',
+                    message: 'Auction not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'AUCTION_NOT_CANCELLABLE') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'AUCTION_NOT_CANCELLABLE',
+                    message: 'Only draft or active auctions can be cancelled',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'AUCTION_BUSY') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'AUCTION_BUSY',
+                    message: 'Auction is busy, please try again',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while cancelling the auction',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * List bids flagged by fraud analysis
+ * GET /api/v1/admin/bids/flagged
+ */
+export const getFlaggedBids = async (req, res) => {
+    try {
+        const { limit, minRiskScore } = req.query;
+        
+        const bids = await adminService.getFlaggedBids({ limit, minRiskScore });
+        
+        res.status(200).json({
+            success: true,
+            data: bids
+        });
+    } catch (error) {
+        logger.error('Get flagged bids controller error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while retrieving flagged bids',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Get the shill-bidding report for a seller
+ * GET /api/v1/admin/sellers/:id/shill-report
+ */
+export const getShillReport = async (req, res) => {
+    try {
+        const report = await shillDetectionService.getSellerReport(req.params.id);
+        
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Get shill report controller error:', error);
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while building the shill report',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * List fraud cases, highest risk first
+ * GET /api/v1/admin/fraud-cases
+ */
+export const getFraudCases = async (req, res) => {
+    try {
+        const { status, assignedTo, page, limit } = req.query;
+        
+        const result = await fraudCaseService.listCases({ status, assignedTo, page, limit });
+        
+        res.status(200).json({
+            success: true,
+            data: result.cases,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error('Get fraud cases controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while retrieving fraud cases');
+    }
+};
+
+/**
+ * Get a fraud case
+ * GET /api/v1/admin/fraud-cases/:id
+ */
+export const getFraudCase = async (req, res) => {
+    try {
+        const fraudCase = await fraudCaseService.getCase(req.params.id);
+        
+        res.status(200).json({
+            success: true,
+            data: fraudCase
+        });
+    } catch (error) {
+        logger.error('Get fraud case controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while retrieving the fraud case');
+    }
+};
+
+/**
+ * Assign a fraud case (to the caller unless another admin is given)
+ * PUT /api/v1/admin/fraud-cases/:id/assign
+ */
+export const assignFraudCase = async (req, res) => {
+    try {
+        const assigneeId = req.body.assigneeId || req.user.id;
+        
+        const fraudCase = await fraudCaseService.assignCase(req.params.id, assigneeId, req.user.id, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: fraudCase,
+            message: 'Fraud case assigned'
+        });
+    } catch (error) {
+        logger.error('Assign fraud case controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while assigning the fraud case');
+    }
+};
+
+/**
+ * Change a fraud case's status
+ * PUT /api/v1/admin/fraud-cases/:id/status
+ */
+export const updateFraudCaseStatus = async (req, res) => {
+    try {
+        const fraudCase = await fraudCaseService.updateStatus(req.params.id, req.body.status, req.user.id, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: fraudCase,
+            message: `Fraud case marked ${fraudCase.status}`
+        });
+    } catch (error) {
+        logger.error('Update fraud case status controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while updating the fraud case');
+    }
+};
+
+/**
+ * Add a note to a fraud case
+ * POST /api/v1/admin/fraud-cases/:id/notes
+ */
+export const addFraudCaseNote = async (req, res) => {
+    try {
+        const fraudCase = await fraudCaseService.addNote(req.params.id, req.user.id, req.body.body);
+        
+        res.status(201).json({
+            success: true,
+            data: fraudCase,
+            message: 'Note added'
+        });
+    } catch (error) {
+        logger.error('Add fraud case note controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while adding the note');
+    }
+};
+
+/**
+ * Void the bid under review
+ * POST /api/v1/admin/fraud-cases/:id/void-bid
+ */
+export const voidFraudCaseBid = async (req, res) => {
+    try {
+        const result = await fraudCaseService.voidBid(req.params.id, req.user.id, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Bid voided and auction price recalculated'
+        });
+    } catch (error) {
+        logger.error('Void fraud case bid controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while voiding the bid');
+    }
+};
+
+/**
+ * Suspend the bidder under review
+ * POST /api/v1/admin/fraud-cases/:id/suspend-bidder
+ */
+export const suspendFraudCaseBidder = async (req, res) => {
+    try {
+        const { reason, expiresAt } = req.body;
+        
+        const result = await fraudCaseService.suspendBidder(req.params.id, req.user.id, { reason, expiresAt }, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Bidder suspended'
+        });
+    } catch (error) {
+        logger.error('Suspend fraud case bidder controller error:', error);
+        sendFraudCaseError(req, res, error, 'An error occurred while suspending the bidder');
+    }
+};
@@ -1,6 +1,7 @@
 import auctionRepository from '../repositories/auction.repository.js';
 import bidRepository from '../repositories/bid.repository.js';
 import realtimeService from '../services/realtime.service.js';
+import fraudCaseService from '../services/fraud-case.service.js';
 import logger from '../config/logger.js';
 
 /**
@@ -122,6 +123,11 @@ export const handleFraudAlert = async (req, res) => {
 
         logger.warn(`Fraud alert received for bid ${bidId}: risk=${riskScore}, flagged=${isFlagged}`);
 
+        // Queue flagged bids for admin review
+        if (isFlagged) {
+            await fraudCaseService.openCaseForBid(bid, riskScore, reasons || []);
+        }
+
         // If high risk, emit alert to admins
         if (isFlagged && realtimeService.isInitialized()) {
             realtimeService.emitFraudAlert(bid.auction, updatedBid, {
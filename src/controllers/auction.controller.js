@@ -1,5 +1,7 @@
 import auctionService from '../services/auction.service.js';
 import aiIntegrationService from '../services/ai-integration.service.js';
+import presenceService from '../services/presence.service.js';
+import sseService from '../services/sse.service.js';
 import logger from '../config/logger.js';
 import { sanitizeInput } from '../utils/validation.js';
 
@@ -16,6 +18,8 @@ export const createAuction = async (req, res) => {
             startingPrice,
             reservePrice,
             buyNowPrice,
+            bidIncrement,
+            softClose,
             startTime,
             endTime,
             status,
@@ -44,6 +48,8 @@ export const createAuction = async (req, res) => {
             startingPrice: parseFloat(startingPrice),
             reservePrice: reservePrice ? parseFloat(reservePrice) : undefined,
             buyNowPrice: buyNowPrice ? parseFloat(buyNowPrice) : undefined,
+            bidIncrement,
+            softClose,
             startTime: new Date(startTime),
             endTime: new Date(endTime),
             status: status || 'draft',
@@ -70,7 +76,8 @@ export const createAuction = async (req, res) => {
             'DURATION_MUST_BE_AT_LEAST_1_HOUR': { status: 400, code: 'INVALID_DURATION', message: 'Auction duration must be at least 1 hour' },
             'STARTING_PRICE_MUST_BE_POSITIVE': { status: 400, code: 'INVALID_PRICE', message: 'Starting price must be a positive number' },
             'RESERVE_PRICE_MUST_BE_GREATER_THAN_STARTING_PRICE': { status: 400, code: 'INVALID_PRICE', message: 'Reserve price must be greater than or equal to starting price' },
-            'BUY_NOW_PRICE_MUST_BE_GREATER_THAN_STARTING_PRICE': { status: 400, code: 'INVALID_PRICE', message: 'Buy now price must be greater than starting price' }
+            'BUY_NOW_PRICE_MUST_BE_GREATER_THAN_STARTING_PRICE': { status: 400, code: 'INVALID_PRICE', message: 'Buy now price must be greater than starting price' },
+            'INVALID_BID_INCREMENT': { status: 400, code: 'INVALID_BID_INCREMENT', message: 'Bid increment must be a fixed amount or a table of tiers with at most one open-ended tier' }
         };
 
         const errorResponse = errorResponses[error.message];
@@ -107,12 +114,18 @@ export const getAuctionById = async (req, res) => {
         const { id } = req.params;
         const incrementViews = req.query.incrementViews === 'true';
 
-        const auction = await auctionService.getAuctionById(id, incrementViews);
+        const [auction, presence] = await Promise.all([
+            auctionService.getAuctionById(id, incrementViews),
+            presenceService.getPresence(id)
+        ]);
 
         res.status(200).json({
             success: true,
             data: {
-                auction
+                auction: {
+                    ...auction,
+                    currentViewers: presence.viewers
+                }
             }
         });
     } catch (error) {
@@ -142,6 +155,48 @@ export const getAuctionById = async (req, res) => {
     }
 };
 
+/**
+ * Stream an auction's realtime events over Server-Sent Events
+ * GET /api/v1/auctions/:id/stream
+ */
+export const streamAuction = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await auctionService.getAuctionById(id);
+
+        await sseService.open(req, res, `auction:${id}`);
+    } catch (error) {
+        logger.error('Stream auction controller error:', error);
+
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        if (error.message === 'AUCTION_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'AUCTION_NOT_FOUND',
+                    message: 'Auction not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while opening the auction stream',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
 /**
  * List auctions with pagination
  * GET /api/v1/auctions
@@ -254,6 +309,8 @@ export const updateAuction = async (req, res) => {
         if (req.body.startingPrice !== undefined) updateData.startingPrice = parseFloat(req.body.startingPrice);
         if (req.body.reservePrice !== undefined) updateData.reservePrice = parseFloat(req.body.reservePrice);
         if (req.body.buyNowPrice !== undefined) updateData.buyNowPrice = parseFloat(req.body.buyNowPrice);
+        if (req.body.bidIncrement !== undefined) updateData.bidIncrement = req.body.bidIncrement;
+        if (req.body.softClose !== undefined) updateData.softClose = req.body.softClose;
         if (req.body.startTime) updateData.startTime = new Date(req.body.startTime);
         if (req.body.endTime) updateData.endTime = new Date(req.body.endTime);
         if (req.body.status) updateData.status = req.body.status;
@@ -276,7 +333,8 @@ export const updateAuction = async (req, res) => {
             'CANNOT_UPDATE_AUCTION_WITH_BIDS': { status: 422, code: 'AUCTION_HAS_BIDS', message: 'Cannot update auction that has bids' },
             'END_TIME_MUST_BE_AFTER_START_TIME': { status: 400, code: 'INVALID_TIMING', message: 'End time must be after start time' },
             'END_TIME_MUST_BE_IN_FUTURE': { status: 400, code: 'INVALID_TIMING', message: 'End time must be in the future' },
-            'STARTING_PRICE_MUST_BE_POSITIVE': { status: 400, code: 'INVALID_PRICE', message: 'Starting price must be a positive number' }
+            'STARTING_PRICE_MUST_BE_POSITIVE': { status: 400, code: 'INVALID_PRICE', message: 'Starting price must be a positive number' },
+            'INVALID_BID_INCREMENT': { status: 400, code: 'INVALID_BID_INCREMENT', message: 'Bid increment must be a fixed amount or a table of tiers with at most one open-ended tier' }
         };
 
         const errorResponse = errorResponses[error.message];
@@ -424,6 +482,158 @@ export const uploadImages = async (req, res) => {
     }
 };
 
+/**
+ * Buy an auction outright at its buy-now price
+ * POST /api/v1/auctions/:id/buy-now
+ */
+export const buyNow = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const result = await auctionService.buyNow(id, req.user.id, metadata);
+
+        res.status(201).json({
+            success: true,
+            data: result,
+            message: 'Auction purchased successfully'
+        });
+    } catch (error) {
+        logger.error('Buy now controller error:', error);
+
+        const errorResponses = {
+            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
+            'AUCTION_NOT_ACTIVE': { status: 422, code: 'AUCTION_NOT_ACTIVE', message: 'Auction is not active' },
+            'AUCTION_NOT_STARTED': { status: 422, code: 'AUCTION_NOT_STARTED', message: 'Auction has not started yet' },
+            'AUCTION_ENDED': { status: 422, code: 'AUCTION_ENDED', message: 'Auction has already ended' },
+            'SELLER_CANNOT_BID_ON_OWN_AUCTION': { status: 403, code: 'FORBIDDEN', message: 'Sellers cannot buy their own auctions' },
+            'BUY_NOW_NOT_AVAILABLE': { status: 422, code: 'BUY_NOW_NOT_AVAILABLE', message: 'This auction has no buy-now price' },
+            'BUY_NOW_DISABLED': { status: 422, code: 'BUY_NOW_DISABLED', message: 'Buy-now is no longer available because bidding has passed the threshold' },
+            'AUCTION_BUSY': { status: 409, code: 'AUCTION_BUSY', message: 'Auction is processing other bids, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while buying the auction',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Add auction to watchlist
+ * POST /api/v1/auctions/:id/watch
+ */
+export const watchAuction = async (req, res) => {
+    try {
+        const result = await auctionService.watchAuction(req.params.id, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Auction added to watchlist'
+        });
+    } catch (error) {
+        logger.error('Watch auction controller error:', error);
+
+        const errorResponses = {
+            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
+            'CANNOT_WATCH_OWN_AUCTION': { status: 422, code: 'CANNOT_WATCH_OWN_AUCTION', message: 'Sellers cannot watch their own auctions' },
+            'AUCTION_NOT_WATCHABLE': { status: 422, code: 'AUCTION_NOT_WATCHABLE', message: 'Only upcoming or active auctions can be watched' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while watching the auction',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Remove auction from watchlist
+ * DELETE /api/v1/auctions/:id/watch
+ */
+export const unwatchAuction = async (req, res) => {
+    try {
+        const result = await auctionService.unwatchAuction(req.params.id, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Auction removed from watchlist'
+        });
+    } catch (error) {
+        logger.error('Unwatch auction controller error:', error);
+
+        const errorResponses = {
+            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while unwatching the auction',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
 /**
  * Get AI-powered recommendations for user
  * GET /api/v1/auctions/recommendations
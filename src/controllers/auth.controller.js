@@ -1,4 +1,6 @@
 import authService from '../services/auth.service.js';
+import sessionService from '../services/session.service.js';
+import twoFactorService from '../services/two-factor.service.js';
 import logger from '../config/logger.js';
 import { validateRegistration, validateLogin, sanitizeInput } from '../utils/validation.js';
 
@@ -35,7 +37,10 @@ export const register = async (req, res) => {
         };
         
         // Register user
-        const result = await authService.register(sanitizedData);
+        const result = await authService.register(sanitizedData, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
         
         // Set refresh token in httpOnly cookie
         res.cookie('refreshToken', result.refreshToken, {
@@ -128,7 +133,22 @@ export const login = async (req, res) => {
         }
         
         // Login user
-        const result = await authService.login(email.toLowerCase(), password);
+        const result = await authService.login(email.toLowerCase(), password, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        // 2FA enabled: no tokens until the second step succeeds
+        if (result.twoFactorRequired) {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: result.challengeToken
+                },
+                message: 'Two-factor authentication code required'
+            });
+        }
         
         // Set refresh token in httpOnly cookie
         res.cookie('refreshToken', result.refreshToken, {
@@ -149,6 +169,30 @@ export const login = async (req, res) => {
     } catch (error) {
         logger.error('Login controller error:', error);
         
+        if (error.message === 'ACCOUNT_SUSPENDED') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'ACCOUNT_SUSPENDED',
+                    message: 'This account is suspended',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'ACCOUNT_BANNED') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'ACCOUNT_BANNED',
+                    message: 'This account has been banned',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
         if (error.message === 'INVALID_CREDENTIALS') {
             return res.status(401).json({
                 success: false,
@@ -173,6 +217,110 @@ export const login = async (req, res) => {
     }
 };
 
+/**
+ * Complete a 2FA login with the challenge token and a code
+ * POST /api/v1/auth/login/2fa
+ */
+export const loginTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        
+        const result = await authService.loginWithTwoFactor(challengeToken, code, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        // Set refresh token in httpOnly cookie
+        res.cookie('refreshToken', result.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                user: result.user,
+                accessToken: result.accessToken
+            },
+            message: 'Login successful'
+        });
+    } catch (error) {
+        logger.error('2FA login controller error:', error);
+        
+        if (error.message === 'ACCOUNT_SUSPENDED') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'ACCOUNT_SUSPENDED',
+                    message: 'This account is suspended',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'ACCOUNT_BANNED') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'ACCOUNT_BANNED',
+                    message: 'This account has been banned',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'INVALID_TWO_FACTOR_CHALLENGE') {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TWO_FACTOR_CHALLENGE',
+                    message: 'Login challenge is invalid or has expired, please log in again',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'INVALID_TWO_FACTOR_CODE') {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TWO_FACTOR_CODE',
+                    message: 'Invalid authentication or recovery code',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'TWO_FACTOR_LOCKED') {
+            return res.status(429).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_LOCKED',
+                    message: 'Too many invalid codes, please try again later',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred during login',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
 /**
  * Refresh access token
  * POST /api/v1/auth/refresh-token
@@ -194,13 +342,26 @@ export const refreshToken = async (req, res) => {
             });
         }
         
-        // Refresh token
-        const result = await authService.refreshToken(refreshToken);
+        // Refresh token (the presented token is rotated and stops working)
+        const result = await authService.refreshToken(refreshToken, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        // Set the rotated refresh token in httpOnly cookie
+        res.cookie('refreshToken', result.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        });
         
         res.status(200).json({
             success: true,
             data: {
-                accessToken: result.accessToken
+                accessToken: result.accessToken,
+                // Clients that sent the token in the body have no cookie to receive it
+                ...(req.cookies.refreshToken ? {} : { refreshToken: result.refreshToken })
             },
             message: 'Token refreshed successfully'
         });
@@ -231,6 +392,36 @@ export const refreshToken = async (req, res) => {
             });
         }
         
+        if (error.message === 'REFRESH_TOKEN_REUSED') {
+            res.clearCookie('refreshToken', {
+                httpOnly: true,
+                secure: process.env.NODE_ENV === 'production',
+                sameSite: 'strict'
+            });
+            
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'REFRESH_TOKEN_REUSED',
+                    message: 'Refresh token was already used, all sessions from this login have been signed out',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'REFRESH_TOKEN_REVOKED') {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'REFRESH_TOKEN_REVOKED',
+                    message: 'Refresh token is no longer valid, please log in again',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
         if (error.message === 'USER_NOT_FOUND') {
             return res.status(404).json({
                 success: false,
@@ -302,6 +493,9 @@ export const getCurrentUser = async (req, res) => {
  */
 export const logout = async (req, res) => {
     try {
+        // Revoke this device's refresh token
+        await authService.logout(req.user.id, req.user.sessionId, req.cookies.refreshToken || req.body?.refreshToken);
+        
         // Clear refresh token cookie
         res.clearCookie('refreshToken', {
             httpOnly: true,
@@ -329,3 +523,607 @@ export const logout = async (req, res) => {
         });
     }
 };
+
+/**
+ * Logout user from all devices
+ * POST /api/v1/auth/logout-all
+ */
+export const logoutAll = async (req, res) => {
+    try {
+        const result = await authService.logoutAll(req.user.id);
+        
+        // Clear refresh token cookie
+        res.clearCookie('refreshToken', {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict'
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                revokedSessions: result.revoked
+            },
+            message: result.message
+        });
+    } catch (error) {
+        logger.error('Logout-all controller error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred during logout',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * List the authenticated user's active sessions
+ * GET /api/v1/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                sessions
+            }
+        });
+    } catch (error) {
+        logger.error('Get sessions controller error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching sessions',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Revoke one of the authenticated user's sessions
+ * DELETE /api/v1/auth/sessions/:id
+ */
+export const revokeSession = async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.user.id, req.params.id);
+        
+        // Revoking the current session is a logout
+        if (req.user.sessionId && req.user.sessionId.toString() === req.params.id) {
+            res.clearCookie('refreshToken', {
+                httpOnly: true,
+                secure: process.env.NODE_ENV === 'production',
+                sameSite: 'strict'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        logger.error('Revoke session controller error:', error);
+        
+        if (error.message === 'SESSION_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'SESSION_NOT_FOUND',
+                    message: 'Session not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'SESSION_ALREADY_REVOKED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'SESSION_ALREADY_REVOKED',
+                    message: 'Session has already been revoked',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while revoking the session',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Request a password reset email
+ * POST /api/v1/auth/forgot-password
+ */
+export const forgotPassword = async (req, res) => {
+    try {
+        const result = await authService.requestPasswordReset(req.body.email.toLowerCase());
+        
+        // Picked up by the audit middleware
+        res.locals.auditUserId = result.userId;
+        
+        // Same response whether or not the email is registered
+        res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error('Forgot password controller error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while requesting a password reset',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Reset password with an emailed token
+ * POST /api/v1/auth/reset-password
+ */
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        const result = await authService.resetPassword(token, password);
+        
+        // Picked up by the audit middleware
+        res.locals.auditUserId = result.userId;
+        res.locals.auditEmail = result.email;
+        
+        // Every existing session is now invalid, including this browser's refresh cookie
+        res.clearCookie('refreshToken', {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict'
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successful, please log in with your new password'
+        });
+    } catch (error) {
+        logger.error('Reset password controller error:', error);
+        
+        if (error.message === 'INVALID_OR_EXPIRED_TOKEN') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_OR_EXPIRED_TOKEN',
+                    message: 'Password reset token is invalid or has expired',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'PASSWORD_TOO_SHORT') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'PASSWORD_TOO_SHORT',
+                    message: 'Password must be at least 8 characters long',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while resetting the password',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Verify email address with an emailed token
+ * POST /api/v1/auth/verify-email
+ */
+export const verifyEmail = async (req, res) => {
+    try {
+        const result = await authService.verifyEmail(req.body.token);
+        
+        res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error('Verify email controller error:', error);
+        
+        if (error.message === 'INVALID_OR_EXPIRED_TOKEN') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_OR_EXPIRED_TOKEN',
+                    message: 'Verification token is invalid or has expired',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while verifying the email address',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Resend the email verification link
+ * POST /api/v1/auth/resend-verification
+ */
+export const resendVerification = async (req, res) => {
+    try {
+        const result = await authService.resendVerificationEmail(req.user.id);
+        
+        res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error('Resend verification controller error:', error);
+        
+        if (error.message === 'EMAIL_ALREADY_VERIFIED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'EMAIL_ALREADY_VERIFIED',
+                    message: 'Email address is already verified',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while sending the verification email',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Start 2FA enrollment
+ * POST /api/v1/auth/2fa/enroll
+ */
+export const enrollTwoFactor = async (req, res) => {
+    try {
+        const result = await twoFactorService.enroll(req.user.id, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Scan the QR code with your authenticator app, then verify with a code'
+        });
+    } catch (error) {
+        logger.error('2FA enroll controller error:', error);
+        
+        if (error.message === 'TWO_FACTOR_ALREADY_ENABLED') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_ALREADY_ENABLED',
+                    message: 'Two-factor authentication is already enabled',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while starting two-factor enrollment',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Verify the first code and enable 2FA
+ * POST /api/v1/auth/2fa/verify
+ */
+export const verifyTwoFactor = async (req, res) => {
+    try {
+        const result = await twoFactorService.confirmEnrollment(req.user.id, req.body.code, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they are only shown once'
+        });
+    } catch (error) {
+        logger.error('2FA verify controller error:', error);
+        
+        if (error.message === 'TWO_FACTOR_ALREADY_ENABLED') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_ALREADY_ENABLED',
+                    message: 'Two-factor authentication is already enabled',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'TWO_FACTOR_NOT_ENROLLED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_NOT_ENROLLED',
+                    message: 'Start enrollment before verifying a code',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'INVALID_TWO_FACTOR_CODE') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TWO_FACTOR_CODE',
+                    message: 'Invalid authentication code',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while verifying two-factor authentication',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Disable 2FA
+ * POST /api/v1/auth/2fa/disable
+ */
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        
+        await twoFactorService.disable(req.user.id, password, code, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        logger.error('2FA disable controller error:', error);
+        
+        if (error.message === 'TWO_FACTOR_NOT_ENABLED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_NOT_ENABLED',
+                    message: 'Two-factor authentication is not enabled',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'TWO_FACTOR_REQUIRED') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_REQUIRED',
+                    message: 'Two-factor authentication is required for this account and cannot be disabled',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'INVALID_CREDENTIALS') {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_CREDENTIALS',
+                    message: 'Invalid password',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'INVALID_TWO_FACTOR_CODE') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TWO_FACTOR_CODE',
+                    message: 'Invalid authentication or recovery code',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while disabling two-factor authentication',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Replace the recovery codes
+ * POST /api/v1/auth/2fa/recovery-codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Recovery codes regenerated, previous codes no longer work'
+        });
+    } catch (error) {
+        logger.error('2FA recovery codes controller error:', error);
+        
+        if (error.message === 'TWO_FACTOR_NOT_ENABLED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'TWO_FACTOR_NOT_ENABLED',
+                    message: 'Two-factor authentication is not enabled',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'INVALID_TWO_FACTOR_CODE') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TWO_FACTOR_CODE',
+                    message: 'Invalid authentication or recovery code',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while regenerating recovery codes',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
@@ -1,5 +1,29 @@
+import { isValidObjectId } from 'mongoose';
 import bidService from '../services/bid.service.js';
+import proxyBidService from '../services/proxy-bid.service.js';
+import auditService from '../services/audit.service.js';
 import logger from '../config/logger.js';
+import { authenticateSocketUser } from '../middlewares/auth.middleware.js';
+import { checkBidPattern } from '../middlewares/audit.middleware.js';
+import { consumeUserRateLimit } from '../middlewares/rate-limit.middleware.js';
+import {
+    RETRACTION_WINDOW_MINUTES,
+    RETRACTION_MIN_HOURS_LEFT,
+    RETRACTION_REASON_CODES
+} from '../config/bid-retraction.config.js';
+
+// Error mapping shared by the HTTP and socket bid endpoints
+const PLACE_BID_ERRORS = {
+    'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
+    'AUCTION_NOT_ACTIVE': { status: 422, code: 'AUCTION_NOT_ACTIVE', message: 'Auction is not active' },
+    'AUCTION_NOT_STARTED': { status: 422, code: 'AUCTION_NOT_STARTED', message: 'Auction has not started yet' },
+    'AUCTION_ENDED': { status: 422, code: 'AUCTION_ENDED', message: 'Auction has already ended' },
+    'SELLER_CANNOT_BID_ON_OWN_AUCTION': { status: 403, code: 'FORBIDDEN', message: 'Sellers cannot bid on their own auctions' },
+    'BID_AMOUNT_TOO_LOW': { status: 422, code: 'BID_TOO_LOW', message: 'Bid amount must be at least the next minimum bid' },
+    'BID_AMOUNT_MUST_BE_POSITIVE': { status: 400, code: 'INVALID_BID_AMOUNT', message: 'Bid amount must be a positive number' },
+    'BID_AMOUNT_MUST_BE_HIGHER_THAN_CURRENT_BID': { status: 422, code: 'BID_TOO_LOW', message: 'Bid amount must be higher than the current highest bid' },
+    'AUCTION_BUSY': { status: 409, code: 'AUCTION_BUSY', message: 'Auction is processing other bids, please try again' }
+};
 
 /**
  * Place a new bid on an auction
@@ -60,24 +84,16 @@ export const placeBid = async (req, res) => {
     } catch (error) {
         logger.error('Place bid controller error:', error);
 
-        const errorResponses = {
-            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
-            'AUCTION_NOT_ACTIVE': { status: 422, code: 'AUCTION_NOT_ACTIVE', message: 'Auction is not active' },
-            'AUCTION_NOT_STARTED': { status: 422, code: 'AUCTION_NOT_STARTED', message: 'Auction has not started yet' },
-            'AUCTION_ENDED': { status: 422, code: 'AUCTION_ENDED', message: 'Auction has already ended' },
-            'SELLER_CANNOT_BID_ON_OWN_AUCTION': { status: 403, code: 'FORBIDDEN', message: 'Sellers cannot bid on their own auctions' },
-            'BID_AMOUNT_TOO_LOW': { status: 422, code: 'BID_TOO_LOW', message: 'Bid amount must be higher than the current price' },
-            'BID_AMOUNT_MUST_BE_POSITIVE': { status: 400, code: 'INVALID_BID_AMOUNT', message: 'Bid amount must be a positive number' },
-            'BID_AMOUNT_MUST_BE_HIGHER_THAN_CURRENT_BID': { status: 422, code: 'BID_TOO_LOW', message: 'Bid amount must be higher than the current highest bid' }
-        };
-
-        const errorResponse = errorResponses[error.message];
+        const errorResponse = PLACE_BID_ERRORS[error.message];
         if (errorResponse) {
             return res.status(errorResponse.status).json({
                 success: false,
                 error: {
                     code: errorResponse.code,
                     message: errorResponse.message,
+                    ...(error.nextMinimumBid !== undefined && {
+                        details: { nextMinimumBid: error.nextMinimumBid }
+                    }),
                     timestamp: new Date().toISOString(),
                     path: req.path
                 }
@@ -96,6 +112,116 @@ export const placeBid = async (req, res) => {
     }
 };
 
+/**
+ * Place a bid from the /auctions socket namespace
+ * Applies the same checks as POST /api/v1/bids: a current session, verified
+ * email, the per-user rate limit (one bucket shared with that route), the bid
+ * pattern audit and BID_PLACE logging
+ * socket event: bid:place ({ auctionId, amount }, ack)
+ * @param {Object} socket - Authenticated socket
+ * @param {Object} payload - Bid data
+ * @returns {Promise<Object>} - Ack body ({ success, data } or { success: false, error })
+ */
+export const placeBidOverSocket = async (socket, payload = {}) => {
+    const path = '/auctions#bid:place';
+    const fail = (code, message, details) => ({
+        success: false,
+        error: {
+            code,
+            message,
+            ...(details !== undefined && { details }),
+            timestamp: new Date().toISOString(),
+            path
+        }
+    });
+
+    const metadata = {
+        ipAddress: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent']
+    };
+    // Like the HTTP route, only requests that pass auth are recorded as BID_PLACE
+    let audited = false;
+    let bidId = null;
+
+    try {
+        const rateLimit = await consumeUserRateLimit(socket.userId);
+        if (!rateLimit.allowed) {
+            logger.warn('User rate limit exceeded', { userId: socket.userId, path });
+            return fail('USER_RATE_LIMIT_EXCEEDED', 'Too many requests from your account, please try again later');
+        }
+
+        const { user, error: authError } = await authenticateSocketUser(socket, path);
+        if (authError) {
+            return fail(authError.code, authError.message, authError.details);
+        }
+
+        if (!user.verified) {
+            logger.warn(`Unverified user ${user.email} attempted to bid over socket`);
+            return fail('EMAIL_NOT_VERIFIED', 'Please verify your email address before bidding or selling');
+        }
+
+        await checkBidPattern({ userId: user._id, ...metadata, path }).catch(error => {
+            logger.error('Error in bid pattern audit:', error);
+        });
+        audited = true;
+
+        const { auctionId, amount } = payload || {};
+
+        if (!auctionId || amount === undefined) {
+            return fail('VALIDATION_FAILED', 'Missing required fields', 'auctionId and amount are required');
+        }
+
+        if (!isValidObjectId(auctionId)) {
+            return fail('VALIDATION_FAILED', 'Invalid auction ID');
+        }
+
+        const bidAmount = parseFloat(amount);
+        if (isNaN(bidAmount) || bidAmount <= 0) {
+            return fail('INVALID_BID_AMOUNT', 'Bid amount must be a positive number');
+        }
+
+        const result = await bidService.placeBid({
+            auctionId,
+            amount: bidAmount,
+            // Bids from clients are always manual; auto and buy_now are set server-side
+            bidMethod: 'manual'
+        }, user._id, metadata);
+
+        bidId = result.bid?._id || null;
+
+        return {
+            success: true,
+            data: result,
+            message: 'Bid placed successfully'
+        };
+    } catch (error) {
+        logger.error('Place bid socket error:', error);
+
+        const errorResponse = PLACE_BID_ERRORS[error.message];
+        if (errorResponse) {
+            return fail(
+                errorResponse.code,
+                errorResponse.message,
+                error.nextMinimumBid !== undefined ? { nextMinimumBid: error.nextMinimumBid } : undefined
+            );
+        }
+
+        return fail('INTERNAL_SERVER_ERROR', 'An error occurred while placing the bid');
+    } finally {
+        if (audited) {
+            auditService.logResourceAccess({
+                userId: socket.userId,
+                action: 'BID_PLACE',
+                resourceType: 'bid',
+                resourceId: bidId,
+                ...metadata,
+                path,
+                success: bidId !== null
+            }).catch(err => logger.error('Failed to audit resource access:', err));
+        }
+    }
+};
+
 /**
  * Get bid history for an auction
  * GET /api/v1/bids/auction/:auctionId
@@ -278,7 +404,10 @@ export const getHighestBid = async (req, res) => {
     try {
         const { auctionId } = req.params;
 
-        const bid = await bidService.getHighestBid(auctionId);
+        const [bid, nextMinimumBid] = await Promise.all([
+            bidService.getHighestBid(auctionId),
+            bidService.getNextMinimumBid(auctionId)
+        ]);
 
         if (!bid) {
             return res.status(404).json({
@@ -286,6 +415,7 @@ export const getHighestBid = async (req, res) => {
                 error: {
                     code: 'NO_BIDS_FOUND',
                     message: 'No bids found for this auction',
+                    details: { nextMinimumBid },
                     timestamp: new Date().toISOString(),
                     path: req.path
                 }
@@ -295,12 +425,25 @@ export const getHighestBid = async (req, res) => {
         res.status(200).json({
             success: true,
             data: {
-                bid
+                bid,
+                nextMinimumBid
             }
         });
     } catch (error) {
         logger.error('Get highest bid controller error:', error);
 
+        if (error.message === 'AUCTION_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'AUCTION_NOT_FOUND',
+                    message: 'Auction not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: {
@@ -351,3 +494,251 @@ export const getMyBids = async (req, res) => {
         });
     }
 };
+
+/**
+ * Place or raise a proxy (automatic) bid with a hidden maximum
+ * POST /api/v1/bids/proxy
+ */
+export const placeProxyBid = async (req, res) => {
+    try {
+        const { auctionId, maxAmount } = req.body;
+
+        // Validate required fields
+        if (!auctionId || maxAmount === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_FAILED',
+                    message: 'Missing required fields',
+                    details: 'auctionId and maxAmount are required',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        // Validate max amount is a number
+        const proxyMaxAmount = parseFloat(maxAmount);
+        if (isNaN(proxyMaxAmount) || proxyMaxAmount <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_BID_AMOUNT',
+                    message: 'Maximum bid amount must be a positive number',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const result = await bidService.placeProxyBid(
+            { auctionId, maxAmount: proxyMaxAmount },
+            req.user.id,
+            metadata
+        );
+
+        res.status(201).json({
+            success: true,
+            data: result,
+            message: 'Proxy bid placed successfully'
+        });
+    } catch (error) {
+        logger.error('Place proxy bid controller error:', error);
+
+        const errorResponses = {
+            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
+            'AUCTION_NOT_ACTIVE': { status: 422, code: 'AUCTION_NOT_ACTIVE', message: 'Auction is not active' },
+            'AUCTION_NOT_STARTED': { status: 422, code: 'AUCTION_NOT_STARTED', message: 'Auction has not started yet' },
+            'AUCTION_ENDED': { status: 422, code: 'AUCTION_ENDED', message: 'Auction has already ended' },
+            'SELLER_CANNOT_BID_ON_OWN_AUCTION': { status: 403, code: 'FORBIDDEN', message: 'Sellers cannot bid on their own auctions' },
+            'MAX_BID_AMOUNT_TOO_LOW': { status: 422, code: 'BID_TOO_LOW', message: 'Maximum bid amount must be at least the next minimum bid' },
+            'MAX_BID_MUST_EXCEED_CURRENT_MAX': { status: 422, code: 'BID_TOO_LOW', message: 'Maximum bid amount must be higher than your current maximum' },
+            'AUCTION_BUSY': { status: 409, code: 'AUCTION_BUSY', message: 'Auction is processing other bids, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    ...(error.nextMinimumBid !== undefined && {
+                        details: { nextMinimumBid: error.nextMinimumBid }
+                    }),
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while placing the proxy bid',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Get authenticated user's proxy bid on an auction
+ * GET /api/v1/bids/proxy/auction/:auctionId
+ */
+export const getMyProxyBid = async (req, res) => {
+    try {
+        const { auctionId } = req.params;
+
+        const proxyBid = await proxyBidService.getProxyBid(auctionId, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                proxyBid
+            }
+        });
+    } catch (error) {
+        logger.error('Get proxy bid controller error:', error);
+
+        if (error.message === 'PROXY_BID_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'PROXY_BID_NOT_FOUND',
+                    message: 'No proxy bid found for this auction',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching the proxy bid',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Cancel authenticated user's proxy bid on an auction
+ * DELETE /api/v1/bids/proxy/auction/:auctionId
+ */
+export const cancelProxyBid = async (req, res) => {
+    try {
+        const { auctionId } = req.params;
+
+        const proxyBid = await proxyBidService.cancelProxyBid(auctionId, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                proxyBid
+            },
+            message: 'Proxy bid cancelled successfully'
+        });
+    } catch (error) {
+        logger.error('Cancel proxy bid controller error:', error);
+
+        if (error.message === 'PROXY_BID_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'PROXY_BID_NOT_FOUND',
+                    message: 'No active proxy bid found for this auction',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while cancelling the proxy bid',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Retract (withdraw) a bid
+ * POST /api/v1/bids/:id/retract
+ */
+export const retractBid = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reasonCode, explanation } = req.body;
+
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const result = await bidService.retractBid(
+            id,
+            req.user.id,
+            { reasonCode, explanation },
+            metadata
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: 'Bid retracted successfully'
+        });
+    } catch (error) {
+        logger.error('Retract bid controller error:', error);
+
+        const errorResponses = {
+            'BID_NOT_FOUND': { status: 404, code: 'BID_NOT_FOUND', message: 'Bid not found' },
+            'UNAUTHORIZED_NOT_BIDDER': { status: 403, code: 'FORBIDDEN', message: 'You can only retract your own bids' },
+            'INVALID_RETRACTION_REASON': { status: 400, code: 'INVALID_RETRACTION_REASON', message: `Reason code must be one of: ${RETRACTION_REASON_CODES.join(', ')}` },
+            'BID_NOT_RETRACTABLE': { status: 422, code: 'BID_NOT_RETRACTABLE', message: 'Only active or outbid bids can be retracted' },
+            'RETRACTION_WINDOW_EXPIRED': { status: 422, code: 'RETRACTION_WINDOW_EXPIRED', message: `Bids can only be retracted within ${RETRACTION_WINDOW_MINUTES} minutes of being placed` },
+            'AUCTION_NOT_ACTIVE': { status: 422, code: 'AUCTION_NOT_ACTIVE', message: 'Auction is not active' },
+            'AUCTION_ENDING_TOO_SOON': { status: 422, code: 'AUCTION_ENDING_TOO_SOON', message: `Bids cannot be retracted when the auction has ${RETRACTION_MIN_HOURS_LEFT} hours or less left` },
+            'AUCTION_BUSY': { status: 409, code: 'AUCTION_BUSY', message: 'Auction is processing other bids, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while retracting the bid',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
@@ -1,4 +1,5 @@
 import notificationService from '../services/notification.service.js';
+import sseService from '../services/sse.service.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
@@ -28,6 +29,15 @@ export const getNotifications = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Stream the authenticated user's notifications and personal events over Server-Sent Events
+ * @route GET /api/v1/notifications/stream
+ * @access Private
+ */
+export const streamNotifications = asyncHandler(async (req, res) => {
+    await sseService.open(req, res, `user:${req.user.id}`);
+});
+
 /**
  * Get unread notifications for the authenticated user
  * @route GET /api/v1/notifications/unread
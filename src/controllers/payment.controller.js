@@ -0,0 +1,286 @@
+import paymentService from '../services/payment.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * Initiate payment for a won auction
+ * POST /api/v1/payments
+ */
+export const initiatePayment = async (req, res) => {
+    try {
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const payment = await paymentService.initiatePayment(req.body.auctionId, req.user.id, metadata);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                payment
+            },
+            message: 'Payment initiated successfully'
+        });
+    } catch (error) {
+        logger.error('Initiate payment controller error:', error);
+
+        const errorResponses = {
+            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
+            'AUCTION_NOT_CLOSED': { status: 422, code: 'AUCTION_NOT_CLOSED', message: 'Auction has not closed yet' },
+            'NOT_AUCTION_WINNER': { status: 403, code: 'FORBIDDEN', message: 'Only the auction winner can pay for this auction' },
+            'AUCTION_ALREADY_PAID': { status: 409, code: 'AUCTION_ALREADY_PAID', message: 'This auction has already been paid for' },
+            'PAYMENT_BUSY': { status: 409, code: 'PAYMENT_BUSY', message: 'Payment is being processed, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while initiating the payment',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Confirm a pending payment
+ * POST /api/v1/payments/:id/confirm
+ */
+export const confirmPayment = async (req, res) => {
+    try {
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const payment = await paymentService.confirmPayment(
+            req.params.id,
+            req.user.id,
+            { paymentMethod: req.body.paymentMethod },
+            metadata
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payment
+            },
+            message: 'Payment confirmation processed'
+        });
+    } catch (error) {
+        logger.error('Confirm payment controller error:', error);
+
+        const errorResponses = {
+            'PAYMENT_NOT_FOUND': { status: 404, code: 'PAYMENT_NOT_FOUND', message: 'Payment not found' },
+            'UNAUTHORIZED_NOT_BUYER': { status: 403, code: 'FORBIDDEN', message: 'Only the buyer can confirm this payment' },
+            'PAYMENT_NOT_PENDING': { status: 422, code: 'PAYMENT_NOT_PENDING', message: 'Payment is not pending' },
+            'PAYMENT_BUSY': { status: 409, code: 'PAYMENT_BUSY', message: 'Payment is being processed, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while confirming the payment',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Refund a completed payment
+ * POST /api/v1/payments/:id/refund
+ */
+export const refundPayment = async (req, res) => {
+    try {
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const payment = await paymentService.refundPayment(
+            req.params.id,
+            req.user,
+            { amount: req.body.amount, reason: req.body.reason },
+            metadata
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payment
+            },
+            message: 'Payment refunded successfully'
+        });
+    } catch (error) {
+        logger.error('Refund payment controller error:', error);
+
+        const errorResponses = {
+            'PAYMENT_NOT_FOUND': { status: 404, code: 'PAYMENT_NOT_FOUND', message: 'Payment not found' },
+            'UNAUTHORIZED_NOT_SELLER': { status: 403, code: 'FORBIDDEN', message: 'Only the seller or an admin can refund this payment' },
+            'PAYMENT_NOT_COMPLETED': { status: 422, code: 'PAYMENT_NOT_COMPLETED', message: 'Only completed payments can be refunded' },
+            'INVALID_REFUND_AMOUNT': { status: 400, code: 'INVALID_REFUND_AMOUNT', message: 'Refund amount must be positive and no more than the amount paid' },
+            'PAYMENT_BUSY': { status: 409, code: 'PAYMENT_BUSY', message: 'Payment is being processed, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while refunding the payment',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Confirm delivery of a paid item and release escrow to the seller
+ * POST /api/v1/payments/:id/confirm-delivery
+ */
+export const confirmDelivery = async (req, res) => {
+    try {
+        // Capture request metadata
+        const metadata = {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        };
+
+        const payment = await paymentService.confirmDelivery(req.params.id, req.user.id, metadata);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payment
+            },
+            message: 'Delivery confirmed successfully'
+        });
+    } catch (error) {
+        logger.error('Confirm delivery controller error:', error);
+
+        const errorResponses = {
+            'PAYMENT_NOT_FOUND': { status: 404, code: 'PAYMENT_NOT_FOUND', message: 'Payment not found' },
+            'UNAUTHORIZED_NOT_BUYER': { status: 403, code: 'FORBIDDEN', message: 'Only the buyer can confirm delivery' },
+            'PAYMENT_NOT_COMPLETED': { status: 422, code: 'PAYMENT_NOT_COMPLETED', message: 'Payment has not been completed' },
+            'DELIVERY_ALREADY_CONFIRMED': { status: 409, code: 'DELIVERY_ALREADY_CONFIRMED', message: 'Delivery has already been confirmed' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while confirming delivery',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Get payment by ID
+ * GET /api/v1/payments/:id
+ */
+export const getPaymentById = async (req, res) => {
+    try {
+        const payment = await paymentService.getPaymentById(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payment
+            },
+            message: 'Payment retrieved successfully'
+        });
+    } catch (error) {
+        logger.error('Get payment controller error:', error);
+
+        const errorResponses = {
+            'PAYMENT_NOT_FOUND': { status: 404, code: 'PAYMENT_NOT_FOUND', message: 'Payment not found' },
+            'UNAUTHORIZED_ACCESS': { status: 403, code: 'FORBIDDEN', message: 'You are not authorized to view this payment' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching the payment',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
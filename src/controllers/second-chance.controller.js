@@ -0,0 +1,202 @@
+import secondChanceService from '../services/second-chance.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * Send a second-chance offer to the next-highest bidder
+ * POST /api/v1/second-chance-offers
+ */
+export const createOffer = async (req, res) => {
+    try {
+        const offer = await secondChanceService.createOffer(req.body.auctionId, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                offer
+            },
+            message: 'Second-chance offer sent successfully'
+        });
+    } catch (error) {
+        logger.error('Create second-chance offer controller error:', error);
+
+        const errorResponses = {
+            'AUCTION_NOT_FOUND': { status: 404, code: 'AUCTION_NOT_FOUND', message: 'Auction not found' },
+            'UNAUTHORIZED_NOT_SELLER': { status: 403, code: 'FORBIDDEN', message: 'Only the seller can send a second-chance offer' },
+            'AUCTION_NOT_CLOSED': { status: 422, code: 'AUCTION_NOT_CLOSED', message: 'Auction has not closed yet' },
+            'NO_UNPAID_WINNER': { status: 422, code: 'NO_UNPAID_WINNER', message: 'Second-chance offers can only be sent after the winner failed to pay' },
+            'OFFER_ALREADY_PENDING': { status: 409, code: 'OFFER_ALREADY_PENDING', message: 'A second-chance offer is already waiting for an answer' },
+            'NO_ELIGIBLE_BIDDER': { status: 422, code: 'NO_ELIGIBLE_BIDDER', message: 'There is no other bidder to offer this item to' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while sending the second-chance offer',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Get second-chance offer by ID
+ * GET /api/v1/second-chance-offers/:id
+ */
+export const getOfferById = async (req, res) => {
+    try {
+        const offer = await secondChanceService.getOfferById(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                offer
+            },
+            message: 'Second-chance offer retrieved successfully'
+        });
+    } catch (error) {
+        logger.error('Get second-chance offer controller error:', error);
+
+        const errorResponses = {
+            'OFFER_NOT_FOUND': { status: 404, code: 'OFFER_NOT_FOUND', message: 'Second-chance offer not found' },
+            'UNAUTHORIZED_ACCESS': { status: 403, code: 'FORBIDDEN', message: 'You are not authorized to view this offer' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching the second-chance offer',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Accept a second-chance offer
+ * POST /api/v1/second-chance-offers/:id/accept
+ */
+export const acceptOffer = async (req, res) => {
+    try {
+        const offer = await secondChanceService.acceptOffer(req.params.id, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                offer
+            },
+            message: 'Second-chance offer accepted - please proceed to payment'
+        });
+    } catch (error) {
+        logger.error('Accept second-chance offer controller error:', error);
+
+        const errorResponses = {
+            'OFFER_NOT_FOUND': { status: 404, code: 'OFFER_NOT_FOUND', message: 'Second-chance offer not found' },
+            'UNAUTHORIZED_NOT_BIDDER': { status: 403, code: 'FORBIDDEN', message: 'Only the offered bidder can answer this offer' },
+            'OFFER_NOT_PENDING': { status: 422, code: 'OFFER_NOT_PENDING', message: 'This offer has already been answered' },
+            'OFFER_EXPIRED': { status: 422, code: 'OFFER_EXPIRED', message: 'This offer has expired' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while accepting the second-chance offer',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Decline a second-chance offer
+ * POST /api/v1/second-chance-offers/:id/decline
+ */
+export const declineOffer = async (req, res) => {
+    try {
+        const offer = await secondChanceService.declineOffer(req.params.id, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                offer
+            },
+            message: 'Second-chance offer declined'
+        });
+    } catch (error) {
+        logger.error('Decline second-chance offer controller error:', error);
+
+        const errorResponses = {
+            'OFFER_NOT_FOUND': { status: 404, code: 'OFFER_NOT_FOUND', message: 'Second-chance offer not found' },
+            'UNAUTHORIZED_NOT_BIDDER': { status: 403, code: 'FORBIDDEN', message: 'Only the offered bidder can answer this offer' },
+            'OFFER_NOT_PENDING': { status: 422, code: 'OFFER_NOT_PENDING', message: 'This offer has already been answered' },
+            'OFFER_EXPIRED': { status: 422, code: 'OFFER_EXPIRED', message: 'This offer has expired' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while declining the second-chance offer',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
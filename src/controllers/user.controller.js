@@ -1,4 +1,7 @@
 import userService from '../services/user.service.js';
+import ledgerService from '../services/ledger.service.js';
+import auctionService from '../services/auction.service.js';
+import twoFactorService from '../services/two-factor.service.js';
 import logger from '../config/logger.js';
 import { sanitizeInput } from '../utils/validation.js';
 
@@ -380,3 +383,239 @@ export const getUserStats = async (req, res) => {
         });
     }
 };
+
+/**
+ * Get user's escrow balance
+ * GET /api/v1/users/:id/balance
+ */
+export const getUserBalance = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Authorization check: users can only see their own balance (or admin can see any)
+        if (req.user.id.toString() !== id && req.user.role !== 'admin') {
+            logger.warn(`Unauthorized balance access: User ${req.user.id} tried to view balance of user ${id}`);
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'AUTH_INSUFFICIENT_PERMISSIONS',
+                    message: 'You can only view your own balance',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        const balance = await ledgerService.getBalance(id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                balance
+            }
+        });
+    } catch (error) {
+        logger.error('Get user balance controller error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching user balance',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Get user's ledger statement
+ * GET /api/v1/users/:id/ledger
+ */
+export const getUserLedger = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Authorization check: users can only see their own ledger (or admin can see any)
+        if (req.user.id.toString() !== id && req.user.role !== 'admin') {
+            logger.warn(`Unauthorized ledger access: User ${req.user.id} tried to view ledger of user ${id}`);
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'AUTH_INSUFFICIENT_PERMISSIONS',
+                    message: 'You can only view your own ledger',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+
+        const result = await ledgerService.getLedger(id, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get user ledger controller error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching user ledger',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Pay out a seller's available balance
+ * POST /api/v1/users/:id/payouts
+ */
+export const requestPayout = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Authorization check: sellers can only pay out their own balance (or admin can pay out any)
+        if (req.user.id.toString() !== id && req.user.role !== 'admin') {
+            logger.warn(`Unauthorized payout attempt: User ${req.user.id} tried to pay out user ${id}`);
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'AUTH_INSUFFICIENT_PERMISSIONS',
+                    message: 'You can only pay out your own balance',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        const payout = await ledgerService.requestPayout(id, req.body.amount ?? null);
+        const balance = await ledgerService.getBalance(id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                payout,
+                balance
+            },
+            message: 'Payout recorded successfully'
+        });
+    } catch (error) {
+        logger.error('Request payout controller error:', error);
+
+        const errorResponses = {
+            'INVALID_PAYOUT_AMOUNT': { status: 400, code: 'INVALID_PAYOUT_AMOUNT', message: 'Payout amount is below the minimum' },
+            'INSUFFICIENT_BALANCE': { status: 422, code: 'INSUFFICIENT_BALANCE', message: 'Payout amount exceeds the available balance' },
+            'PAYOUT_BUSY': { status: 409, code: 'PAYOUT_BUSY', message: 'A payout is already being processed, please try again' }
+        };
+
+        const errorResponse = errorResponses[error.message];
+        if (errorResponse) {
+            return res.status(errorResponse.status).json({
+                success: false,
+                error: {
+                    code: errorResponse.code,
+                    message: errorResponse.message,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while processing the payout',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Get the current user's watchlist with live prices
+ * GET /api/v1/users/me/watchlist
+ */
+export const getMyWatchlist = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const result = await auctionService.getWatchlist(req.user.id, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get watchlist controller error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while fetching the watchlist',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
+
+/**
+ * Require or stop requiring 2FA for a user
+ * PUT /api/v1/users/:id/two-factor-requirement
+ */
+export const setTwoFactorRequirement = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { required } = req.body;
+        
+        const result = await twoFactorService.setRequirement(req.user.id, id, required, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: result,
+            message: required
+                ? 'Two-factor authentication is now required for this user'
+                : 'Two-factor authentication is no longer required for this user'
+        });
+    } catch (error) {
+        logger.error('Set 2FA requirement controller error:', error);
+        
+        if (error.message === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'USER_NOT_FOUND',
+                    message: 'User not found',
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'An error occurred while updating the two-factor requirement',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+};
@@ -10,6 +10,11 @@ export const auditAuthAttempt = async (req, res, next) => {
     const originalJson = res.json.bind(res);
     
     res.json = function (data) {
+        // Password accepted but a 2FA code is still due; the service audits the challenge
+        if (data.data?.twoFactorRequired) {
+            return originalJson(data);
+        }
+        
         // Log the authentication attempt
         const success = data.success === true;
         const userId = data.data?.user?._id || data.data?.user?.id;
@@ -64,12 +69,39 @@ export const auditLogout = async (req, res, next) => {
             email: req.user.email,
             ipAddress: req.ip,
             userAgent: req.headers['user-agent'],
+            allDevices: req.path.endsWith('/logout-all'),
         }).catch(err => logger.error('Failed to audit logout:', err));
     }
     
     next();
 };
 
+/**
+ * Middleware to audit password reset requests and completions
+ * @param {string} stage - 'request' (forgot-password) or 'complete' (reset-password)
+ */
+export const auditPasswordReset = (stage) => {
+    return async (req, res, next) => {
+        const originalJson = res.json.bind(res);
+        
+        res.json = function (data) {
+            auditService.logPasswordReset({
+                userId: res.locals.auditUserId,
+                email: res.locals.auditEmail || req.body.email,
+                stage,
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                success: data.success === true,
+                error: data.error || null,
+            }).catch(err => logger.error('Failed to audit password reset:', err));
+            
+            return originalJson(data);
+        };
+        
+        next();
+    };
+};
+
 /**
  * Middleware to audit sensitive resource access
  */
@@ -100,42 +132,56 @@ export const auditResourceAccess = (action, resourceType) => {
     };
 };
 
+/**
+ * Log suspicious activity when a user places bids unusually fast
+ * Shared by the HTTP middleware and the socket bid handler
+ */
+export const checkBidPattern = async ({ userId, ipAddress, userAgent, path, method }) => {
+    // Check for rapid bidding (potential bot activity)
+    const recentBids = await auditService.getAuditLogs(
+        {
+            userId,
+            action: 'BID_PLACE',
+            startDate: new Date(Date.now() - 60000), // Last minute
+        },
+        { limit: 10 }
+    );
+
+    if (recentBids.logs.length >= 5) {
+        // More than 5 bids in a minute - suspicious
+        await auditService.logSuspiciousActivity({
+            userId,
+            ipAddress,
+            userAgent,
+            path,
+            method,
+            details: {
+                reason: 'Rapid bidding detected',
+                bidCount: recentBids.logs.length,
+                timeWindow: '1 minute',
+            },
+        });
+
+        logger.warn('Unusual bid pattern detected', {
+            userId,
+            bidCount: recentBids.logs.length,
+        });
+    }
+};
+
 /**
  * Middleware to detect and log unusual bid patterns
  */
 export const auditBidPattern = async (req, res, next) => {
     try {
         if (req.user) {
-            // Check for rapid bidding (potential bot activity)
-            const recentBids = await auditService.getAuditLogs(
-                {
-                    userId: req.user.id,
-                    action: 'BID_PLACE',
-                    startDate: new Date(Date.now() - 60000), // Last minute
-                },
-                { limit: 10 }
-            );
-
-            if (recentBids.logs.length >= 5) {
-                // More than 5 bids in a minute - suspicious
-                await auditService.logSuspiciousActivity({
-                    userId: req.user.id,
-                    ipAddress: req.ip,
-                    userAgent: req.headers['user-agent'],
-                    path: req.path,
-                    method: req.method,
-                    details: {
-                        reason: 'Rapid bidding detected',
-                        bidCount: recentBids.logs.length,
-                        timeWindow: '1 minute',
-                    },
-                });
-
-                logger.warn('Unusual bid pattern detected', {
-                    userId: req.user.id,
-                    bidCount: recentBids.logs.length,
-                });
-            }
+            await checkBidPattern({
+                userId: req.user.id,
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                path: req.path,
+                method: req.method,
+            });
         }
     } catch (error) {
         logger.error('Error in bid pattern audit:', error);
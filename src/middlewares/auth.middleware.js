@@ -1,7 +1,92 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import sessionService from '../services/session.service.js';
 import logger from '../config/logger.js';
 
+// Routes still reachable when an admin requires 2FA that the user has not set up yet
+const TWO_FACTOR_SETUP_PATHS = ['/api/v1/auth/2fa/', '/api/v1/auth/me', '/api/v1/auth/logout'];
+
+/**
+ * Check whether a user may still act with a verified access token
+ * Shared by the HTTP middleware and the socket handlers
+ * @param {Object} user - User document
+ * @param {Object} decoded - Verified access token claims
+ * @param {Object} context - { ipAddress, url } of the request
+ * @returns {Promise<Object|null>} - { status, code, message, details } or null if allowed
+ */
+export const getUserAccessError = async (user, decoded, { ipAddress, url = '' } = {}) => {
+    // Suspended and banned users are locked out until the restriction ends
+    if (user.isRestricted()) {
+        const banned = user.moderation.status === 'banned';
+        return {
+            status: 403,
+            code: banned ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+            message: banned ? 'This account has been banned' : 'This account is suspended',
+            details: {
+                reason: user.moderation.reason,
+                expiresAt: user.moderation.expiresAt || null
+            }
+        };
+    }
+    
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+        return {
+            status: 401,
+            code: 'AUTH_TOKEN_REVOKED',
+            message: 'Authentication token is no longer valid, please log in again'
+        };
+    }
+    
+    // Reject tokens whose login session was revoked (logout, device removal)
+    if (decoded.sid) {
+        const sessionActive = await sessionService.validateSession(decoded.sid, user._id, { ipAddress });
+        
+        if (!sessionActive) {
+            return {
+                status: 401,
+                code: 'AUTH_SESSION_REVOKED',
+                message: 'This session has been signed out, please log in again'
+            };
+        }
+    }
+    
+    // Admin-required 2FA must be enabled before the account can do anything else
+    if (user.twoFactor?.required && !user.twoFactor?.enabled
+        && !TWO_FACTOR_SETUP_PATHS.some(path => url.startsWith(path))) {
+        return {
+            status: 403,
+            code: 'TWO_FACTOR_SETUP_REQUIRED',
+            message: 'Two-factor authentication must be enabled for this account'
+        };
+    }
+    
+    return null;
+};
+
+/**
+ * Re-check a socket's user before it performs an action
+ * Sockets are only authenticated at the handshake, so suspensions, logouts
+ * and password changes since then are caught here
+ * @param {Object} socket - Socket with the handshake's token claims attached
+ * @param {string} url - Action being performed (checked against the 2FA setup paths)
+ * @returns {Promise<Object>} - { user } or { error: { status, code, message, details } }
+ */
+export const authenticateSocketUser = async (socket, url) => {
+    const user = await User.findById(socket.userId);
+    
+    if (!user) {
+        return { error: { status: 401, code: 'AUTH_USER_NOT_FOUND', message: 'User not found' } };
+    }
+    
+    const accessError = await getUserAccessError(user, socket.tokenClaims, {
+        ipAddress: socket.handshake.address,
+        url
+    });
+    
+    return accessError ? { error: accessError } : { user };
+};
+
 /**
  * Middleware to verify JWT token and authenticate user
  */
@@ -67,11 +152,31 @@ export const authenticate = async (req, res, next) => {
             });
         }
         
+        const accessError = await getUserAccessError(user, decoded, {
+            ipAddress: req.ip,
+            url: req.originalUrl
+        });
+        
+        if (accessError) {
+            return res.status(accessError.status).json({
+                success: false,
+                error: {
+                    code: accessError.code,
+                    message: accessError.message,
+                    ...(accessError.details && { details: accessError.details }),
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                }
+            });
+        }
+        
         // Attach user to request object
         req.user = {
             id: user._id,
             email: user.email,
-            role: user.role
+            role: user.role,
+            verified: user.verified,
+            sessionId: decoded.sid
         };
         
         next();
@@ -141,6 +246,40 @@ export const authorize = (...roles) => {
     };
 };
 
+/**
+ * Middleware to require a verified email address
+ * Use after authenticate on actions that commit money or list items (bidding, selling)
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: {
+                code: 'AUTH_REQUIRED',
+                message: 'Authentication is required',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+    
+    if (!req.user.verified) {
+        logger.warn(`Unverified user ${req.user.email} attempted to access ${req.path}`);
+        
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Please verify your email address before bidding or selling',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            }
+        });
+    }
+    
+    next();
+};
+
 /**
  * Optional authentication - attaches user if token is valid, but doesn't require it
  */
@@ -158,11 +297,12 @@ export const optionalAuth = async (req, res, next) => {
             const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
             const user = await User.findById(decoded.id);
             
-            if (user) {
+            if (user && !user.isRestricted() && !user.changedPasswordAfter(decoded.iat)) {
                 req.user = {
                     id: user._id,
                     email: user.email,
-                    role: user.role
+                    role: user.role,
+                    verified: user.verified
                 };
             }
         } catch (error) {
@@ -201,7 +341,7 @@ export const refreshTokenIfNeeded = async (req, res, next) => {
                 const user = await User.findById(decoded.id);
                 
                 if (user) {
-                    const newAccessToken = user.generateAccessToken();
+                    const newAccessToken = user.generateAccessToken({ sessionId: decoded.sid });
                     res.setHeader('X-New-Access-Token', newAccessToken);
                     logger.info(`Token refreshed for user: ${user.email}`);
                 }
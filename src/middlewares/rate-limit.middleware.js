@@ -1,4 +1,4 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { MemoryStore } from 'express-rate-limit';
 import RedisStore from 'rate-limit-redis';
 import { redisClient } from '../config/redis.config.js';
 import logger from '../config/logger.js';
@@ -49,13 +49,24 @@ export const ipRateLimiter = rateLimit({
     },
 });
 
+const USER_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const USER_RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.USER_RATE_LIMIT_MAX_REQUESTS) || 1000;
+
+// Also used by socket handlers, so socket actions get the same limit and window as HTTP requests.
+// Only limiters mounted after authenticate key by user; before it they fall back to the IP
+const userRateLimitStore = redisClient ? new RedisStore({
+    // @ts-expect-error - Known issue with the library's typings
+    client: redisClient,
+    prefix: 'rl:user:',
+}) : new MemoryStore();
+
 /**
  * User-based rate limiter
  * 1000 requests per hour per authenticated user
  */
 export const userRateLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: parseInt(process.env.USER_RATE_LIMIT_MAX_REQUESTS) || 1000, // 1000 requests per hour
+    windowMs: USER_RATE_LIMIT_WINDOW_MS,
+    max: USER_RATE_LIMIT_MAX_REQUESTS, // 1000 requests per hour
     message: {
         success: false,
         error: {
@@ -72,11 +83,7 @@ export const userRateLimiter = rateLimit({
         return req.user?.id?.toString() || req.ip;
     },
     // Use Redis store if available
-    store: redisClient ? new RedisStore({
-        // @ts-expect-error - Known issue with the library's typings
-        client: redisClient,
-        prefix: 'rl:user:',
-    }) : undefined,
+    store: userRateLimitStore,
     handler: (req, res) => {
         logger.warn('User rate limit exceeded', {
             userId: req.user?.id,
@@ -105,6 +112,22 @@ export const userRateLimiter = rateLimit({
     skipSuccessfulRequests: false,
 });
 
+/**
+ * Count an action against a user's rate limit outside of Express (e.g. socket events)
+ * Shares the bucket of userRateLimiter wherever it runs after authenticate
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { allowed, remaining, resetTime }
+ */
+export const consumeUserRateLimit = async (userId) => {
+    const { totalHits, resetTime } = await userRateLimitStore.increment(userId.toString());
+    
+    return {
+        allowed: totalHits <= USER_RATE_LIMIT_MAX_REQUESTS,
+        remaining: Math.max(0, USER_RATE_LIMIT_MAX_REQUESTS - totalHits),
+        resetTime,
+    };
+};
+
 /**
  * Strict rate limiter for sensitive endpoints (auth, payment)
  * 20 requests per 15 minutes
@@ -147,6 +170,47 @@ export const strictRateLimiter = rateLimit({
     },
 });
 
+/**
+ * Password reset rate limiter
+ * 5 requests per hour per IP, so reset emails cannot be used to spam an inbox
+ */
+export const passwordResetRateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS) || 5, // 5 requests per window
+    message: {
+        success: false,
+        error: {
+            code: 'RATE_LIMIT_EXCEEDED',
+            message: 'Too many password reset attempts, please try again later',
+            timestamp: new Date().toISOString(),
+        },
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: redisClient ? new RedisStore({
+        // @ts-expect-error - Known issue with the library's typings
+        client: redisClient,
+        prefix: 'rl:password-reset:',
+    }) : undefined,
+    handler: (req, res) => {
+        logger.warn('Password reset rate limit exceeded', {
+            ip: req.ip,
+            path: req.path,
+            method: req.method,
+        });
+        
+        res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: 'Too many password reset attempts, please try again after an hour',
+                timestamp: new Date().toISOString(),
+                path: req.path,
+            },
+        });
+    },
+});
+
 /**
  * Middleware to add rate limit headers to all responses
  */
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import logger from '../config/logger.js';
+import { RETRACTION_REASON_CODES } from '../config/bid-retraction.config.js';
 
 /**
  * Middleware factory to validate request data using Joi schemas
@@ -89,6 +90,12 @@ export const schemas = {
         .pattern(/^(?=.*[A-Za-z])(?=.*\d)/)
         .message('Password must be at least 8 characters and contain at least one letter and one number'),
     
+    // 2FA code: 6-digit TOTP code or a recovery code (xxxxx-xxxxx)
+    twoFactorCode: Joi.string()
+        .trim()
+        .pattern(/^(\d{6}|[0-9a-fA-F]{5}-?[0-9a-fA-F]{5})$/)
+        .message('Code must be a 6-digit authentication code or a recovery code'),
+    
     // Pagination
     pagination: {
         page: Joi.number().integer().min(1).default(1),
@@ -121,6 +128,30 @@ export const schemas = {
         strings: Joi.array().items(Joi.string().trim()),
         objectIds: Joi.array().items(Joi.string().regex(/^[0-9a-fA-F]{24}$/)),
     },
+    
+    // Bid increment rule (fixed step or tiered table by price band)
+    bidIncrement: Joi.object({
+        mode: Joi.string().valid('fixed', 'tiered').required(),
+        amount: Joi.number().min(0.01).when('mode', {
+            is: 'fixed',
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+        }),
+        tiers: Joi.array().items(Joi.object({
+            upTo: Joi.number().positive(),
+            increment: Joi.number().min(0.01).required(),
+        })).min(1).unique((a, b) => a.upTo === b.upTo).when('mode', {
+            is: 'tiered',
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+        }),
+    }),
+    
+    // Soft close (anti-sniping) settings, in minutes; a 0 window disables it
+    softClose: Joi.object({
+        windowMinutes: Joi.number().min(0).max(60),
+        extensionMinutes: Joi.number().min(1).max(60),
+    }),
 };
 
 /**
@@ -147,7 +178,60 @@ export const authValidation = {
     
     refreshToken: {
         body: Joi.object({
-            refreshToken: Joi.string().required(),
+            // Optional when the refresh token cookie is set
+            refreshToken: Joi.string(),
+        }),
+    },
+    
+    forgotPassword: {
+        body: Joi.object({
+            email: schemas.email.required(),
+        }),
+    },
+    
+    resetPassword: {
+        body: Joi.object({
+            token: Joi.string().hex().length(64).required(),
+            password: schemas.password.required(),
+        }),
+    },
+    
+    verifyEmail: {
+        body: Joi.object({
+            token: Joi.string().hex().length(64).required(),
+        }),
+    },
+    
+    revokeSession: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
+    loginTwoFactor: {
+        body: Joi.object({
+            challengeToken: Joi.string().required(),
+            code: schemas.twoFactorCode.required(),
+        }),
+    },
+    
+    verifyTwoFactor: {
+        body: Joi.object({
+            code: Joi.string().trim().pattern(/^\d{6}$/).required()
+                .messages({ 'string.pattern.base': 'Code must be 6 digits' }),
+        }),
+    },
+    
+    disableTwoFactor: {
+        body: Joi.object({
+            password: Joi.string().required(),
+            code: schemas.twoFactorCode.required(),
+        }),
+    },
+    
+    regenerateRecoveryCodes: {
+        body: Joi.object({
+            code: schemas.twoFactorCode.required(),
         }),
     },
 };
@@ -192,6 +276,41 @@ export const userValidation = {
             id: schemas.objectId.required(),
         }),
     },
+    
+    getWatchlist: {
+        query: Joi.object({
+            page: schemas.pagination.page,
+            limit: schemas.pagination.limit,
+        }),
+    },
+    
+    getUserLedger: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        query: Joi.object({
+            page: schemas.pagination.page,
+            limit: schemas.pagination.limit,
+        }),
+    },
+    
+    requestPayout: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            amount: Joi.number().positive(),
+        }),
+    },
+    
+    setTwoFactorRequirement: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            required: Joi.boolean().required(),
+        }),
+    },
 };
 
 /**
@@ -206,6 +325,8 @@ export const auctionValidation = {
             startingPrice: schemas.number.positive.required(),
             reservePrice: schemas.number.positive.optional(),
             buyNowPrice: schemas.number.positive.optional(),
+            bidIncrement: schemas.bidIncrement.optional(),
+            softClose: schemas.softClose.optional(),
             duration: Joi.number().integer().min(1).max(720).required(), // Max 30 days
             startTime: schemas.date.any.optional(),
         }),
@@ -221,6 +342,8 @@ export const auctionValidation = {
             category: Joi.string().trim().min(1).max(100),
             reservePrice: schemas.number.positive,
             buyNowPrice: schemas.number.positive,
+            bidIncrement: schemas.bidIncrement,
+            softClose: schemas.softClose,
         }).min(1),
     },
     
@@ -236,6 +359,18 @@ export const auctionValidation = {
         }),
     },
     
+    buyNow: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
+    watchAuction: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
     searchAuctions: {
         query: Joi.object({
             q: Joi.string().trim().max(200),
@@ -290,6 +425,75 @@ export const bidValidation = {
             limit: schemas.pagination.limit,
         }),
     },
+    
+    retractBid: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            reasonCode: Joi.string().valid(...RETRACTION_REASON_CODES).required(),
+            explanation: Joi.string().trim().max(500),
+        }),
+    },
+};
+
+/**
+ * Validation schemas for payment endpoints
+ */
+export const paymentValidation = {
+    initiatePayment: {
+        body: Joi.object({
+            auctionId: schemas.objectId.required(),
+        }),
+    },
+    
+    confirmPayment: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            paymentMethod: Joi.string().trim().max(200).required(),
+        }),
+    },
+    
+    refundPayment: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            amount: Joi.number().positive(),
+            reason: Joi.string().trim().max(500),
+        }),
+    },
+    
+    getPaymentById: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
+    confirmDelivery: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+};
+
+/**
+ * Validation schemas for second-chance offer endpoints
+ */
+export const secondChanceValidation = {
+    createOffer: {
+        body: Joi.object({
+            auctionId: schemas.objectId.required(),
+        }),
+    },
+    
+    offerById: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
 };
 
 /**
@@ -300,7 +504,7 @@ export const notificationValidation = {
         query: Joi.object({
             page: schemas.pagination.page,
             limit: schemas.pagination.limit,
-            type: Joi.string().valid('bid_outbid', 'bid_won', 'auction_ended', 'payment_received', 'system'),
+            type: Joi.string().valid('bid_outbid', 'bid_won', 'auction_ended', 'payment_received', 'payment_overdue', 'second_chance_available', 'second_chance_offer', 'second_chance_response', 'watchlist_price_change', 'watchlist_ending_soon', 'auction_ending_soon', 'auction_cancelled', 'system'),
             unreadOnly: Joi.boolean().default(false),
         }),
     },
@@ -342,3 +546,98 @@ export const analyticsValidation = {
         }),
     },
 };
+
+/**
+ * Validation schemas for admin moderation endpoints
+ */
+export const adminValidation = {
+    suspendUser: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            reason: Joi.string().trim().min(1).max(500).required(),
+            expiresAt: Joi.date().greater('now').required(),
+        }),
+    },
+    
+    banUser: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            reason: Joi.string().trim().min(1).max(500).required(),
+            expiresAt: Joi.date().greater('now'),
+        }),
+    },
+    
+    unbanUser: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
+    cancelAuction: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            reason: Joi.string().trim().min(1).max(500).required(),
+        }),
+    },
+    
+    getFlaggedBids: {
+        query: Joi.object({
+            limit: Joi.number().integer().min(1).max(500).default(100),
+            minRiskScore: Joi.number().min(0).max(1).default(0.5),
+        }),
+    },
+    
+    getShillReport: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
+    getFraudCases: {
+        query: Joi.object({
+            status: Joi.string().valid('open', 'investigating', 'confirmed', 'dismissed'),
+            assignedTo: schemas.objectId,
+            page: schemas.pagination.page,
+            limit: schemas.pagination.limit,
+        }),
+    },
+    
+    fraudCaseId: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+    },
+    
+    assignFraudCase: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            assigneeId: schemas.objectId,
+        }),
+    },
+    
+    updateFraudCaseStatus: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            status: Joi.string().valid('open', 'investigating', 'confirmed', 'dismissed').required(),
+        }),
+    },
+    
+    addFraudCaseNote: {
+        params: Joi.object({
+            id: schemas.objectId.required(),
+        }),
+        body: Joi.object({
+            body: Joi.string().trim().min(1).max(2000).required(),
+        }),
+    },
+};
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isValidIncrementRule } from '../utils/bid-increment.js';
 
 const auctionSchema = new mongoose.Schema({
     seller: {
@@ -85,6 +86,35 @@ const auctionSchema = new mongoose.Schema({
                 },
                 message: 'Buy now price must be greater than starting price'
             }
+        },
+        // Minimum step between bids; falls back to the category default when unset
+        bidIncrement: {
+            mode: {
+                type: String,
+                enum: {
+                    values: ['fixed', 'tiered'],
+                    message: '{VALUE} is not a valid bid increment mode'
+                }
+            },
+            amount: {
+                type: Number,
+                min: [0.01, 'Bid increment must be greater than 0']
+            },
+            tiers: {
+                type: [{
+                    _id: false,
+                    upTo: {
+                        type: Number, // Tier applies to prices below this; omit for the top tier
+                        min: 0
+                    },
+                    increment: {
+                        type: Number,
+                        required: true,
+                        min: [0.01, 'Bid increment must be greater than 0']
+                    }
+                }],
+                default: undefined
+            }
         }
     },
     timing: {
@@ -114,6 +144,26 @@ const auctionSchema = new mongoose.Schema({
             type: Number, // Duration in hours
             required: true,
             min: [1, 'Duration must be at least 1 hour']
+        },
+        // Anti-sniping: a bid in the final windowMinutes pushes endTime out by
+        // extensionMinutes (platform defaults apply when unset, 0 disables)
+        softClose: {
+            windowMinutes: {
+                type: Number,
+                min: [0, 'Soft close window cannot be negative']
+            },
+            extensionMinutes: {
+                type: Number,
+                min: [1, 'Soft close extension must be at least 1 minute']
+            }
+        },
+        originalEndTime: {
+            type: Date // Set on the first extension
+        },
+        extensionCount: {
+            type: Number,
+            default: 0,
+            min: 0
         }
     },
     status: {
@@ -178,6 +228,20 @@ const auctionSchema = new mongoose.Schema({
             type: Boolean,
             default: false
         }
+    },
+    moderation: {
+        removedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User' // Admin who force-cancelled the auction
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Removal reason cannot exceed 500 characters']
+        },
+        removedAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt
@@ -189,6 +253,7 @@ auctionSchema.index({ status: 1 });
 auctionSchema.index({ 'timing.endTime': 1 });
 auctionSchema.index({ category: 1 });
 auctionSchema.index({ 'pricing.currentPrice': 1 });
+auctionSchema.index({ 'metadata.watchers': 1 });
 
 // Text index for search on title and description
 auctionSchema.index({ title: 'text', description: 'text' });
@@ -202,6 +267,17 @@ auctionSchema.pre('save', function(next) {
     next();
 });
 
+// Pre-validate hook to check the bid increment rule shape
+auctionSchema.pre('validate', function(next) {
+    if (!isValidIncrementRule(this.pricing?.bidIncrement)) {
+        this.invalidate(
+            'pricing.bidIncrement',
+            'Bid increment must be a fixed amount or a table of tiers with at most one open-ended tier'
+        );
+    }
+    next();
+});
+
 // Pre-save hook to set currentPrice to startingPrice if not set
 auctionSchema.pre('save', function(next) {
     if (this.isNew && !this.pricing.currentPrice) {
@@ -26,6 +26,13 @@ const auditLogSchema = new mongoose.Schema({
             'AUTH_REGISTER',
             'AUTH_TOKEN_REFRESH',
             'AUTH_PASSWORD_RESET',
+            'AUTH_2FA_ENROLL',
+            'AUTH_2FA_ENABLE',
+            'AUTH_2FA_DISABLE',
+            'AUTH_2FA_CHALLENGE',
+            'AUTH_2FA_LOCKOUT',
+            'AUTH_2FA_RECOVERY_CODES',
+            'AUTH_2FA_REQUIREMENT',
             
             // User actions
             'USER_UPDATE',
@@ -47,6 +54,8 @@ const auditLogSchema = new mongoose.Schema({
             'PAYMENT_COMPLETE',
             'PAYMENT_FAILED',
             'PAYMENT_REFUND',
+            'PAYMENT_DELIVERY_CONFIRM',
+            'PAYMENT_PAYOUT',
             
             // Security events
             'SECURITY_SUSPICIOUS_ACTIVITY',
@@ -57,16 +66,19 @@ const auditLogSchema = new mongoose.Schema({
             'SECURITY_SQL_INJECTION_ATTEMPT',
             
             // Admin actions
+            'ADMIN_USER_SUSPEND',
             'ADMIN_USER_BAN',
             'ADMIN_USER_UNBAN',
             'ADMIN_AUCTION_REMOVE',
+            'ADMIN_FRAUD_CASE_UPDATE',
+            'ADMIN_BID_VOID',
         ],
     },
     
     // Resource type and ID
     resourceType: {
         type: String,
-        enum: ['user', 'auction', 'bid', 'payment', 'notification', 'system'],
+        enum: ['user', 'auction', 'bid', 'payment', 'notification', 'fraud_case', 'system'],
     },
     
     resourceId: {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { RETRACTION_REASON_CODES } from '../config/bid-retraction.config.js';
 
 const bidSchema = new mongoose.Schema({
     auction: {
@@ -32,11 +33,28 @@ const bidSchema = new mongoose.Schema({
     status: {
         type: String,
         enum: {
-            values: ['active', 'outbid', 'won', 'lost'],
+            values: ['active', 'outbid', 'won', 'lost', 'retracted', 'unpaid', 'cancelled', 'voided'],
             message: '{VALUE} is not a valid bid status'
         },
         default: 'active'
     },
+    retraction: {
+        reasonCode: {
+            type: String,
+            enum: {
+                values: RETRACTION_REASON_CODES,
+                message: '{VALUE} is not a valid retraction reason'
+            }
+        },
+        explanation: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Retraction explanation cannot exceed 500 characters']
+        },
+        retractedAt: {
+            type: Date
+        }
+    },
     fraudAnalysis: {
         riskScore: {
             type: Number,
@@ -66,7 +84,7 @@ const bidSchema = new mongoose.Schema({
         },
         bidMethod: {
             type: String,
-            enum: ['manual', 'auto'],
+            enum: ['manual', 'auto', 'buy_now'],
             default: 'manual'
         }
     }
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+export const FRAUD_CASE_STATUSES = ['open', 'investigating', 'confirmed', 'dismissed'];
+
+export const FRAUD_CASE_ACTIONS = ['void_bid', 'suspend_bidder'];
+
+const fraudCaseNoteSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        required: [true, 'Note text is required'],
+        trim: true,
+        maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const fraudCaseActionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: {
+            values: FRAUD_CASE_ACTIONS,
+            message: '{VALUE} is not a valid fraud case action'
+        }
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    performedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const fraudCaseSchema = new mongoose.Schema({
+    bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid',
+        required: [true, 'Bid is required'],
+        index: true
+    },
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: [true, 'Auction is required'],
+        index: true
+    },
+    bidder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Bidder is required'],
+        index: true
+    },
+    riskScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0
+    },
+    reasons: [{
+        type: String
+    }],
+    status: {
+        type: String,
+        enum: {
+            values: FRAUD_CASE_STATUSES,
+            message: '{VALUE} is not a valid fraud case status'
+        },
+        default: 'open'
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notes: [fraudCaseNoteSchema],
+    actions: [fraudCaseActionSchema],
+    resolution: {
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: {
+            type: Date
+        }
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// Compound index for the review queue (highest risk first)
+fraudCaseSchema.index({ status: 1, riskScore: -1, createdAt: -1 });
+fraudCaseSchema.index({ assignedTo: 1, status: 1 });
+
+// Instance method to check if the case is still being worked on
+fraudCaseSchema.methods.isOpen = function() {
+    return this.status === 'open' || this.status === 'investigating';
+};
+
+const FraudCase = mongoose.model('FraudCase', fraudCaseSchema);
+
+export default FraudCase;
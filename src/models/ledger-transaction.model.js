@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Ledger accounts
+ * buyer_receivable  - what a buyer owes for won auctions (user: buyer)
+ * escrow_awaiting   - sale proceeds not yet paid by the buyer (user: seller)
+ * escrow_held       - paid proceeds held until delivery is confirmed (user: seller)
+ * seller_available  - released proceeds the seller can be paid out (user: seller)
+ * platform_revenue  - platform fees
+ * cash              - money held with the payment provider
+ */
+export const LEDGER_ACCOUNTS = [
+    'buyer_receivable',
+    'escrow_awaiting',
+    'escrow_held',
+    'seller_available',
+    'platform_revenue',
+    'cash'
+];
+
+export const LEDGER_TRANSACTION_TYPES = [
+    'escrow_open',
+    'escrow_void',
+    'buyer_charge',
+    'escrow_hold',
+    'platform_fee',
+    'escrow_release',
+    'seller_payout',
+    'refund'
+];
+
+const ledgerLineSchema = new mongoose.Schema({
+    account: {
+        type: String,
+        required: [true, 'Account is required'],
+        enum: {
+            values: LEDGER_ACCOUNTS,
+            message: '{VALUE} is not a valid ledger account'
+        }
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    direction: {
+        type: String,
+        required: true,
+        enum: ['debit', 'credit']
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Ledger line amount must be positive']
+    }
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Transaction type is required'],
+        enum: {
+            values: LEDGER_TRANSACTION_TYPES,
+            message: '{VALUE} is not a valid ledger transaction type'
+        }
+    },
+    // Idempotency key, e.g. escrow_open:<auctionId>:<buyerId>; a transaction is posted at most once
+    reference: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        index: true
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        index: true
+    },
+    lines: {
+        type: [ledgerLineSchema],
+        validate: {
+            validator: function(lines) {
+                return lines.length >= 2;
+            },
+            message: 'A ledger transaction needs at least two lines'
+        }
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// Compound index for per-user balances and statements
+ledgerTransactionSchema.index({ 'lines.user': 1, 'lines.account': 1 });
+ledgerTransactionSchema.index({ 'lines.user': 1, createdAt: -1 });
+
+// Pre-validate hook to keep every transaction balanced (debits equal credits)
+ledgerTransactionSchema.pre('validate', function(next) {
+    const totals = { debit: 0, credit: 0 };
+    for (const line of this.lines || []) {
+        totals[line.direction] += Math.round(line.amount * 100);
+    }
+
+    if (totals.debit !== totals.credit) {
+        this.invalidate('lines', 'Ledger transaction debits and credits must balance');
+    }
+    next();
+});
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+export default LedgerTransaction;
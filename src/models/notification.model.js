@@ -10,7 +10,7 @@ const notificationSchema = new mongoose.Schema({
     type: {
         type: String,
         enum: {
-            values: ['bid_outbid', 'bid_won', 'auction_ended', 'payment_received', 'system'],
+            values: ['bid_outbid', 'bid_won', 'auction_ended', 'payment_received', 'payment_overdue', 'second_chance_available', 'second_chance_offer', 'second_chance_response', 'watchlist_price_change', 'watchlist_ending_soon', 'auction_ending_soon', 'auction_cancelled', 'system'],
             message: '{VALUE} is not a valid notification type'
         },
         required: [true, 'Notification type is required'],
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+const paymentSchema = new mongoose.Schema({
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: [true, 'Auction is required'],
+        index: true
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Buyer is required'],
+        index: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required'],
+        index: true
+    },
+    bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid'
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        validate: {
+            validator: function(value) {
+                return value > 0;
+            },
+            message: 'Payment amount must be a positive number'
+        }
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'USD'
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'completed', 'failed', 'refunded'],
+            message: '{VALUE} is not a valid payment status'
+        },
+        default: 'pending',
+        index: true
+    },
+    provider: {
+        name: {
+            type: String,
+            required: [true, 'Payment provider is required']
+        },
+        paymentId: {
+            type: String // Provider's reference for the charge
+        },
+        refundId: {
+            type: String // Provider's reference for the refund
+        }
+    },
+    failureReason: {
+        type: String
+    },
+    refund: {
+        amount: {
+            type: Number,
+            min: 0
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Refund reason cannot exceed 500 characters']
+        },
+        refundedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    timeline: {
+        initiatedAt: {
+            type: Date,
+            default: Date.now
+        },
+        completedAt: {
+            type: Date
+        },
+        failedAt: {
+            type: Date
+        },
+        refundedAt: {
+            type: Date
+        },
+        deliveryConfirmedAt: {
+            type: Date // Buyer confirmed receipt; escrow is released to the seller
+        }
+    },
+    metadata: {
+        ipAddress: {
+            type: String,
+            trim: true
+        },
+        userAgent: {
+            type: String,
+            trim: true
+        }
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// Compound index for finding the live payment on an auction
+paymentSchema.index({ auction: 1, status: 1 });
+// At most one live (pending or completed) payment per auction
+paymentSchema.index(
+    { auction: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['pending', 'completed'] } } }
+);
+// Indexes for payment analytics
+paymentSchema.index({ status: 1, 'timeline.completedAt': 1 });
+paymentSchema.index({ createdAt: 1 });
+
+// Instance method to check if payment can still be confirmed
+paymentSchema.methods.isPending = function() {
+    return this.status === 'pending';
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const proxyBidSchema = new mongoose.Schema({
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: [true, 'Auction is required'],
+        index: true
+    },
+    bidder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Bidder is required'],
+        index: true
+    },
+    maxAmount: {
+        type: Number,
+        required: [true, 'Maximum bid amount is required'],
+        validate: {
+            validator: function(value) {
+                return value > 0;
+            },
+            message: 'Maximum bid amount must be a positive number'
+        }
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['active', 'exhausted', 'cancelled'],
+            message: '{VALUE} is not a valid proxy bid status'
+        },
+        default: 'active'
+    },
+    // When the current maximum was set - earlier maximums win ties
+    placedAt: {
+        type: Date,
+        default: Date.now
+    },
+    metadata: {
+        ipAddress: {
+            type: String,
+            trim: true
+        },
+        userAgent: {
+            type: String,
+            trim: true
+        }
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// One proxy bid per bidder per auction (raised or re-activated in place)
+proxyBidSchema.index({ auction: 1, bidder: 1 }, { unique: true });
+// Compound index for resolving the strongest active proxy bids on an auction
+proxyBidSchema.index({ auction: 1, status: 1, maxAmount: -1, placedAt: 1 });
+
+// Instance method to check if proxy bid can still bid
+proxyBidSchema.methods.isActive = function() {
+    return this.status === 'active';
+};
+
+const ProxyBid = mongoose.model('ProxyBid', proxyBidSchema);
+
+export default ProxyBid;
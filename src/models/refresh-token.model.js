@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * Server-side record of an issued refresh token
+ * Tokens are rotated on every refresh; all tokens descending from one login
+ * share a family, so reuse of a rotated token can revoke the whole chain
+ */
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        index: true
+    },
+    // JWT ID of the refresh token; the token itself is never stored
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['active', 'rotated', 'revoked'],
+            message: '{VALUE} is not a valid refresh token status'
+        },
+        default: 'active'
+    },
+    replacedBy: {
+        type: String // jti of the token issued when this one was rotated
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'user_revoked', 'reuse_detected', 'password_reset', 'account_restricted']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    metadata: {
+        ipAddress: {
+            type: String,
+            trim: true
+        },
+        userAgent: {
+            type: String,
+            trim: true
+        }
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// Compound index for revoking a user's active tokens
+refreshTokenSchema.index({ user: 1, status: 1 });
+// TTL index, expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const secondChanceOfferSchema = new mongoose.Schema({
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: [true, 'Auction is required'],
+        index: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+    bidder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Bidder is required'],
+        index: true
+    },
+    bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid',
+        required: [true, 'Bid is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Offer amount is required'],
+        validate: {
+            validator: function(value) {
+                return value > 0;
+            },
+            message: 'Offer amount must be a positive number'
+        }
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'accepted', 'declined', 'expired'],
+            message: '{VALUE} is not a valid offer status'
+        },
+        default: 'pending',
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    respondedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// Compound index for finding the open offer on an auction
+secondChanceOfferSchema.index({ auction: 1, status: 1 });
+
+// Instance method to check if the offer can still be answered
+secondChanceOfferSchema.methods.isOpen = function() {
+    return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+const SecondChanceOffer = mongoose.model('SecondChanceOffer', secondChanceOfferSchema);
+
+export default SecondChanceOffer;
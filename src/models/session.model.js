@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * A logged-in device
+ * One session is created per login; its ID is the refresh token family and
+ * the `sid` claim of every access token issued for it
+ */
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        index: true
+    },
+    device: {
+        browser: {
+            type: String,
+            trim: true
+        },
+        os: {
+            type: String,
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+            default: 'unknown'
+        }
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['active', 'revoked'],
+            message: '{VALUE} is not a valid session status'
+        },
+        default: 'active'
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'user_revoked', 'reuse_detected', 'password_reset', 'account_restricted']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes
+// Compound index for listing a user's active sessions
+sessionSchema.index({ user: 1, status: 1, lastSeenAt: -1 });
+// TTL index, sessions are removed once their last refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -87,8 +87,27 @@ const userSchema = new mongoose.Schema({
         totalSpent: {
             type: Number,
             default: 0
+        },
+        unpaidStrikes: {
+            type: Number,
+            default: 0
         }
     },
+    strikes: [{
+        reason: {
+            type: String,
+            enum: ['unpaid_item'],
+            required: true
+        },
+        auction: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Auction'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     lastLogin: {
         type: Date
     },
@@ -99,6 +118,71 @@ const userSchema = new mongoose.Schema({
     passwordResetExpires: {
         type: Date,
         select: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    passwordChangedAt: {
+        type: Date // Tokens issued before this are no longer accepted
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        required: {
+            type: Boolean,
+            default: false // Set by an admin; the user cannot turn 2FA off and must enroll
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false // Secret being enrolled, until the first code is verified
+        },
+        recoveryCodes: {
+            type: [String], // SHA-256 hashes of unused one-time recovery codes
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            select: false // Last accepted TOTP time step, so a code cannot be replayed
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
+    moderation: {
+        status: {
+            type: String,
+            enum: {
+                values: ['active', 'suspended', 'banned'],
+                message: '{VALUE} is not a valid moderation status'
+            },
+            default: 'active'
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+        },
+        expiresAt: {
+            type: Date // No expiry means the restriction lasts until lifted
+        },
+        actionedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        actionedAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt
@@ -135,13 +219,33 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
+// Instance method to check if the account is currently suspended or banned
+userSchema.methods.isRestricted = function() {
+    const { status, expiresAt } = this.moderation || {};
+    if (!status || status === 'active') {
+        return false;
+    }
+    return !expiresAt || expiresAt > new Date();
+};
+
+// Instance method to check if the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+    if (!this.passwordChangedAt) {
+        return false;
+    }
+    // JWT iat is in seconds
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
 // Instance method to generate JWT access token
-userSchema.methods.generateAccessToken = function() {
+// sid ties the token to a login session so it can be revoked with it
+userSchema.methods.generateAccessToken = function({ sessionId } = {}) {
     return jwt.sign(
         {
             id: this._id,
             email: this.email,
-            role: this.role
+            role: this.role,
+            sid: sessionId
         },
         process.env.JWT_ACCESS_SECRET,
         {
@@ -151,10 +255,13 @@ userSchema.methods.generateAccessToken = function() {
 };
 
 // Instance method to generate JWT refresh token
-userSchema.methods.generateRefreshToken = function() {
+// family and jti let the server track, rotate and revoke the token
+userSchema.methods.generateRefreshToken = function({ family, jti } = {}) {
     return jwt.sign(
         {
-            id: this._id
+            id: this._id,
+            fam: family,
+            jti
         },
         process.env.JWT_REFRESH_SECRET,
         {
@@ -164,10 +271,10 @@ userSchema.methods.generateRefreshToken = function() {
 };
 
 // Instance method to generate both tokens
-userSchema.methods.generateTokens = function() {
+userSchema.methods.generateTokens = function(refreshOptions = {}) {
     return {
-        accessToken: this.generateAccessToken(),
-        refreshToken: this.generateRefreshToken()
+        accessToken: this.generateAccessToken({ sessionId: refreshOptions.family }),
+        refreshToken: this.generateRefreshToken(refreshOptions)
     };
 };
 
@@ -295,6 +295,46 @@ class AuctionRepository {
         }
     }
 
+    /**
+     * Find the status and timing of several auctions
+     * @param {Array<string>} auctionIds - Auction IDs
+     * @returns {Promise<Array>} - Auctions ({ _id, status, timing })
+     */
+    async findTimingsByIds(auctionIds) {
+        try {
+            const auctions = await Auction.find({ _id: { $in: auctionIds } })
+                .select('_id status timing.startTime timing.endTime')
+                .lean();
+
+            return auctions;
+        } catch (error) {
+            logger.error('Error finding auction timings:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a seller's auctions created since a date (ID and status only)
+     * @param {string} sellerId - Seller user ID
+     * @param {Date} since - Earliest creation date
+     * @returns {Promise<Array>} - Auctions ({ _id, status })
+     */
+    async findRecentBySeller(sellerId, since) {
+        try {
+            const auctions = await Auction.find({
+                seller: sellerId,
+                createdAt: { $gte: since }
+            })
+                .select('_id status')
+                .lean();
+
+            return auctions;
+        } catch (error) {
+            logger.error(`Error finding recent auctions by seller ${sellerId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Find active auctions
      * @param {number} page - Page number
@@ -364,17 +404,83 @@ class AuctionRepository {
         }
     }
 
+    /**
+     * Move a scheduled auction from draft to active
+     * Only applies while the auction is still a draft, so a duplicate start
+     * job or a concurrent seller status change cannot activate it twice
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object|null>} - Activated auction, or null if no longer a draft
+     */
+    async activateScheduled(auctionId) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                { _id: auctionId, status: 'draft' },
+                { $set: { status: 'active' } },
+                { new: true }
+            ).lean();
+
+            if (auction) {
+                logger.info(`Scheduled auction activated: ${auctionId}`);
+            }
+
+            return auction;
+        } catch (error) {
+            logger.error(`Error activating scheduled auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel an auction on behalf of a moderator
+     * Only applies to draft or active auctions, so a closed auction (with a
+     * winner and payment under way) is never cancelled underneath its buyer
+     * @param {string} auctionId - Auction ID
+     * @param {Object} moderation - Removal details (removedBy, reason)
+     * @returns {Promise<Object|null>} - Cancelled auction, or null if not draft/active
+     */
+    async cancelByModerator(auctionId, moderation) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                { _id: auctionId, status: { $in: ['draft', 'active'] } },
+                {
+                    $set: {
+                        status: 'cancelled',
+                        'moderation.removedBy': moderation.removedBy,
+                        'moderation.reason': moderation.reason,
+                        'moderation.removedAt': new Date()
+                    }
+                },
+                { new: true }
+            ).lean();
+
+            if (auction) {
+                logger.info(`Auction removed by moderator: ${auctionId}`);
+            }
+
+            return auction;
+        } catch (error) {
+            logger.error(`Error removing auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Increment bid count and update current price
+     * Conditional on the auction being active and the new price beating the
+     * stored one, so of two racing bids at most one can be applied
      * @param {string} auctionId - Auction ID
      * @param {number} newPrice - New current price
      * @param {string} highestBidId - Highest bid ID
-     * @returns {Promise<Object|null>} - Updated auction or null
+     * @returns {Promise<Object|null>} - Updated auction, or null if the price was already met
      */
     async updateBidInfo(auctionId, newPrice, highestBidId) {
         try {
-            const auction = await Auction.findByIdAndUpdate(
-                auctionId,
+            const auction = await Auction.findOneAndUpdate(
+                {
+                    _id: auctionId,
+                    status: 'active',
+                    'pricing.currentPrice': { $lt: newPrice }
+                },
                 {
                     $inc: { 'bidding.totalBids': 1 },
                     $set: {
@@ -387,6 +493,8 @@ class AuctionRepository {
             
             if (auction) {
                 logger.info(`Auction bid info updated: ${auctionId}`);
+            } else {
+                logger.warn(`Auction bid info not updated: ${auctionId} - price ${newPrice} no longer beats current price`);
             }
             
             return auction;
@@ -396,6 +504,115 @@ class AuctionRepository {
         }
     }
 
+    /**
+     * Reset an auction's price and highest bid after a bid was withdrawn
+     * @param {string} auctionId - Auction ID
+     * @param {number} price - Recomputed current price
+     * @param {string|null} highestBidId - Recomputed highest bid ID
+     * @returns {Promise<Object|null>} - Updated auction or null
+     */
+    async resetBidInfo(auctionId, price, highestBidId) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                { _id: auctionId, status: 'active' },
+                {
+                    $inc: { 'bidding.totalBids': -1 },
+                    $set: {
+                        'pricing.currentPrice': price,
+                        'bidding.highestBid': highestBidId
+                    }
+                },
+                { new: true }
+            ).lean();
+            
+            if (auction) {
+                logger.info(`Auction bid info reset: ${auctionId} - price ${price}`);
+            }
+            
+            return auction;
+        } catch (error) {
+            logger.error(`Error resetting auction bid info ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Push an active auction's end time out
+     * Only applies if the end time is still the one the caller saw, so two
+     * late bids cannot both extend from the same deadline
+     * @param {string} auctionId - Auction ID
+     * @param {Date} currentEndTime - End time the extension is based on
+     * @param {Date} newEndTime - New end time
+     * @returns {Promise<Object|null>} - Updated auction or null
+     */
+    async extendEndTime(auctionId, currentEndTime, newEndTime) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                {
+                    _id: auctionId,
+                    status: 'active',
+                    'timing.endTime': currentEndTime
+                },
+                {
+                    $set: { 'timing.endTime': newEndTime },
+                    $min: { 'timing.originalEndTime': currentEndTime },
+                    $inc: { 'timing.extensionCount': 1 }
+                },
+                { new: true }
+            ).lean();
+
+            if (auction) {
+                logger.info(`Auction end time extended: ${auctionId} to ${newEndTime.toISOString()}`);
+            } else {
+                logger.warn(`Auction end time not extended: ${auctionId} - end time or status changed`);
+            }
+
+            return auction;
+        } catch (error) {
+            logger.error(`Error extending auction end time ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Close an active auction with a buy-now purchase
+     * Only applies while the auction is still active, so a purchase cannot
+     * race a close or another purchase
+     * @param {string} auctionId - Auction ID
+     * @param {number} price - Buy-now price paid
+     * @param {string} bidId - Purchase bid ID
+     * @param {string} buyerId - Buyer user ID
+     * @returns {Promise<Object|null>} - Closed auction or null
+     */
+    async closeWithBuyNow(auctionId, price, bidId, buyerId) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                { _id: auctionId, status: 'active' },
+                {
+                    $inc: { 'bidding.totalBids': 1 },
+                    $set: {
+                        status: 'closed',
+                        'pricing.currentPrice': price,
+                        'bidding.highestBid': bidId,
+                        'bidding.winner': buyerId
+                    }
+                },
+                { new: true }
+            ).lean();
+
+            if (auction) {
+                logger.info(`Auction closed by buy-now: ${auctionId} - buyer: ${buyerId}`);
+            } else {
+                logger.warn(`Auction not closed by buy-now: ${auctionId} - no longer active`);
+            }
+
+            return auction;
+        } catch (error) {
+            logger.error(`Error closing auction with buy-now ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Set auction winner
      * @param {string} auctionId - Auction ID
@@ -421,6 +638,59 @@ class AuctionRepository {
         }
     }
 
+    /**
+     * Remove the winner from a closed auction after they failed to pay
+     * Only applies if the given user is still the winner
+     * @param {string} auctionId - Auction ID
+     * @param {string} winnerId - Winner user ID
+     * @returns {Promise<Object|null>} - Updated auction or null
+     */
+    async clearWinner(auctionId, winnerId) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                { _id: auctionId, status: 'closed', 'bidding.winner': winnerId },
+                { $set: { 'bidding.winner': null } },
+                { new: true }
+            ).lean();
+
+            if (auction) {
+                logger.info(`Auction winner cleared: ${auctionId} - unpaid by ${winnerId}`);
+            }
+
+            return auction;
+        } catch (error) {
+            logger.error(`Error clearing auction winner ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Give a closed auction without a winner to a second-chance buyer
+     * Only applies if no one else has been made the winner meanwhile
+     * @param {string} auctionId - Auction ID
+     * @param {string} winnerId - New winner user ID
+     * @param {number} price - Sale price
+     * @returns {Promise<Object|null>} - Updated auction or null
+     */
+    async assignSecondChanceWinner(auctionId, winnerId, price) {
+        try {
+            const auction = await Auction.findOneAndUpdate(
+                { _id: auctionId, status: 'closed', 'bidding.winner': null },
+                { $set: { 'bidding.winner': winnerId, 'pricing.currentPrice': price } },
+                { new: true }
+            ).lean();
+
+            if (auction) {
+                logger.info(`Auction ${auctionId} awarded to second-chance buyer ${winnerId}`);
+            }
+
+            return auction;
+        } catch (error) {
+            logger.error(`Error assigning second-chance winner ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Update AI insights for auction
      * @param {string} auctionId - Auction ID
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import Bid from '../models/bid.model.js';
 import logger from '../config/logger.js';
 
@@ -189,7 +190,8 @@ class BidRepository {
      */
     async findHighestBid(auctionId) {
         try {
-            const bid = await Bid.findOne({ auction: auctionId })
+            // Retracted, voided and cancelled bids no longer count
+            const bid = await Bid.findOne({ auction: auctionId, status: { $nin: ['retracted', 'voided', 'cancelled'] } })
                 .sort({ amount: -1 })
                 .populate('bidder', 'email profile')
                 .lean();
@@ -224,6 +226,64 @@ class BidRepository {
         }
     }
 
+    /**
+     * Find the highest losing bid on a closed auction, one per eligible bidder
+     * Used to pick the next bidder for a second-chance offer
+     * @param {string} auctionId - Auction ID
+     * @param {Array<string>} excludeBidderIds - Bidders to skip (unpaid winners, earlier offers)
+     * @returns {Promise<Object|null>} - Runner-up bid or null
+     */
+    async findRunnerUpBid(auctionId, excludeBidderIds = []) {
+        try {
+            const bid = await Bid.findOne({
+                auction: auctionId,
+                bidder: { $nin: excludeBidderIds },
+                status: { $in: ['lost', 'outbid'] }
+            })
+                .sort({ amount: -1 })
+                .populate('bidder', 'email profile')
+                .lean();
+
+            return bid;
+        } catch (error) {
+            logger.error(`Error finding runner-up bid for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the bidders whose winning bid on an auction went unpaid
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Array>} - Bidder IDs
+     */
+    async findUnpaidBidders(auctionId) {
+        try {
+            const bidders = await Bid.distinct('bidder', { auction: auctionId, status: 'unpaid' });
+            return bidders;
+        } catch (error) {
+            logger.error(`Error finding unpaid bidders for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the users still bidding on an auction (retracted bids excluded)
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Array>} - Bidder IDs
+     */
+    async findActiveBidders(auctionId) {
+        try {
+            const bidders = await Bid.distinct('bidder', {
+                auction: auctionId,
+                status: { $in: ['active', 'outbid'] }
+            });
+            return bidders;
+        } catch (error) {
+            logger.error(`Error finding bidders for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Update bid status
      * @param {string} bidId - Bid ID
@@ -295,6 +355,141 @@ class BidRepository {
         }
     }
 
+    /**
+     * Mark every open (active or outbid) bid on an auction as 'lost'
+     * @param {string} auctionId - Auction ID
+     * @param {string} excludeBidId - Bid ID to exclude (the winning bid)
+     * @returns {Promise<Object>} - Update result
+     */
+    async markOpenBidsAsLost(auctionId, excludeBidId) {
+        try {
+            const result = await Bid.updateMany(
+                {
+                    auction: auctionId,
+                    _id: { $ne: excludeBidId },
+                    status: { $in: ['active', 'outbid'] }
+                },
+                { $set: { status: 'lost' } }
+            );
+            
+            logger.info(`Marked ${result.modifiedCount} bids as lost for auction ${auctionId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Error marking bids as lost for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark every open (active or outbid) bid on an auction as 'cancelled'
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object>} - Update result
+     */
+    async cancelOpenBids(auctionId) {
+        try {
+            const result = await Bid.updateMany(
+                {
+                    auction: auctionId,
+                    status: { $in: ['active', 'outbid'] }
+                },
+                { $set: { status: 'cancelled' } }
+            );
+            
+            logger.info(`Cancelled ${result.modifiedCount} bids for auction ${auctionId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Error cancelling bids for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a bid as retracted
+     * @param {string} bidId - Bid ID
+     * @param {Object} retraction - Retraction details (reasonCode, explanation)
+     * @returns {Promise<Object|null>} - Updated bid or null
+     */
+    async markRetracted(bidId, retraction) {
+        try {
+            const bid = await Bid.findOneAndUpdate(
+                { _id: bidId, status: { $in: ['active', 'outbid'] } },
+                {
+                    $set: {
+                        status: 'retracted',
+                        'retraction.reasonCode': retraction.reasonCode,
+                        'retraction.explanation': retraction.explanation || null,
+                        'retraction.retractedAt': new Date()
+                    }
+                },
+                { new: true }
+            ).lean();
+            
+            if (bid) {
+                logger.info(`Bid retracted: ${bidId} (${retraction.reasonCode})`);
+            }
+            
+            return bid;
+        } catch (error) {
+            logger.error(`Error retracting bid ${bidId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Count a bidder's retractions since a given date
+     * @param {string} bidderId - Bidder user ID
+     * @param {Date} since - Start of the period
+     * @returns {Promise<number>} - Retraction count
+     */
+    async countRetractionsByBidder(bidderId, since) {
+        try {
+            const count = await Bid.countDocuments({
+                bidder: bidderId,
+                status: 'retracted',
+                'retraction.retractedAt': { $gte: since }
+            });
+            return count;
+        } catch (error) {
+            logger.error(`Error counting retractions for bidder ${bidderId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Flag a bid for admin review, keeping any existing reasons
+     * @param {string} bidId - Bid ID
+     * @param {string|Array<string>} reason - Flag reason(s)
+     * @param {number} riskScore - Minimum risk score to record
+     * @returns {Promise<Object|null>} - Updated bid or null
+     */
+    async flagBid(bidId, reason, riskScore) {
+        try {
+            const reasons = Array.isArray(reason) ? reason : [reason];
+
+            const bid = await Bid.findByIdAndUpdate(
+                bidId,
+                {
+                    $set: {
+                        'fraudAnalysis.isFlagged': true,
+                        'fraudAnalysis.analyzedAt': new Date()
+                    },
+                    $max: { 'fraudAnalysis.riskScore': riskScore },
+                    $addToSet: { 'fraudAnalysis.reasons': { $each: reasons } }
+                },
+                { new: true }
+            ).lean();
+            
+            if (bid) {
+                logger.info(`Bid flagged: ${bidId} (${reasons.join(', ')})`);
+            }
+            
+            return bid;
+        } catch (error) {
+            logger.error(`Error flagging bid ${bidId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Update fraud analysis for a bid
      * @param {string} bidId - Bid ID
@@ -353,6 +548,132 @@ class BidRepository {
         }
     }
 
+    /**
+     * Mark a bid as voided by a moderator
+     * Only open (active or outbid) bids can be voided
+     * @param {string} bidId - Bid ID
+     * @returns {Promise<Object|null>} - Updated bid, or null if the bid was not open
+     */
+    async markVoided(bidId) {
+        try {
+            const bid = await Bid.findOneAndUpdate(
+                { _id: bidId, status: { $in: ['active', 'outbid'] } },
+                { $set: { status: 'voided' } },
+                { new: true }
+            ).lean();
+
+            if (bid) {
+                logger.info(`Bid voided: ${bidId}`);
+            }
+
+            return bid;
+        } catch (error) {
+            logger.error(`Error voiding bid ${bidId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear a bid's fraud flag (e.g. once its fraud case is dismissed)
+     * @param {string} bidId - Bid ID
+     * @returns {Promise<Object|null>} - Updated bid or null
+     */
+    async clearFlag(bidId) {
+        try {
+            const bid = await Bid.findByIdAndUpdate(
+                bidId,
+                { $set: { 'fraudAnalysis.isFlagged': false } },
+                { new: true }
+            ).lean();
+
+            if (bid) {
+                logger.info(`Bid flag cleared: ${bidId}`);
+            }
+
+            return bid;
+        } catch (error) {
+            logger.error(`Error clearing flag on bid ${bidId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Summarize each bidder's activity on a set of auctions
+     * @param {Array<string>} auctionIds - Auction IDs
+     * @param {Array<string>|null} bidderIds - Only these bidders (null for all)
+     * @returns {Promise<Array>} - [{ bidder, bids, auctions, wins, outbid, ipAddresses, userAgents }]
+     */
+    async summarizeBiddersOnAuctions(auctionIds, bidderIds = null) {
+        try {
+            const match = { auction: { $in: auctionIds.map(id => new mongoose.Types.ObjectId(id)) } };
+            if (bidderIds) {
+                match.bidder = { $in: bidderIds.map(id => new mongoose.Types.ObjectId(id)) };
+            }
+
+            const summary = await Bid.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: '$bidder',
+                        bids: { $sum: 1 },
+                        auctions: { $addToSet: '$auction' },
+                        wins: {
+                            $sum: { $cond: [{ $in: ['$status', ['won', 'unpaid']] }, 1, 0] }
+                        },
+                        outbid: {
+                            $sum: { $cond: [{ $in: ['$status', ['outbid', 'lost']] }, 1, 0] }
+                        },
+                        ipAddresses: { $addToSet: '$metadata.ipAddress' },
+                        userAgents: { $addToSet: '$metadata.userAgent' }
+                    }
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        bidder: '$_id',
+                        bids: 1,
+                        auctions: 1,
+                        wins: 1,
+                        outbid: 1,
+                        ipAddresses: 1,
+                        userAgents: 1
+                    }
+                }
+            ]);
+
+            return summary;
+        } catch (error) {
+            logger.error('Error summarizing bidders on auctions:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Count bids per bidder since a date
+     * @param {Array<string>} bidderIds - Bidder user IDs
+     * @param {Date} since - Earliest bid time
+     * @returns {Promise<Array>} - [{ bidder, count }]
+     */
+    async countByBiddersSince(bidderIds, since) {
+        try {
+            const counts = await Bid.aggregate([
+                {
+                    $match: {
+                        bidder: { $in: bidderIds.map(id => new mongoose.Types.ObjectId(id)) },
+                        timestamp: { $gte: since }
+                    }
+                },
+                { $group: { _id: '$bidder', count: { $sum: 1 } } },
+                { $project: { _id: 0, bidder: '$_id', count: 1 } }
+            ]);
+
+            return counts;
+        } catch (error) {
+            logger.error('Error counting bids by bidders:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get bid count for an auction
      * @param {string} auctionId - Auction ID
@@ -0,0 +1,179 @@
+import FraudCase from '../models/fraud-case.model.js';
+import logger from '../config/logger.js';
+
+const CASE_POPULATE = [
+    { path: 'bid', select: 'amount status timestamp fraudAnalysis' },
+    { path: 'auction', select: 'title status pricing.currentPrice' },
+    { path: 'bidder', select: 'email profile moderation' },
+    { path: 'assignedTo', select: 'email profile' }
+];
+
+/**
+ * FraudCaseRepository - Data access layer for FraudCase entity
+ * Handles all database operations for the fraud review queue
+ */
+class FraudCaseRepository {
+    /**
+     * Open a case for a flagged bid, or raise the risk on the one already open
+     * @param {Object} bid - Flagged bid (_id, auction, bidder)
+     * @param {number} riskScore - Risk score reported with the flag
+     * @param {Array<string>} reasons - Flag reasons
+     * @returns {Promise<Object>} - Open fraud case
+     */
+    async upsertOpenForBid(bid, riskScore, reasons = []) {
+        try {
+            const fraudCase = await FraudCase.findOneAndUpdate(
+                { bid: bid._id, status: { $in: ['open', 'investigating'] } },
+                {
+                    $setOnInsert: {
+                        bid: bid._id,
+                        auction: bid.auction,
+                        bidder: bid.bidder,
+                        status: 'open'
+                    },
+                    $max: { riskScore },
+                    $addToSet: { reasons: { $each: reasons } }
+                },
+                { upsert: true, new: true }
+            ).lean();
+
+            logger.info(`Fraud case ${fraudCase._id} open for bid ${bid._id} (risk ${fraudCase.riskScore})`);
+            return fraudCase;
+        } catch (error) {
+            logger.error(`Error opening fraud case for bid ${bid._id}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find fraud case by ID
+     * @param {string} caseId - Fraud case ID
+     * @param {boolean} populate - Whether to populate bid, auction and users
+     * @returns {Promise<Object|null>} - Fraud case or null
+     */
+    async findById(caseId, populate = false) {
+        try {
+            let query = FraudCase.findById(caseId);
+
+            if (populate) {
+                query = query.populate(CASE_POPULATE).populate('notes.author', 'email profile');
+            }
+
+            const fraudCase = await query.lean();
+            return fraudCase;
+        } catch (error) {
+            logger.error(`Error finding fraud case by ID ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find fraud cases, highest risk first
+     * @param {Object} filter - Query filter (status, assignedTo)
+     * @param {number} page - Page number
+     * @param {number} limit - Items per page
+     * @returns {Promise<Object>} - Cases and pagination info
+     */
+    async findWithPagination(filter = {}, page = 1, limit = 20) {
+        try {
+            const skip = (page - 1) * limit;
+
+            const [cases, total] = await Promise.all([
+                FraudCase.find(filter)
+                    .sort({ riskScore: -1, createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .select('-notes')
+                    .populate(CASE_POPULATE)
+                    .lean(),
+                FraudCase.countDocuments(filter)
+            ]);
+
+            return {
+                cases,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error finding fraud cases:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a case that is still in the expected status
+     * Guards against two admins moving the same case at once
+     * @param {string} caseId - Fraud case ID
+     * @param {string} fromStatus - Expected current status
+     * @param {Object} updateData - Fields to set (dot notation allowed)
+     * @returns {Promise<Object|null>} - Updated case or null
+     */
+    async transition(caseId, fromStatus, updateData) {
+        try {
+            const fraudCase = await FraudCase.findOneAndUpdate(
+                { _id: caseId, status: fromStatus },
+                { $set: updateData },
+                { new: true, runValidators: true }
+            ).lean();
+
+            if (fraudCase) {
+                logger.info(`Fraud case ${caseId} moved from ${fromStatus} to ${fraudCase.status}`);
+            } else {
+                logger.warn(`Fraud case ${caseId} not updated - no longer ${fromStatus}`);
+            }
+
+            return fraudCase;
+        } catch (error) {
+            logger.error(`Error updating fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Append a note to a case
+     * @param {string} caseId - Fraud case ID
+     * @param {Object} note - Note (author, body)
+     * @returns {Promise<Object|null>} - Updated case or null
+     */
+    async addNote(caseId, note) {
+        try {
+            const fraudCase = await FraudCase.findByIdAndUpdate(
+                caseId,
+                { $push: { notes: note } },
+                { new: true, runValidators: true }
+            ).lean();
+
+            return fraudCase;
+        } catch (error) {
+            logger.error(`Error adding note to fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an action taken on a case
+     * @param {string} caseId - Fraud case ID
+     * @param {Object} action - Action (type, performedBy, details)
+     * @returns {Promise<Object|null>} - Updated case or null
+     */
+    async addAction(caseId, action) {
+        try {
+            const fraudCase = await FraudCase.findByIdAndUpdate(
+                caseId,
+                { $push: { actions: action } },
+                { new: true, runValidators: true }
+            ).lean();
+
+            return fraudCase;
+        } catch (error) {
+            logger.error(`Error recording action on fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new FraudCaseRepository();
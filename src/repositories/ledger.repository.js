@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import LedgerTransaction from '../models/ledger-transaction.model.js';
+import logger from '../config/logger.js';
+
+/**
+ * LedgerRepository - Data access layer for LedgerTransaction entity
+ * Handles all database operations for the double-entry escrow ledger
+ */
+class LedgerRepository {
+    /**
+     * Post a ledger transaction
+     * @param {Object} transactionData - Transaction data (type, reference, lines, ...)
+     * @returns {Promise<Object|null>} - Created transaction, or null if the reference was already posted
+     */
+    async create(transactionData) {
+        try {
+            const transaction = new LedgerTransaction(transactionData);
+            await transaction.save();
+
+            logger.info(`Ledger transaction posted: ${transaction.type} (${transaction.reference})`);
+            return transaction.toObject();
+        } catch (error) {
+            if (error.code === 11000) {
+                logger.warn(`Ledger transaction already posted: ${transactionData.reference}`);
+                return null;
+            }
+            logger.error('Error posting ledger transaction:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a transaction by its reference
+     * @param {string} reference - Transaction reference
+     * @returns {Promise<Object|null>} - Transaction or null
+     */
+    async findByReference(reference) {
+        try {
+            const transaction = await LedgerTransaction.findOne({ reference }).lean();
+            return transaction;
+        } catch (error) {
+            logger.error(`Error finding ledger transaction ${reference}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Sum a user's debits and credits per account
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - [{ account, debits, credits }]
+     */
+    async sumByUser(userId) {
+        try {
+            const userObjectId = new mongoose.Types.ObjectId(userId);
+
+            const totals = await LedgerTransaction.aggregate([
+                { $match: { 'lines.user': userObjectId } },
+                { $unwind: '$lines' },
+                { $match: { 'lines.user': userObjectId } },
+                {
+                    $group: {
+                        _id: '$lines.account',
+                        debits: {
+                            $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] }
+                        },
+                        credits: {
+                            $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] }
+                        }
+                    }
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        account: '$_id',
+                        debits: 1,
+                        credits: 1
+                    }
+                }
+            ]);
+
+            return totals;
+        } catch (error) {
+            logger.error(`Error summing ledger for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Sum a payment's debits and credits per account
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Array>} - [{ account, debits, credits }]
+     */
+    async sumByPayment(paymentId) {
+        try {
+            const totals = await LedgerTransaction.aggregate([
+                { $match: { payment: new mongoose.Types.ObjectId(paymentId) } },
+                { $unwind: '$lines' },
+                {
+                    $group: {
+                        _id: '$lines.account',
+                        debits: {
+                            $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] }
+                        },
+                        credits: {
+                            $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] }
+                        }
+                    }
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        account: '$_id',
+                        debits: 1,
+                        credits: 1
+                    }
+                }
+            ]);
+
+            return totals;
+        } catch (error) {
+            logger.error(`Error summing ledger for payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's ledger lines, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - Query options (page, limit)
+     * @returns {Promise<Object>} - Entries and pagination info
+     */
+    async findEntriesByUser(userId, options = {}) {
+        try {
+            const { page = 1, limit = 50 } = options;
+            const skip = (page - 1) * limit;
+            const userObjectId = new mongoose.Types.ObjectId(userId);
+
+            const [result] = await LedgerTransaction.aggregate([
+                { $match: { 'lines.user': userObjectId } },
+                { $unwind: '$lines' },
+                { $match: { 'lines.user': userObjectId } },
+                { $sort: { createdAt: -1, _id: -1 } },
+                {
+                    $facet: {
+                        entries: [
+                            { $skip: skip },
+                            { $limit: limit },
+                            {
+                                $project: {
+                                    _id: 0,
+                                    transactionId: '$_id',
+                                    type: 1,
+                                    reference: 1,
+                                    auction: 1,
+                                    payment: 1,
+                                    description: 1,
+                                    account: '$lines.account',
+                                    direction: '$lines.direction',
+                                    amount: '$lines.amount',
+                                    createdAt: 1
+                                }
+                            }
+                        ],
+                        total: [{ $count: 'count' }]
+                    }
+                }
+            ]);
+
+            const total = result.total.length > 0 ? result.total[0].count : 0;
+
+            return {
+                entries: result.entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Error finding ledger entries for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new LedgerRepository();
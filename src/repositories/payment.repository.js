@@ -0,0 +1,132 @@
+import Payment from '../models/payment.model.js';
+import logger from '../config/logger.js';
+
+/**
+ * PaymentRepository - Data access layer for Payment entity
+ * Handles all database operations for won-auction payments
+ */
+class PaymentRepository {
+    /**
+     * Create a new payment
+     * @param {Object} paymentData - Payment data
+     * @returns {Promise<Object>} - Created payment
+     */
+    async create(paymentData) {
+        try {
+            const payment = new Payment(paymentData);
+            await payment.save();
+
+            logger.info(`Payment created: ${payment._id} for auction ${payment.auction}`);
+            return payment.toObject();
+        } catch (error) {
+            logger.error('Error creating payment:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find payment by ID
+     * @param {string} paymentId - Payment ID
+     * @param {Array|string} populate - Fields to populate
+     * @returns {Promise<Object|null>} - Payment or null
+     */
+    async findById(paymentId, populate = null) {
+        try {
+            let query = Payment.findById(paymentId);
+
+            if (populate) {
+                query = query.populate(populate);
+            }
+
+            const payment = await query.lean();
+            return payment;
+        } catch (error) {
+            logger.error(`Error finding payment by ID ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the payment that currently settles an auction (pending or completed)
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object|null>} - Payment or null
+     */
+    async findLiveByAuction(auctionId) {
+        try {
+            const payment = await Payment.findOne({
+                auction: auctionId,
+                status: { $in: ['pending', 'completed'] }
+            })
+                .sort({ createdAt: -1 })
+                .lean();
+
+            return payment;
+        } catch (error) {
+            logger.error(`Error finding payment for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a payment from one status to another
+     * Only applies if the payment is still in the expected status, so two
+     * concurrent confirmations or refunds cannot both succeed
+     * @param {string} paymentId - Payment ID
+     * @param {string} fromStatus - Expected current status
+     * @param {Object} updateData - Fields to set (dot notation allowed)
+     * @returns {Promise<Object|null>} - Updated payment or null
+     */
+    async transition(paymentId, fromStatus, updateData) {
+        try {
+            const payment = await Payment.findOneAndUpdate(
+                { _id: paymentId, status: fromStatus },
+                { $set: updateData },
+                { new: true, runValidators: true }
+            ).lean();
+
+            if (payment) {
+                logger.info(`Payment ${paymentId} moved from ${fromStatus} to ${payment.status}`);
+            } else {
+                logger.warn(`Payment ${paymentId} not updated - no longer ${fromStatus}`);
+            }
+
+            return payment;
+        } catch (error) {
+            logger.error(`Error updating payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the buyer's delivery confirmation on a paid payment
+     * Partially refunded payments still qualify; only applies once
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object|null>} - Updated payment or null
+     */
+    async confirmDelivery(paymentId) {
+        try {
+            const payment = await Payment.findOneAndUpdate(
+                {
+                    _id: paymentId,
+                    status: { $in: ['completed', 'refunded'] },
+                    'timeline.deliveryConfirmedAt': { $exists: false }
+                },
+                { $set: { 'timeline.deliveryConfirmedAt': new Date() } },
+                { new: true }
+            ).lean();
+
+            if (payment) {
+                logger.info(`Delivery confirmed for payment ${paymentId}`);
+            } else {
+                logger.warn(`Delivery not confirmed for payment ${paymentId} - not paid or already confirmed`);
+            }
+
+            return payment;
+        } catch (error) {
+            logger.error(`Error confirming delivery for payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new PaymentRepository();
@@ -0,0 +1,169 @@
+import ProxyBid from '../models/proxy-bid.model.js';
+import logger from '../config/logger.js';
+
+/**
+ * ProxyBidRepository - Data access layer for ProxyBid entity
+ * Handles all database operations for hidden maximum (automatic) bids
+ */
+class ProxyBidRepository {
+    /**
+     * Create or raise a bidder's proxy bid on an auction
+     * @param {string} auctionId - Auction ID
+     * @param {string} bidderId - Bidder user ID
+     * @param {number} maxAmount - Hidden maximum amount
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Upserted proxy bid
+     */
+    async upsert(auctionId, bidderId, maxAmount, metadata = {}) {
+        try {
+            const proxyBid = await ProxyBid.findOneAndUpdate(
+                { auction: auctionId, bidder: bidderId },
+                {
+                    $set: {
+                        maxAmount,
+                        status: 'active',
+                        placedAt: new Date(),
+                        'metadata.ipAddress': metadata.ipAddress || null,
+                        'metadata.userAgent': metadata.userAgent || null
+                    }
+                },
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            ).lean();
+
+            logger.info(`Proxy bid set: ${proxyBid._id} for auction ${auctionId} by bidder ${bidderId}`);
+            return proxyBid;
+        } catch (error) {
+            logger.error('Error upserting proxy bid:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a bidder's proxy bid on an auction
+     * @param {string} auctionId - Auction ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object|null>} - Proxy bid or null
+     */
+    async findByAuctionAndBidder(auctionId, bidderId) {
+        try {
+            const proxyBid = await ProxyBid.findOne({
+                auction: auctionId,
+                bidder: bidderId
+            }).lean();
+
+            return proxyBid;
+        } catch (error) {
+            logger.error(`Error finding proxy bid for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find active proxy bids for an auction, strongest first
+     * Ties on maxAmount are broken by who set their maximum first
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Array>} - Active proxy bids
+     */
+    async findActiveByAuction(auctionId) {
+        try {
+            const proxyBids = await ProxyBid.find({
+                auction: auctionId,
+                status: 'active'
+            })
+                .sort({ maxAmount: -1, placedAt: 1 })
+                .lean();
+
+            return proxyBids;
+        } catch (error) {
+            logger.error(`Error finding active proxy bids for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update proxy bid status
+     * @param {string} proxyBidId - Proxy bid ID
+     * @param {string} status - New status
+     * @returns {Promise<Object|null>} - Updated proxy bid or null
+     */
+    async updateStatus(proxyBidId, status) {
+        try {
+            const proxyBid = await ProxyBid.findByIdAndUpdate(
+                proxyBidId,
+                { $set: { status } },
+                { new: true }
+            ).lean();
+
+            if (proxyBid) {
+                logger.info(`Proxy bid status updated: ${proxyBidId} to ${status}`);
+            }
+
+            return proxyBid;
+        } catch (error) {
+            logger.error(`Error updating proxy bid status ${proxyBidId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark multiple proxy bids as exhausted
+     * @param {Array<string>} proxyBidIds - Array of proxy bid IDs
+     * @returns {Promise<Object>} - Update result
+     */
+    async markExhausted(proxyBidIds) {
+        try {
+            const result = await ProxyBid.updateMany(
+                { _id: { $in: proxyBidIds }, status: 'active' },
+                { $set: { status: 'exhausted' } }
+            );
+
+            logger.info(`Marked ${result.modifiedCount} proxy bids as exhausted`);
+            return result;
+        } catch (error) {
+            logger.error('Error marking proxy bids as exhausted:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel every active proxy bid on an auction
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object>} - Update result
+     */
+    async cancelActiveByAuction(auctionId) {
+        try {
+            const result = await ProxyBid.updateMany(
+                { auction: auctionId, status: 'active' },
+                { $set: { status: 'cancelled' } }
+            );
+
+            logger.info(`Cancelled ${result.modifiedCount} proxy bids for auction ${auctionId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Error cancelling proxy bids for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel every active proxy bid held by a bidder
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object>} - Update result
+     */
+    async cancelActiveByBidder(bidderId) {
+        try {
+            const result = await ProxyBid.updateMany(
+                { bidder: bidderId, status: 'active' },
+                { $set: { status: 'cancelled' } }
+            );
+
+            logger.info(`Cancelled ${result.modifiedCount} proxy bids for bidder ${bidderId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Error cancelling proxy bids for bidder ${bidderId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new ProxyBidRepository();
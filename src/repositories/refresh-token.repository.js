@@ -0,0 +1,107 @@
+import RefreshToken from '../models/refresh-token.model.js';
+import logger from '../config/logger.js';
+
+/**
+ * RefreshTokenRepository - Data access layer for RefreshToken entity
+ * Handles all database operations for issued refresh tokens
+ */
+class RefreshTokenRepository {
+    /**
+     * Record an issued refresh token
+     * @param {Object} tokenData - Token data (user, jti, family, expiresAt, metadata)
+     * @returns {Promise<Object>} - Created record
+     */
+    async create(tokenData) {
+        try {
+            const token = new RefreshToken(tokenData);
+            await token.save();
+
+            return token.toObject();
+        } catch (error) {
+            logger.error('Error recording refresh token:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a refresh token record by its JWT ID
+     * @param {string} jti - JWT ID
+     * @returns {Promise<Object|null>} - Record or null
+     */
+    async findByJti(jti) {
+        try {
+            const token = await RefreshToken.findOne({ jti }).lean();
+            return token;
+        } catch (error) {
+            logger.error(`Error finding refresh token ${jti}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark an active token as rotated
+     * Only applies while the token is still active, so two concurrent
+     * refreshes with the same token cannot both succeed
+     * @param {string} jti - JWT ID of the token being rotated
+     * @param {string} replacedBy - JWT ID of the new token
+     * @returns {Promise<Object|null>} - Updated record, or null if no longer active
+     */
+    async markRotated(jti, replacedBy) {
+        try {
+            const token = await RefreshToken.findOneAndUpdate(
+                { jti, status: 'active' },
+                { $set: { status: 'rotated', replacedBy } },
+                { new: true }
+            ).lean();
+
+            return token;
+        } catch (error) {
+            logger.error(`Error rotating refresh token ${jti}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every token in a family that is not already revoked
+     * @param {string} family - Token family ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<number>} - Number of tokens revoked
+     */
+    async revokeFamily(family, reason) {
+        try {
+            const result = await RefreshToken.updateMany(
+                { family, status: { $ne: 'revoked' } },
+                { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+            );
+
+            logger.info(`Refresh token family ${family} revoked (${reason}): ${result.modifiedCount} tokens`);
+            return result.modifiedCount;
+        } catch (error) {
+            logger.error(`Error revoking refresh token family ${family}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every token a user holds
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<number>} - Number of tokens revoked
+     */
+    async revokeAllForUser(userId, reason) {
+        try {
+            const result = await RefreshToken.updateMany(
+                { user: userId, status: { $ne: 'revoked' } },
+                { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+            );
+
+            logger.info(`Refresh tokens revoked for user ${userId} (${reason}): ${result.modifiedCount} tokens`);
+            return result.modifiedCount;
+        } catch (error) {
+            logger.error(`Error revoking refresh tokens for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new RefreshTokenRepository();
@@ -0,0 +1,114 @@
+import SecondChanceOffer from '../models/second-chance-offer.model.js';
+import logger from '../config/logger.js';
+
+/**
+ * SecondChanceOfferRepository - Data access layer for SecondChanceOffer entity
+ * Handles all database operations for offers made after a winner does not pay
+ */
+class SecondChanceOfferRepository {
+    /**
+     * Create a new offer
+     * @param {Object} offerData - Offer data
+     * @returns {Promise<Object>} - Created offer
+     */
+    async create(offerData) {
+        try {
+            const offer = new SecondChanceOffer(offerData);
+            await offer.save();
+
+            logger.info(`Second-chance offer created: ${offer._id} for auction ${offer.auction}`);
+            return offer.toObject();
+        } catch (error) {
+            logger.error('Error creating second-chance offer:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find offer by ID
+     * @param {string} offerId - Offer ID
+     * @param {Array|string} populate - Fields to populate
+     * @returns {Promise<Object|null>} - Offer or null
+     */
+    async findById(offerId, populate = null) {
+        try {
+            let query = SecondChanceOffer.findById(offerId);
+
+            if (populate) {
+                query = query.populate(populate);
+            }
+
+            const offer = await query.lean();
+            return offer;
+        } catch (error) {
+            logger.error(`Error finding second-chance offer by ID ${offerId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the pending offer on an auction
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object|null>} - Offer or null
+     */
+    async findPendingByAuction(auctionId) {
+        try {
+            const offer = await SecondChanceOffer.findOne({
+                auction: auctionId,
+                status: 'pending'
+            }).lean();
+
+            return offer;
+        } catch (error) {
+            logger.error(`Error finding pending offer for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the bidders who already received an offer on an auction
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Array>} - Bidder IDs
+     */
+    async findOfferedBidders(auctionId) {
+        try {
+            const bidders = await SecondChanceOffer.distinct('bidder', { auction: auctionId });
+            return bidders;
+        } catch (error) {
+            logger.error(`Error finding offered bidders for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move an offer from one status to another
+     * Only applies if the offer is still in the expected status, so an offer
+     * cannot be both accepted and declined
+     * @param {string} offerId - Offer ID
+     * @param {string} fromStatus - Expected current status
+     * @param {Object} updateData - Fields to set
+     * @returns {Promise<Object|null>} - Updated offer or null
+     */
+    async transition(offerId, fromStatus, updateData) {
+        try {
+            const offer = await SecondChanceOffer.findOneAndUpdate(
+                { _id: offerId, status: fromStatus },
+                { $set: updateData },
+                { new: true, runValidators: true }
+            ).lean();
+
+            if (offer) {
+                logger.info(`Second-chance offer ${offerId} moved from ${fromStatus} to ${offer.status}`);
+            } else {
+                logger.warn(`Second-chance offer ${offerId} not updated - no longer ${fromStatus}`);
+            }
+
+            return offer;
+        } catch (error) {
+            logger.error(`Error updating second-chance offer ${offerId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new SecondChanceOfferRepository();
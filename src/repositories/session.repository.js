@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import Session from '../models/session.model.js';
+import logger from '../config/logger.js';
+
+/**
+ * SessionRepository - Data access layer for Session entity
+ * Handles all database operations for logged-in devices
+ */
+class SessionRepository {
+    /**
+     * Generate a session ID ahead of creation
+     * Tokens carry the ID, so it is needed before the session is stored
+     * @returns {string} - New session ID
+     */
+    generateId() {
+        return new mongoose.Types.ObjectId().toString();
+    }
+
+    /**
+     * Create a new session
+     * @param {Object} sessionData - Session data
+     * @returns {Promise<Object>} - Created session
+     */
+    async create(sessionData) {
+        try {
+            const session = new Session(sessionData);
+            await session.save();
+
+            logger.info(`Session created: ${session._id} for user ${session.user}`);
+            return session.toObject();
+        } catch (error) {
+            logger.error('Error creating session:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find session by ID
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} - Session or null
+     */
+    async findById(sessionId) {
+        try {
+            const session = await Session.findById(sessionId).lean();
+            return session;
+        } catch (error) {
+            logger.error(`Error finding session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's active sessions, most recently seen first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Sessions
+     */
+    async findActiveByUser(userId) {
+        try {
+            const sessions = await Session.find({
+                user: userId,
+                status: 'active',
+                expiresAt: { $gt: new Date() }
+            })
+                .sort({ lastSeenAt: -1 })
+                .lean();
+
+            return sessions;
+        } catch (error) {
+            logger.error(`Error finding sessions for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record activity on a session
+     * @param {string} sessionId - Session ID
+     * @param {Object} updateData - Fields to set (lastSeenAt, ipAddress, expiresAt, ...)
+     * @param {Date} seenBefore - Only update if last seen before this time (throttles writes)
+     * @returns {Promise<Object|null>} - Updated session or null
+     */
+    async touch(sessionId, updateData, seenBefore = null) {
+        try {
+            const filter = { _id: sessionId, status: 'active' };
+            if (seenBefore) {
+                filter.lastSeenAt = { $lt: seenBefore };
+            }
+
+            const session = await Session.findOneAndUpdate(
+                filter,
+                { $set: updateData },
+                { new: true }
+            ).lean();
+
+            return session;
+        } catch (error) {
+            logger.error(`Error updating session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke an active session
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<Object|null>} - Revoked session, or null if not active
+     */
+    async revoke(sessionId, reason) {
+        try {
+            const session = await Session.findOneAndUpdate(
+                { _id: sessionId, status: 'active' },
+                { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } },
+                { new: true }
+            ).lean();
+
+            if (session) {
+                logger.info(`Session revoked: ${sessionId} (${reason})`);
+            }
+
+            return session;
+        } catch (error) {
+            logger.error(`Error revoking session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every active session of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<Array<string>>} - IDs of the revoked sessions
+     */
+    async revokeAllForUser(userId, reason) {
+        try {
+            const sessions = await Session.find({ user: userId, status: 'active' })
+                .select('_id')
+                .lean();
+            const sessionIds = sessions.map(session => session._id);
+
+            if (sessionIds.length > 0) {
+                await Session.updateMany(
+                    { _id: { $in: sessionIds }, status: 'active' },
+                    { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+                );
+            }
+
+            logger.info(`Sessions revoked for user ${userId} (${reason}): ${sessionIds.length}`);
+            return sessionIds.map(id => id.toString());
+        } catch (error) {
+            logger.error(`Error revoking sessions for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new SessionRepository();
@@ -222,6 +222,78 @@ class UserRepository {
         }
     }
 
+    /**
+     * Find the notification preferences of several users
+     * @param {Array<string>} userIds - User IDs
+     * @returns {Promise<Array>} - [{ _id, notificationPreferences }]
+     */
+    async findNotificationPreferences(userIds) {
+        try {
+            const users = await User.find({ _id: { $in: userIds } })
+                .select('notificationPreferences')
+                .lean();
+
+            return users;
+        } catch (error) {
+            logger.error('Error finding notification preferences:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find which of several users are currently suspended or banned
+     * Mirrors User#isRestricted: lapsed suspensions no longer count
+     * @param {Array<string>} userIds - User IDs
+     * @returns {Promise<Array<string>>} - IDs of the restricted users
+     */
+    async findRestrictedIds(userIds) {
+        try {
+            const users = await User.find({
+                _id: { $in: userIds },
+                'moderation.status': { $in: ['suspended', 'banned'] },
+                $or: [
+                    { 'moderation.expiresAt': null },
+                    { 'moderation.expiresAt': { $gt: new Date() } }
+                ]
+            })
+                .select('_id')
+                .lean();
+
+            return users.map(user => user._id.toString());
+        } catch (error) {
+            logger.error('Error finding restricted users:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an unpaid-item strike against a buyer
+     * @param {string} userId - User ID
+     * @param {string} auctionId - Auction that went unpaid
+     * @returns {Promise<Object|null>} - Updated stats and strikes or null
+     */
+    async addUnpaidStrike(userId, auctionId) {
+        try {
+            const user = await User.findByIdAndUpdate(
+                userId,
+                {
+                    $push: { strikes: { reason: 'unpaid_item', auction: auctionId } },
+                    $inc: { 'stats.unpaidStrikes': 1 }
+                },
+                { new: true }
+            ).select('stats strikes').lean();
+
+            if (user) {
+                logger.info(`Unpaid strike recorded for user ${userId} (auction ${auctionId})`);
+            }
+
+            return user;
+        } catch (error) {
+            logger.error(`Error recording strike for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Update notification preferences
      * @param {string} userId - User ID
@@ -0,0 +1,116 @@
+import express from 'express';
+import {
+    suspendUser,
+    banUser,
+    unbanUser,
+    cancelAuction,
+    getFlaggedBids,
+    getShillReport,
+    getFraudCases,
+    getFraudCase,
+    assignFraudCase,
+    updateFraudCaseStatus,
+    addFraudCaseNote,
+    voidFraudCaseBid,
+    suspendFraudCaseBidder
+} from '../controllers/admin.controller.js';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate, adminValidation } from '../middlewares/validation.middleware.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   POST /api/v1/admin/users/:id/suspend
+ * @desc    Suspend a user until a given time
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/suspend', validate(adminValidation.suspendUser), suspendUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/ban
+ * @desc    Ban a user, indefinitely unless an expiry is given
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/ban', validate(adminValidation.banUser), banUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/unban
+ * @desc    Lift a user's suspension or ban
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/unban', validate(adminValidation.unbanUser), unbanUser);
+
+/**
+ * @route   POST /api/v1/admin/auctions/:id/cancel
+ * @desc    Force-cancel an auction, cancelling its bids and notifying the seller and bidders
+ * @access  Private (Admin only)
+ */
+router.post('/auctions/:id/cancel', validate(adminValidation.cancelAuction), cancelAuction);
+
+/**
+ * @route   GET /api/v1/admin/bids/flagged
+ * @desc    List bids flagged by fraud analysis, highest risk first
+ * @access  Private (Admin only)
+ */
+router.get('/bids/flagged', validate(adminValidation.getFlaggedBids), getFlaggedBids);
+
+/**
+ * @route   GET /api/v1/admin/sellers/:id/shill-report
+ * @desc    Report bidders suspected of shill bidding on a seller's auctions
+ * @access  Private (Admin only)
+ */
+router.get('/sellers/:id/shill-report', validate(adminValidation.getShillReport), getShillReport);
+
+/**
+ * @route   GET /api/v1/admin/fraud-cases
+ * @desc    List fraud cases, highest risk first
+ * @access  Private (Admin only)
+ */
+router.get('/fraud-cases', validate(adminValidation.getFraudCases), getFraudCases);
+
+/**
+ * @route   GET /api/v1/admin/fraud-cases/:id
+ * @desc    Get a fraud case with its bid, auction, bidder and notes
+ * @access  Private (Admin only)
+ */
+router.get('/fraud-cases/:id', validate(adminValidation.fraudCaseId), getFraudCase);
+
+/**
+ * @route   PUT /api/v1/admin/fraud-cases/:id/assign
+ * @desc    Assign a fraud case to an admin (defaults to the caller)
+ * @access  Private (Admin only)
+ */
+router.put('/fraud-cases/:id/assign', validate(adminValidation.assignFraudCase), assignFraudCase);
+
+/**
+ * @route   PUT /api/v1/admin/fraud-cases/:id/status
+ * @desc    Move a fraud case to open, investigating, confirmed or dismissed
+ * @access  Private (Admin only)
+ */
+router.put('/fraud-cases/:id/status', validate(adminValidation.updateFraudCaseStatus), updateFraudCaseStatus);
+
+/**
+ * @route   POST /api/v1/admin/fraud-cases/:id/notes
+ * @desc    Add a note to a fraud case
+ * @access  Private (Admin only)
+ */
+router.post('/fraud-cases/:id/notes', validate(adminValidation.addFraudCaseNote), addFraudCaseNote);
+
+/**
+ * @route   POST /api/v1/admin/fraud-cases/:id/void-bid
+ * @desc    Void the bid under review and recalculate the auction price
+ * @access  Private (Admin only)
+ */
+router.post('/fraud-cases/:id/void-bid', validate(adminValidation.fraudCaseId), voidFraudCaseBid);
+
+/**
+ * @route   POST /api/v1/admin/fraud-cases/:id/suspend-bidder
+ * @desc    Suspend the bidder under review
+ * @access  Private (Admin only)
+ */
+router.post('/fraud-cases/:id/suspend-bidder', validate(adminValidation.suspendUser), suspendFraudCaseBidder);
+
+export default router;
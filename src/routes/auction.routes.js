@@ -2,14 +2,18 @@ import express from 'express';
 import {
     createAuction,
     getAuctionById,
+    streamAuction,
     listAuctions,
     searchAuctions,
     updateAuction,
     deleteAuction,
     uploadImages,
+    buyNow,
+    watchAuction,
+    unwatchAuction,
     getRecommendations
 } from '../controllers/auction.controller.js';
-import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { authenticate, authorize, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
 import { uploadMultiple, handleUploadError } from '../middlewares/upload.middleware.js';
 import { validate, auctionValidation } from '../middlewares/validation.middleware.js';
 
@@ -43,12 +47,19 @@ router.get('/', validate(auctionValidation.listAuctions), listAuctions);
  */
 router.get('/:id', validate(auctionValidation.getAuctionById), getAuctionById);
 
+/**
+ * @route   GET /api/v1/auctions/:id/stream
+ * @desc    Stream auction events (bids, updates, closing) over Server-Sent Events
+ * @access  Public
+ */
+router.get('/:id/stream', validate(auctionValidation.getAuctionById), streamAuction);
+
 /**
  * @route   POST /api/v1/auctions
  * @desc    Create a new auction
- * @access  Private (Authenticated sellers only)
+ * @access  Private (Verified sellers only)
  */
-router.post('/', authenticate, authorize('seller', 'admin'), validate(auctionValidation.createAuction), createAuction);
+router.post('/', authenticate, authorize('seller', 'admin'), requireVerifiedEmail, validate(auctionValidation.createAuction), createAuction);
 
 /**
  * @route   PUT /api/v1/auctions/:id
@@ -71,4 +82,25 @@ router.delete('/:id', authenticate, validate(auctionValidation.deleteAuction), d
  */
 router.post('/:id/images', authenticate, uploadMultiple, handleUploadError, uploadImages);
 
+/**
+ * @route   POST /api/v1/auctions/:id/buy-now
+ * @desc    Buy auction outright at its buy-now price (closes the auction)
+ * @access  Private (Verified users, not the seller)
+ */
+router.post('/:id/buy-now', authenticate, requireVerifiedEmail, validate(auctionValidation.buyNow), buyNow);
+
+/**
+ * @route   POST /api/v1/auctions/:id/watch
+ * @desc    Add auction to the user's watchlist
+ * @access  Private (Authenticated users, not the seller)
+ */
+router.post('/:id/watch', authenticate, validate(auctionValidation.watchAuction), watchAuction);
+
+/**
+ * @route   DELETE /api/v1/auctions/:id/watch
+ * @desc    Remove auction from the user's watchlist
+ * @access  Private
+ */
+router.delete('/:id/watch', authenticate, validate(auctionValidation.watchAuction), unwatchAuction);
+
 export default router;
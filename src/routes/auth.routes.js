@@ -4,15 +4,28 @@ import {
     login,
     refreshToken,
     getCurrentUser,
-    logout
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    loginTwoFactor,
+    enrollTwoFactor,
+    verifyTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 } from '../controllers/auth.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { strictRateLimiter } from '../middlewares/rate-limit.middleware.js';
+import { strictRateLimiter, passwordResetRateLimiter } from '../middlewares/rate-limit.middleware.js';
 import { validate, authValidation } from '../middlewares/validation.middleware.js';
 import { 
     auditAuthAttempt, 
     auditRegistration, 
     auditLogout,
+    auditPasswordReset,
     checkAccountLockout,
     checkSuspiciousIP
 } from '../middlewares/audit.middleware.js';
@@ -97,7 +110,7 @@ router.post('/register', strictRateLimiter, checkSuspiciousIP, validate(authVali
  * /api/v1/auth/login:
  *   post:
  *     summary: Login user
- *     description: Authenticate user with email and password. Returns JWT tokens upon successful login.
+ *     description: Authenticate user with email and password. Returns JWT tokens upon successful login. If the account has two-factor authentication enabled, returns `twoFactorRequired` and a short-lived `challengeToken` instead; finish with POST /api/v1/auth/login/2fa.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -153,10 +166,10 @@ router.post('/login', strictRateLimiter, checkAccountLockout, checkSuspiciousIP,
 
 /**
  * @swagger
- * /api/v1/auth/refresh-token:
+ * /api/v1/auth/login/2fa:
  *   post:
- *     summary: Refresh access token
- *     description: Generate a new access token using a valid refresh token
+ *     summary: Complete two-factor login
+ *     description: Exchange the challenge token from POST /login and a TOTP code (or an unused recovery code) for JWT tokens.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -166,7 +179,43 @@ router.post('/login', strictRateLimiter, checkAccountLockout, checkSuspiciousIP,
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests, or locked out after too many invalid codes (TWO_FACTOR_LOCKED)
+ */
+router.post('/login/2fa', strictRateLimiter, checkSuspiciousIP, validate(authValidation.loginTwoFactor), loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh-token:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and a rotated refresh token. Each refresh token works once; presenting a used one revokes every token from the same login.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
  *               refreshToken:
  *                 type: string
@@ -188,8 +237,12 @@ router.post('/login', strictRateLimiter, checkAccountLockout, checkSuspiciousIP,
  *                     accessToken:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Rotated refresh token, returned only when the old one was sent in the body
+ *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired, revoked or reused refresh token
  */
 router.post('/refresh-token', validate(authValidation.refreshToken), refreshToken);
 
@@ -248,4 +301,396 @@ router.get('/me', authenticate, getCurrentUser);
  */
 router.post('/logout', authenticate, auditLogout, logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/logout-all:
+ *   post:
+ *     summary: Logout from all devices
+ *     description: Revoke every session and refresh token the user holds. Access tokens of those sessions stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 3
+ *                 message:
+ *                   type: string
+ *                   example: Logged out from all devices
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.post('/logout-all', authenticate, auditLogout, logoutAll);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List the devices the user is logged in on, most recently seen first. The session making the request is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: 507f1f77bcf86cd799439011
+ *                           device:
+ *                             type: object
+ *                             properties:
+ *                               browser:
+ *                                 type: string
+ *                                 example: Chrome
+ *                               os:
+ *                                 type: string
+ *                                 example: macOS
+ *                               type:
+ *                                 type: string
+ *                                 enum: [desktop, mobile, tablet, unknown]
+ *                           ipAddress:
+ *                             type: string
+ *                             example: 203.0.113.7
+ *                           userAgent:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastSeenAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get('/sessions', authenticate, getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Sign a device out. Its refresh tokens are revoked and its access tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       400:
+ *         description: Session already revoked
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticate, validate(authValidation.revokeSession), revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Email a single-use password reset link (valid for 1 hour). The response is the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: If the email exists, a reset link will be sent
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/forgot-password', passwordResetRateLimiter, checkSuspiciousIP, validate(authValidation.forgotPassword), auditPasswordReset('request'), forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Set a new password using the emailed reset token. Every existing session and token is invalidated.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3f2a9c...e81b
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 example: NewSecurePass123!
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or weak password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/reset-password', passwordResetRateLimiter, checkSuspiciousIP, validate(authValidation.resetPassword), auditPasswordReset('complete'), resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirm the account's email address using the token from the verification email. Verified users can bid and create auctions.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 9b1d4e...c07a
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/verify-email', strictRateLimiter, validate(authValidation.verifyEmail), verifyEmail);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Send a new email verification link to the authenticated user. Earlier links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email address is already verified
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/resend-verification', authenticate, strictRateLimiter, resendVerification);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enroll:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generate a TOTP secret and an otpauth URI to show as a QR code. 2FA is not active until a code is verified.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: otpauth://totp/AI%20Auction:user%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=AI%20Auction&algorithm=SHA1&digits=6&period=30
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/enroll', authenticate, strictRateLimiter, enrollTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: Verify the first code from the authenticator app. Enables 2FA and returns one-time recovery codes, which are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: 2FA enabled, recovery codes returned
+ *       400:
+ *         description: Invalid code or enrollment not started
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.post('/2fa/verify', authenticate, strictRateLimiter, validate(authValidation.verifyTwoFactor), verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turn 2FA off. Needs the current password and a TOTP or recovery code. Not allowed when an admin requires 2FA for the account.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       401:
+ *         description: Invalid password or missing token
+ *       403:
+ *         description: 2FA is required for this account
+ */
+router.post('/2fa/disable', authenticate, strictRateLimiter, validate(authValidation.disableTwoFactor), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes with a new set. Previous codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.post('/2fa/recovery-codes', authenticate, strictRateLimiter, validate(authValidation.regenerateRecoveryCodes), regenerateRecoveryCodes);
+
 export default router;
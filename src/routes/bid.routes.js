@@ -5,10 +5,16 @@ import {
     getBidHistoryByUser,
     getBidById,
     getHighestBid,
-    getMyBids
+    getMyBids,
+    placeProxyBid,
+    getMyProxyBid,
+    cancelProxyBid,
+    retractBid
 } from '../controllers/bid.controller.js';
-import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { authenticate, authorize, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
 import { auditBidPattern, auditResourceAccess } from '../middlewares/audit.middleware.js';
+import { validate, bidValidation } from '../middlewares/validation.middleware.js';
+import { userRateLimiter } from '../middlewares/rate-limit.middleware.js';
 
 const router = express.Router();
 
@@ -19,6 +25,13 @@ const router = express.Router();
  */
 router.get('/me', authenticate, getMyBids);
 
+/**
+ * @route   GET /api/v1/bids/proxy/auction/:auctionId
+ * @desc    Get authenticated user's proxy bid on an auction
+ * @access  Private (Authenticated users)
+ */
+router.get('/proxy/auction/:auctionId', authenticate, getMyProxyBid);
+
 /**
  * @route   GET /api/v1/bids/auction/:auctionId/highest
  * @desc    Get highest bid for an auction
@@ -50,8 +63,31 @@ router.get('/:id', getBidById);
 /**
  * @route   POST /api/v1/bids
  * @desc    Place a new bid on an auction
+ * @access  Private (Verified users only)
+ * The router-level userRateLimiter runs before authentication and keys by IP;
+ * this one keys by user, sharing its bucket with bid:place over the socket
+ */
+router.post('/', authenticate, userRateLimiter, requireVerifiedEmail, auditBidPattern, auditResourceAccess('BID_PLACE', 'bid'), placeBid);
+
+/**
+ * @route   POST /api/v1/bids/proxy
+ * @desc    Place or raise a proxy bid (hidden maximum, bid automatically in increments)
+ * @access  Private (Verified users only)
+ */
+router.post('/proxy', authenticate, requireVerifiedEmail, auditBidPattern, auditResourceAccess('BID_PLACE', 'bid'), placeProxyBid);
+
+/**
+ * @route   POST /api/v1/bids/:id/retract
+ * @desc    Retract own bid (time window, hours left and reason code rules apply)
+ * @access  Private (Bidder only)
+ */
+router.post('/:id/retract', authenticate, validate(bidValidation.retractBid), retractBid);
+
+/**
+ * @route   DELETE /api/v1/bids/proxy/auction/:auctionId
+ * @desc    Cancel authenticated user's proxy bid on an auction
  * @access  Private (Authenticated users only)
  */
-router.post('/', authenticate, auditBidPattern, auditResourceAccess('BID_PLACE', 'bid'), placeBid);
+router.delete('/proxy/auction/:auctionId', authenticate, cancelProxyBid);
 
 export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import {
     getNotifications,
     getUnreadNotifications,
+    streamNotifications,
     getUnreadCount,
     markAsRead,
     markAllAsRead,
@@ -18,6 +19,9 @@ router.use(authenticate);
 // Get all notifications for authenticated user
 router.get('/', getNotifications);
 
+// Stream notifications and personal events (Server-Sent Events)
+router.get('/stream', streamNotifications);
+
 // Get unread notifications
 router.get('/unread', getUnreadNotifications);
 
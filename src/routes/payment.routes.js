@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+    initiatePayment,
+    confirmPayment,
+    refundPayment,
+    confirmDelivery,
+    getPaymentById
+} from '../controllers/payment.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { validate, paymentValidation } from '../middlewares/validation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/payments
+ * @desc    Initiate payment for a won auction
+ * @access  Private (Auction winner only)
+ */
+router.post('/', authenticate, validate(paymentValidation.initiatePayment), initiatePayment);
+
+/**
+ * @route   GET /api/v1/payments/:id
+ * @desc    Get payment by ID
+ * @access  Private (Buyer, seller or admin)
+ */
+router.get('/:id', authenticate, validate(paymentValidation.getPaymentById), getPaymentById);
+
+/**
+ * @route   POST /api/v1/payments/:id/confirm
+ * @desc    Confirm a pending payment with the payment provider
+ * @access  Private (Buyer only)
+ */
+router.post('/:id/confirm', authenticate, validate(paymentValidation.confirmPayment), confirmPayment);
+
+/**
+ * @route   POST /api/v1/payments/:id/refund
+ * @desc    Refund a completed payment (full refund unless an amount is given)
+ * @access  Private (Seller or admin)
+ */
+router.post('/:id/refund', authenticate, validate(paymentValidation.refundPayment), refundPayment);
+
+/**
+ * @route   POST /api/v1/payments/:id/confirm-delivery
+ * @desc    Confirm the item was delivered and release escrow to the seller
+ * @access  Private (Buyer only)
+ */
+router.post('/:id/confirm-delivery', authenticate, validate(paymentValidation.confirmDelivery), confirmDelivery);
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+    createOffer,
+    getOfferById,
+    acceptOffer,
+    declineOffer
+} from '../controllers/second-chance.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { validate, secondChanceValidation } from '../middlewares/validation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/second-chance-offers
+ * @desc    Offer an unpaid item to the next-highest bidder at their bid amount
+ * @access  Private (Seller only)
+ */
+router.post('/', authenticate, validate(secondChanceValidation.createOffer), createOffer);
+
+/**
+ * @route   GET /api/v1/second-chance-offers/:id
+ * @desc    Get second-chance offer by ID
+ * @access  Private (Offered bidder, seller or admin)
+ */
+router.get('/:id', authenticate, validate(secondChanceValidation.offerById), getOfferById);
+
+/**
+ * @route   POST /api/v1/second-chance-offers/:id/accept
+ * @desc    Accept a second-chance offer and become the auction winner
+ * @access  Private (Offered bidder only)
+ */
+router.post('/:id/accept', authenticate, validate(secondChanceValidation.offerById), acceptOffer);
+
+/**
+ * @route   POST /api/v1/second-chance-offers/:id/decline
+ * @desc    Decline a second-chance offer
+ * @access  Private (Offered bidder only)
+ */
+router.post('/:id/decline', authenticate, validate(secondChanceValidation.offerById), declineOffer);
+
+export default router;
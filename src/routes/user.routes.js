@@ -5,13 +5,25 @@ import {
     deleteUser,
     getUserAuctions,
     updateNotificationPreferences,
-    getUserStats
+    getUserStats,
+    getUserBalance,
+    getUserLedger,
+    requestPayout,
+    getMyWatchlist,
+    setTwoFactorRequirement
 } from '../controllers/user.controller.js';
-import { authenticate } from '../middlewares/auth.middleware.js';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
 import { validate, userValidation } from '../middlewares/validation.middleware.js';
 
 const router = express.Router();
 
+/**
+ * @route   GET /api/v1/users/me/watchlist
+ * @desc    Get the current user's watched auctions with live prices
+ * @access  Private
+ */
+router.get('/me/watchlist', authenticate, validate(userValidation.getWatchlist), getMyWatchlist);
+
 /**
  * @route   GET /api/v1/users/:id
  * @desc    Get user by ID
@@ -54,4 +66,32 @@ router.put('/:id/notifications/preferences', authenticate, updateNotificationPre
  */
 router.get('/:id/stats', getUserStats);
 
+/**
+ * @route   GET /api/v1/users/:id/balance
+ * @desc    Get escrow balances (awaiting payment, held, available, owed)
+ * @access  Private (user can only view their own balance, or admin)
+ */
+router.get('/:id/balance', authenticate, validate(userValidation.getUserById), getUserBalance);
+
+/**
+ * @route   GET /api/v1/users/:id/ledger
+ * @desc    Get ledger statement
+ * @access  Private (user can only view their own ledger, or admin)
+ */
+router.get('/:id/ledger', authenticate, validate(userValidation.getUserLedger), getUserLedger);
+
+/**
+ * @route   POST /api/v1/users/:id/payouts
+ * @desc    Pay out available balance (whole balance unless an amount is given)
+ * @access  Private (seller can only pay out their own balance, or admin)
+ */
+router.post('/:id/payouts', authenticate, validate(userValidation.requestPayout), requestPayout);
+
+/**
+ * @route   PUT /api/v1/users/:id/two-factor-requirement
+ * @desc    Require (or stop requiring) two-factor authentication for a user
+ * @access  Private (admin only)
+ */
+router.put('/:id/two-factor-requirement', authenticate, authorize('admin'), validate(userValidation.setTwoFactorRequirement), setTwoFactorRequirement);
+
 export default router;
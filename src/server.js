@@ -8,6 +8,8 @@ import { connectToDatabase } from './config/db.config.js';
 import { connectToRedis } from './config/redis.config.js';
 import { initializeSocketIO } from './config/socket.config.js';
 import realtimeService from './services/realtime.service.js';
+import auctionClockService from './services/auction-clock.service.js';
+import sseService from './services/sse.service.js';
 import aiIntegrationService from './services/ai-integration.service.js';
 import loggerMiddleware from './middlewares/logger.middleware.js';
 import performanceMiddleware from './middlewares/performance.middleware.js';
@@ -168,6 +170,9 @@ import aiWebhookRoutes from './routes/ai-webhook.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
 import analyticsRoutes from './routes/analytics.routes.js';
 import auditRoutes from './routes/audit.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import secondChanceRoutes from './routes/second-chance.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 import healthRoutes from './routes/health.routes.js';
 import metricsRoutes from './routes/metrics.routes.js';
 
@@ -195,6 +200,9 @@ app.use('/api/v1/webhooks/ai', aiWebhookRoutes);
 app.use('/api/v1/notifications', userRateLimiter, notificationRoutes);
 app.use('/api/v1/analytics', userRateLimiter, analyticsRoutes);
 app.use('/api/v1/audit', userRateLimiter, auditRoutes);
+app.use('/api/v1/payments', userRateLimiter, paymentRoutes);
+app.use('/api/v1/second-chance-offers', userRateLimiter, secondChanceRoutes);
+app.use('/api/v1/admin', userRateLimiter, adminRoutes);
 
 // Initialize Socket.IO (will be set up in startServer)
 let io;
@@ -223,6 +231,12 @@ const startServer = async () => {
         // Initialize realtime service with Socket.IO instance
         realtimeService.setIO(io);
         
+        // Send authoritative countdowns to auction rooms
+        auctionClockService.start(io.of('/auctions'));
+        
+        // Fan out Server-Sent Events streams across instances
+        await sseService.start();
+        
         // Initialize AI integration service (gRPC client)
         await aiIntegrationService.initializeGrpcClient();
         
@@ -264,7 +278,9 @@ const gracefulShutdown = async (signal) => {
             logger.info('HTTP server closed');
         });
         
-        // Close Socket.IO connections
+        // Close event streams and Socket.IO connections
+        auctionClockService.stop();
+        await sseService.stop();
         if (io) {
             io.close(() => {
                 logger.info('Socket.IO server closed');
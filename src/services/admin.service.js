@@ -0,0 +1,172 @@
+import userRepository from '../repositories/user.repository.js';
+import auctionService from './auction.service.js';
+import bidService from './bid.service.js';
+import proxyBidService from './proxy-bid.service.js';
+import sessionService from './session.service.js';
+import auditService from './audit.service.js';
+import cacheService from './cache.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * AdminService - Business logic for the moderation console
+ * Handles user suspensions and bans, auction removal and fraud review
+ */
+class AdminService {
+    /**
+     * Suspend or ban a user
+     * Signs the user out everywhere and cancels their proxy bids; authenticate
+     * rejects them until the restriction ends
+     * @param {string} adminId - Admin user ID
+     * @param {string} userId - User to restrict
+     * @param {Object} restriction - { status: 'suspended'|'banned', reason, expiresAt }
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Moderation state, revoked sessions and cancelled proxy bids
+     */
+    async restrictUser(adminId, userId, { status, reason, expiresAt = null }, metadata = {}) {
+        try {
+            if (adminId.toString() === userId.toString()) {
+                throw new Error('CANNOT_MODERATE_SELF');
+            }
+
+            const user = await userRepository.findById(userId);
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            if (user.role === 'admin') {
+                throw new Error('CANNOT_MODERATE_ADMIN');
+            }
+
+            const updatedUser = await userRepository.update(userId, {
+                moderation: {
+                    status,
+                    reason,
+                    expiresAt,
+                    actionedBy: adminId,
+                    actionedAt: new Date()
+                }
+            });
+
+            const revokedSessions = await sessionService.revokeAllSessions(userId, 'account_restricted');
+            const cancelledProxyBids = await proxyBidService.cancelAllForBidder(userId);
+            await cacheService.invalidateUserCache(userId);
+
+            await auditService.logAdminAction({
+                userId: adminId,
+                action: status === 'banned' ? 'ADMIN_USER_BAN' : 'ADMIN_USER_SUSPEND',
+                resourceType: 'user',
+                resourceId: userId,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/admin/users/${userId}/${status === 'banned' ? 'ban' : 'suspend'}`,
+                details: { status, reason, expiresAt, revokedSessions, cancelledProxyBids }
+            });
+
+            logger.info(`User ${userId} ${status} by admin ${adminId}${expiresAt ? ` until ${expiresAt}` : ''}`);
+
+            return {
+                moderation: updatedUser.moderation,
+                revokedSessions,
+                cancelledProxyBids
+            };
+        } catch (error) {
+            logger.error(`Error restricting user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Lift a suspension or ban
+     * @param {string} adminId - Admin user ID
+     * @param {string} userId - User to unban
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Moderation state
+     */
+    async liftRestriction(adminId, userId, metadata = {}) {
+        try {
+            const user = await userRepository.findById(userId);
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            const previousStatus = user.moderation?.status || 'active';
+            if (previousStatus === 'active') {
+                throw new Error('USER_NOT_RESTRICTED');
+            }
+
+            const updatedUser = await userRepository.update(userId, {
+                moderation: {
+                    status: 'active',
+                    actionedBy: adminId,
+                    actionedAt: new Date()
+                }
+            });
+
+            await cacheService.invalidateUserCache(userId);
+
+            await auditService.logAdminAction({
+                userId: adminId,
+                action: 'ADMIN_USER_UNBAN',
+                resourceType: 'user',
+                resourceId: userId,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/admin/users/${userId}/unban`,
+                details: { previousStatus }
+            });
+
+            logger.info(`User ${userId} restriction lifted by admin ${adminId}`);
+
+            return { moderation: updatedUser.moderation };
+        } catch (error) {
+            logger.error(`Error lifting restriction for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Force-cancel an auction
+     * @param {string} adminId - Admin user ID
+     * @param {string} auctionId - Auction ID
+     * @param {string} reason - Removal reason
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Cancelled auction and number of cancelled bids
+     */
+    async removeAuction(adminId, auctionId, reason, metadata = {}) {
+        try {
+            const result = await auctionService.forceCancelAuction(auctionId, adminId, reason);
+
+            await auditService.logAdminAction({
+                userId: adminId,
+                action: 'ADMIN_AUCTION_REMOVE',
+                resourceType: 'auction',
+                resourceId: auctionId,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/admin/auctions/${auctionId}/cancel`,
+                details: { reason, sellerId: result.auction.seller, cancelledBids: result.cancelledBids }
+            });
+
+            return result;
+        } catch (error) {
+            logger.error(`Error removing auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List bids flagged by fraud analysis
+     * @param {Object} options - Query options (limit, minRiskScore)
+     * @returns {Promise<Array>} - Flagged bids, highest risk first
+     */
+    async getFlaggedBids(options = {}) {
+        try {
+            return await bidService.getFlaggedBids(options);
+        } catch (error) {
+            logger.error('Error listing flagged bids:', error.message);
+            throw error;
+        }
+    }
+}
+
+export default new AdminService();
@@ -136,7 +136,7 @@ class AIWebhookService {
                 },
                 winner: winningBidData ? {
                     bidId: winningBidData._id.toString(),
-                    userId: winningBidData.bidder.toString(),
+                    userId: (winningBidData.bidder._id || winningBidData.bidder).toString(),
                     amount: winningBidData.amount
                 } : null,
                 seller: auctionData.seller.toString(),
@@ -2,6 +2,7 @@ import analyticsRepository from '../repositories/analytics.repository.js';
 import User from '../models/user.model.js';
 import Auction from '../models/auction.model.js';
 import Bid from '../models/bid.model.js';
+import Payment from '../models/payment.model.js';
 import logger from '../config/logger.js';
 import cacheService from './cache.service.js';
 import Bull from 'bull';
@@ -295,18 +296,6 @@ class AnalyticsService {
      */
     async aggregatePaymentMetrics(startDate, endDate) {
         try {
-            // Placeholder implementation - will be completed when Payment model exists
-            // For now, return default values
-            return {
-                totalTransactions: 0,
-                totalRevenue: 0,
-                successRate: 0
-            };
-
-            // Future implementation when Payment model exists:
-            /*
-            const Payment = (await import('../models/payment.model.js')).default;
-            
             const [totalTransactions, completedTransactions, revenueResult] = await Promise.all([
                 Payment.countDocuments({
                     createdAt: { $gte: startDate, $lt: endDate }
@@ -340,7 +329,6 @@ class AnalyticsService {
                 totalRevenue: revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0,
                 successRate: Math.round(successRate * 100) / 100
             };
-            */
         } catch (error) {
             logger.error('Error aggregating payment metrics:', error.message);
             throw error;
@@ -0,0 +1,119 @@
+import { isValidObjectId } from 'mongoose';
+import auctionRepository from '../repositories/auction.repository.js';
+import logger from '../config/logger.js';
+
+const AUCTION_TICK_INTERVAL_MS = parseInt(process.env.AUCTION_TICK_INTERVAL_MS ?? 1000, 10);
+
+/**
+ * AuctionClockService - Authoritative server time for auction countdowns
+ * Answers time:sync pings and sends auction:tick with the time remaining to
+ * every auction room that has viewers. Each instance ticks only its own
+ * sockets, so rooms spread across instances are not ticked twice
+ */
+class AuctionClockService {
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Build the reply to a time:sync ping
+     * The client estimates its offset as ((serverReceivedAt - clientSentAt)
+     * + (serverSentAt - clientReceivedAt)) / 2, NTP style
+     * @param {Object} payload - { clientSentAt } from the client
+     * @param {number} serverReceivedAt - When the ping arrived (ms since epoch)
+     * @returns {Object} - { clientSentAt, serverReceivedAt, serverSentAt }
+     */
+    buildTimeSync(payload, serverReceivedAt) {
+        const clientSentAt = Number(payload?.clientSentAt);
+
+        return {
+            clientSentAt: Number.isFinite(clientSentAt) ? clientSentAt : null,
+            serverReceivedAt,
+            serverSentAt: Date.now()
+        };
+    }
+
+    /**
+     * Start sending auction:tick events
+     * @param {Object} namespace - The /auctions namespace
+     */
+    start(namespace) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.tick(namespace);
+        }, AUCTION_TICK_INTERVAL_MS);
+        // Ticks alone should not keep the process alive during shutdown
+        this.timer.unref();
+
+        logger.info(`Auction clock started (tick every ${AUCTION_TICK_INTERVAL_MS}ms)`);
+    }
+
+    /**
+     * Stop sending auction:tick events
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Auction clock stopped');
+        }
+    }
+
+    /**
+     * Send one auction:tick to each auction room with sockets on this instance
+     * End times are read fresh every tick so extensions show up immediately
+     * @param {Object} namespace - The /auctions namespace
+     */
+    async tick(namespace) {
+        // Skip this tick if the previous one is still waiting on the database
+        if (this.ticking) {
+            return;
+        }
+        this.ticking = true;
+
+        try {
+            const auctionIds = [];
+            for (const room of namespace.adapter.rooms.keys()) {
+                if (room.startsWith('auction:')) {
+                    const auctionId = room.slice('auction:'.length);
+                    if (isValidObjectId(auctionId)) {
+                        auctionIds.push(auctionId);
+                    }
+                }
+            }
+
+            if (auctionIds.length === 0) {
+                return;
+            }
+
+            const auctions = await auctionRepository.findTimingsByIds(auctionIds);
+            const serverTime = Date.now();
+
+            for (const auction of auctions) {
+                if (auction.status !== 'active') {
+                    continue;
+                }
+
+                const endTime = new Date(auction.timing.endTime).getTime();
+
+                namespace.local.to(`auction:${auction._id}`).emit('auction:tick', {
+                    auctionId: auction._id,
+                    status: auction.status,
+                    endTime: auction.timing.endTime,
+                    serverTime,
+                    remainingMs: Math.max(0, endTime - serverTime)
+                });
+            }
+        } catch (error) {
+            logger.error('Error sending auction ticks:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+}
+
+export default new AuctionClockService();
@@ -6,12 +6,44 @@ import notificationEventService from './notification-event.service.js';
 import bidRepository from '../repositories/bid.repository.js';
 import cacheService from './cache.service.js';
 import prometheusMetrics from './prometheus-metrics.service.js';
+import proxyBidService from './proxy-bid.service.js';
+import ledgerService from './ledger.service.js';
+import secondChanceService from './second-chance.service.js';
 import logger from '../config/logger.js';
+import { redisClient } from '../config/redis.config.js';
+import { isValidIncrementRule, getNextMinimumBid } from '../utils/bid-increment.js';
+import { auctionReminderQueue, auctionStartQueue } from '../config/queue.config.js';
 import Bull from 'bull';
 import { configDotenv } from 'dotenv';
 
 configDotenv();
 
+// Platform soft-close defaults, used when an auction does not set its own
+const SOFT_CLOSE_WINDOW_MINUTES = parseFloat(process.env.SOFT_CLOSE_WINDOW_MINUTES ?? 2);
+const SOFT_CLOSE_EXTENSION_MINUTES = parseFloat(process.env.SOFT_CLOSE_EXTENSION_MINUTES ?? 2);
+
+// Buy-now is withdrawn once bidding reaches this fraction of the buy-now price
+const BUY_NOW_DISABLE_THRESHOLD = parseFloat(process.env.BUY_NOW_DISABLE_THRESHOLD ?? 0.5);
+
+// Bidders and watchers are reminded at each of these checkpoints (minutes before the end)
+const ENDING_SOON_CHECKPOINTS = (process.env.ENDING_SOON_CHECKPOINTS_MINUTES ?? '1440,60,10')
+    .split(',')
+    .map(minutes => parseInt(minutes, 10))
+    .filter(minutes => minutes > 0);
+
+// Checkpoints already sent are remembered this long past the auction's end
+const ENDING_SOON_SENT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Build the Redis key recording which ending-soon checkpoints an auction has sent
+ * @param {string} auctionId - Auction ID
+ * @returns {string} - Set key
+ */
+const endingSoonSentKey = (auctionId) => `auction:${auctionId}:ending-soon:sent`;
+
+// Scheduled auctions are announced this many minutes before they start
+const STARTING_SOON_MINUTES = parseFloat(process.env.STARTING_SOON_MINUTES ?? 15);
+
 /**
  * AuctionService - Business logic layer for Auction operations
  * Handles auction creation, updates, deletion, and lifecycle management
@@ -84,6 +116,10 @@ class AuctionService {
                 throw new Error('BUY_NOW_PRICE_MUST_BE_GREATER_THAN_STARTING_PRICE');
             }
 
+            if (!isValidIncrementRule(auctionData.bidIncrement)) {
+                throw new Error('INVALID_BID_INCREMENT');
+            }
+
             // Prepare auction data
             const auction = {
                 seller: sellerId,
@@ -95,12 +131,14 @@ class AuctionService {
                     startingPrice: auctionData.startingPrice,
                     currentPrice: auctionData.startingPrice,
                     reservePrice: auctionData.reservePrice,
-                    buyNowPrice: auctionData.buyNowPrice
+                    buyNowPrice: auctionData.buyNowPrice,
+                    bidIncrement: auctionData.bidIncrement
                 },
                 timing: {
                     startTime,
                     endTime,
-                    duration
+                    duration,
+                    softClose: auctionData.softClose
                 },
                 status: auctionData.status || 'draft'
             };
@@ -114,9 +152,11 @@ class AuctionService {
                 seller.role || 'seller'
             );
 
-            // Schedule expiration job if auction is active
+            // Schedule expiration job if auction is active, or its start if it is a draft
             if (createdAuction.status === 'active') {
                 await this.scheduleAuctionExpiration(createdAuction._id, endTime);
+            } else if (createdAuction.status === 'draft') {
+                await this.scheduleAuctionStart(createdAuction._id, startTime);
             }
 
             // Increment seller's auction count
@@ -188,6 +228,7 @@ class AuctionService {
                 const duration = Math.ceil(durationMs / (1000 * 60 * 60));
 
                 updateData.timing = {
+                    ...auction.timing,
                     startTime,
                     endTime,
                     duration
@@ -208,12 +249,36 @@ class AuctionService {
                 };
             }
 
+            // Apply soft close settings if being updated
+            if (updateData.softClose !== undefined) {
+                updateData.timing = {
+                    ...(updateData.timing || auction.timing),
+                    softClose: updateData.softClose
+                };
+                delete updateData.softClose;
+            }
+
+            // Validate bid increment rule if being updated
+            if (updateData.bidIncrement !== undefined) {
+                if (!isValidIncrementRule(updateData.bidIncrement)) {
+                    throw new Error('INVALID_BID_INCREMENT');
+                }
+
+                updateData.pricing = {
+                    ...(updateData.pricing || auction.pricing),
+                    bidIncrement: updateData.bidIncrement
+                };
+                delete updateData.bidIncrement;
+            }
+
             // Update auction
             const updatedAuction = await auctionRepository.update(auctionId, updateData);
 
-            // Reschedule expiration if timing changed and auction is active
+            // Reschedule expiration (or the scheduled start of a draft) if timing changed
             if (updateData.timing && updatedAuction.status === 'active') {
                 await this.scheduleAuctionExpiration(auctionId, updatedAuction.timing.endTime);
+            } else if (updateData.timing && updatedAuction.status === 'draft') {
+                await this.scheduleAuctionStart(auctionId, updatedAuction.timing.startTime);
             }
 
             logger.info(`Auction updated: ${auctionId}`);
@@ -260,8 +325,9 @@ class AuctionService {
             // Delete auction
             const deletedAuction = await auctionRepository.delete(auctionId);
 
-            // Remove expiration job if exists
+            // Remove expiration and scheduled start jobs if they exist
             await this.removeAuctionExpirationJob(auctionId);
+            await this.removeAuctionStartJobs(auctionId);
 
             // Decrement seller's auction count
             await userRepository.incrementStats(userId, { auctionsCreated: -1 });
@@ -443,11 +509,16 @@ class AuctionService {
             // Update status
             const updatedAuction = await auctionRepository.updateStatus(auctionId, newStatus);
 
-            // Schedule or remove expiration job based on status
+            // Schedule or remove expiration and start jobs based on status
             if (newStatus === 'active') {
+                await this.removeAuctionStartJobs(auctionId);
                 await this.scheduleAuctionExpiration(auctionId, auction.timing.endTime);
+            } else if (newStatus === 'draft') {
+                await this.removeAuctionExpirationJob(auctionId);
+                await this.scheduleAuctionStart(auctionId, auction.timing.startTime);
             } else if (newStatus === 'closed' || newStatus === 'cancelled') {
                 await this.removeAuctionExpirationJob(auctionId);
+                await this.removeAuctionStartJobs(auctionId);
             }
 
             logger.info(`Auction status updated: ${auctionId} to ${newStatus}`);
@@ -467,6 +538,75 @@ class AuctionService {
         }
     }
 
+    /**
+     * Force-cancel an auction as a moderator
+     * Cancels open bids and proxy bids, removes scheduled jobs and notifies
+     * the seller and bidders
+     * @param {string} auctionId - Auction ID
+     * @param {string} adminId - Admin user ID
+     * @param {string} reason - Removal reason
+     * @returns {Promise<Object>} - Cancelled auction and number of cancelled bids
+     */
+    async forceCancelAuction(auctionId, adminId, reason) {
+        try {
+            // Import bidService dynamically to avoid circular dependency
+            const { default: bidService } = await import('./bid.service.js');
+
+            // Cancel under the bid lock, so no bid lands between the status change and the bid cleanup
+            const result = await bidService.withBidLock(auctionId, async () => {
+                const auction = await auctionRepository.findById(auctionId);
+                if (!auction) {
+                    throw new Error('AUCTION_NOT_FOUND');
+                }
+
+                const cancelledAuction = await auctionRepository.cancelByModerator(auctionId, {
+                    removedBy: adminId,
+                    reason
+                });
+                if (!cancelledAuction) {
+                    throw new Error('AUCTION_NOT_CANCELLABLE');
+                }
+
+                const bidderIds = await bidRepository.findActiveBidders(auctionId);
+                const { modifiedCount } = await bidRepository.cancelOpenBids(auctionId);
+                await proxyBidService.cancelAll(auctionId);
+
+                return { auction: cancelledAuction, bidderIds, cancelledBids: modifiedCount };
+            });
+
+            await this.removeAuctionExpirationJob(auctionId);
+            await this.removeAuctionStartJobs(auctionId);
+
+            // Invalidate auction-related caches
+            await cacheService.invalidateAuctionCache(auctionId);
+            await cacheService.invalidateListingCache();
+
+            // Emit auction update event
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionUpdate(auctionId, result.auction, 'status');
+            }
+
+            notificationEventService.notifyAuctionCancelled(
+                result.auction,
+                result.bidderIds,
+                reason
+            ).catch(err => logger.error('Failed to send auction cancelled notifications:', err.message));
+
+            logger.info(`Auction ${auctionId} force-cancelled by admin ${adminId}, ${result.cancelledBids} bids cancelled`);
+
+            return {
+                auction: result.auction,
+                cancelledBids: result.cancelledBids
+            };
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'AUCTION_BUSY';
+            }
+            logger.error(`Error force-cancelling auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Add images to auction
      * @param {string} auctionId - Auction ID
@@ -524,6 +664,62 @@ class AuctionService {
         }
     }
 
+    /**
+     * Get the soft-close settings that apply to an auction
+     * @param {Object} auction - Auction object
+     * @returns {Object} - { windowMinutes, extensionMinutes }
+     */
+    getSoftCloseSettings(auction) {
+        const softClose = auction.timing.softClose || {};
+        return {
+            windowMinutes: softClose.windowMinutes ?? SOFT_CLOSE_WINDOW_MINUTES,
+            extensionMinutes: softClose.extensionMinutes ?? SOFT_CLOSE_EXTENSION_MINUTES
+        };
+    }
+
+    /**
+     * Extend an auction when a bid lands inside its soft-close window
+     * Must run while holding the auction's bid lock
+     * @param {Object} auction - Auction object (after the bid was applied)
+     * @param {Date} bidTime - When the bid was placed
+     * @returns {Promise<Object|null>} - Extended auction, or null if no extension applied
+     */
+    async extendForLateBid(auction, bidTime = new Date()) {
+        try {
+            const { windowMinutes, extensionMinutes } = this.getSoftCloseSettings(auction);
+            if (!windowMinutes || !extensionMinutes) {
+                return null;
+            }
+
+            const endTime = new Date(auction.timing.endTime);
+            if (endTime - bidTime > windowMinutes * 60 * 1000) {
+                return null;
+            }
+
+            const newEndTime = new Date(endTime.getTime() + extensionMinutes * 60 * 1000);
+            const extendedAuction = await auctionRepository.extendEndTime(auction._id, endTime, newEndTime);
+            if (!extendedAuction) {
+                return null;
+            }
+
+            // Move the expiration job to the new deadline (replaces the pending job)
+            await this.scheduleAuctionExpiration(auction._id, newEndTime);
+
+            await cacheService.invalidateAuctionCache(auction._id);
+
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionExtended(auction._id, extendedAuction, endTime);
+            }
+
+            logger.info(`Auction ${auction._id} extended by ${extensionMinutes} minutes (soft close)`);
+
+            return extendedAuction;
+        } catch (error) {
+            logger.error(`Error extending auction ${auction._id}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Schedule auction expiration job
      * @param {string} auctionId - Auction ID
@@ -548,6 +744,8 @@ class AuctionService {
                 );
 
                 logger.info(`Auction expiration scheduled: ${auctionId} at ${endTime}`);
+
+                await this.scheduleEndingSoonAlerts(auctionId, endTime);
             } else {
                 // Auction already expired, close immediately
                 await this.closeExpiredAuction(auctionId);
@@ -571,6 +769,13 @@ class AuctionService {
                 await job.remove();
                 logger.info(`Auction expiration job removed: ${auctionId}`);
             }
+
+            for (const checkpoint of ENDING_SOON_CHECKPOINTS) {
+                const alertJob = await auctionReminderQueue.getJob(`auction-ending-soon-${auctionId}-${checkpoint}`);
+                if (alertJob) {
+                    await alertJob.remove();
+                }
+            }
         } catch (error) {
             logger.error(`Error removing auction expiration job ${auctionId}:`, error.message);
             // Don't throw error, just log it
@@ -578,25 +783,392 @@ class AuctionService {
     }
 
     /**
-     * Close expired auction
+     * Schedule the ending-soon reminders for an auction
+     * Called again whenever the end time moves, so reminders follow extensions;
+     * checkpoints that have already passed or were already sent are skipped
      * @param {string} auctionId - Auction ID
+     * @param {Date} endTime - Auction end time
      */
-    async closeExpiredAuction(auctionId) {
+    async scheduleEndingSoonAlerts(auctionId, endTime) {
+        try {
+            const sent = new Set(await redisClient.smembers(endingSoonSentKey(auctionId)));
+
+            for (const checkpoint of ENDING_SOON_CHECKPOINTS) {
+                const delay = new Date(endTime) - new Date() - checkpoint * 60 * 1000;
+                if (delay <= 0 || sent.has(String(checkpoint))) {
+                    continue;
+                }
+
+                await auctionReminderQueue.add(
+                    'ending-soon',
+                    {
+                        auctionId: auctionId.toString(),
+                        checkpoint,
+                        endTime: new Date(endTime).toISOString()
+                    },
+                    {
+                        delay,
+                        jobId: `auction-ending-soon-${auctionId}-${checkpoint}`,
+                        removeOnComplete: true
+                    }
+                );
+            }
+
+            logger.info(`Ending-soon reminders scheduled for auction ${auctionId}`);
+        } catch (error) {
+            logger.error(`Error scheduling ending-soon reminders ${auctionId}:`, error.message);
+            // Don't throw error, the auction still closes without the reminders
+        }
+    }
+
+    /**
+     * Remind the auction room, bidders and watchers that an auction is about to end
+     * Each checkpoint is sent at most once per auction, even if the end time moves
+     * @param {string} auctionId - Auction ID
+     * @param {string} endTime - End time the reminder was scheduled for
+     * @param {number} checkpoint - Checkpoint (minutes before the end) being sent
+     */
+    async alertEndingSoon(auctionId, endTime = null, checkpoint = null) {
         try {
             const auction = await auctionRepository.findById(auctionId);
+            if (!auction || auction.status !== 'active') {
+                return;
+            }
 
-            if (!auction) {
-                logger.warn(`Cannot close expired auction: Auction not found ${auctionId}`);
+            // A reminder left over from before an extension is stale
+            if (endTime && new Date(endTime).getTime() !== new Date(auction.timing.endTime).getTime()) {
+                logger.info(`Ending-soon reminder skipped for auction ${auctionId} - end time changed`);
+                return;
+            }
+
+            const minutesRemaining = Math.round((new Date(auction.timing.endTime) - new Date()) / 60000);
+            if (minutesRemaining <= 0) {
                 return;
             }
 
-            if (auction.status !== 'active') {
-                logger.warn(`Cannot close expired auction: Auction not active ${auctionId}`);
+            if (checkpoint !== null) {
+                const sentKey = endingSoonSentKey(auctionId);
+                const claimed = await redisClient.sadd(sentKey, String(checkpoint));
+                await redisClient.expireat(
+                    sentKey,
+                    Math.ceil(new Date(auction.timing.endTime).getTime() / 1000) + ENDING_SOON_SENT_TTL_SECONDS
+                );
+
+                if (!claimed) {
+                    logger.info(`Ending-soon reminder skipped for auction ${auctionId} - ${checkpoint} minute checkpoint already sent`);
+                    return;
+                }
+            }
+
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionEndingSoon(auctionId, auction, minutesRemaining);
+            }
+
+            const bidders = await bidRepository.findActiveBidders(auctionId);
+            const watchers = auction.metadata?.watchers || [];
+            await notificationEventService.notifyAuctionEndingSoon(auction, bidders, watchers, minutesRemaining);
+
+            logger.info(`Ending-soon reminder sent for auction ${auctionId} (${minutesRemaining} minutes left)`);
+        } catch (error) {
+            logger.error(`Error sending ending-soon reminder ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule the automatic start of a draft auction
+     * A start time already in the past activates the auction right away
+     * @param {string} auctionId - Auction ID
+     * @param {Date} startTime - Auction start time
+     */
+    async scheduleAuctionStart(auctionId, startTime) {
+        try {
+            // Remove existing jobs if any
+            await this.removeAuctionStartJobs(auctionId);
+
+            const delay = Math.max(0, new Date(startTime) - new Date());
+
+            await auctionStartQueue.add(
+                'start-auction',
+                { auctionId: auctionId.toString() },
+                {
+                    delay,
+                    jobId: `auction-start-${auctionId}`,
+                    removeOnComplete: true
+                }
+            );
+
+            const announceDelay = delay - STARTING_SOON_MINUTES * 60 * 1000;
+            if (announceDelay > 0) {
+                await auctionStartQueue.add(
+                    'starting-soon',
+                    { auctionId: auctionId.toString() },
+                    {
+                        delay: announceDelay,
+                        jobId: `auction-starting-soon-${auctionId}`,
+                        removeOnComplete: true
+                    }
+                );
+            } else if (delay > 0) {
+                // Already inside the announcement window
+                await this.announceStartingSoon(auctionId);
+            }
+
+            logger.info(`Auction start scheduled: ${auctionId} at ${startTime}`);
+        } catch (error) {
+            logger.error(`Error scheduling auction start ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the scheduled start and starting-soon jobs of an auction
+     * @param {string} auctionId - Auction ID
+     */
+    async removeAuctionStartJobs(auctionId) {
+        try {
+            const jobIds = [`auction-start-${auctionId}`, `auction-starting-soon-${auctionId}`];
+
+            for (const jobId of jobIds) {
+                const job = await auctionStartQueue.getJob(jobId);
+                if (job) {
+                    await job.remove();
+                }
+            }
+
+            logger.info(`Auction start jobs removed: ${auctionId}`);
+        } catch (error) {
+            logger.error(`Error removing auction start jobs ${auctionId}:`, error.message);
+            // Don't throw error, just log it
+        }
+    }
+
+    /**
+     * Announce that a scheduled auction is about to go live
+     * @param {string} auctionId - Auction ID
+     */
+    async announceStartingSoon(auctionId) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction || auction.status !== 'draft') {
                 return;
             }
 
-            // Update status to closed
-            await auctionRepository.updateStatus(auctionId, 'closed');
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionStartingSoon(auctionId.toString(), auction);
+            }
+
+            logger.info(`Starting-soon announcement sent for auction ${auctionId}`);
+        } catch (error) {
+            logger.error(`Error announcing auction start ${auctionId}:`, error.message);
+            // Don't throw error, the auction still starts without the announcement
+        }
+    }
+
+    /**
+     * Activate a scheduled auction once its start time is reached
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object|null>} - Activated auction, or null if nothing was started
+     */
+    async startScheduledAuction(auctionId) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction || auction.status !== 'draft') {
+                logger.info(`Scheduled start skipped for auction ${auctionId} - no longer a draft`);
+                return null;
+            }
+
+            if (new Date(auction.timing.startTime) > new Date()) {
+                // The start was moved later; the rescheduled job will pick it up
+                logger.info(`Scheduled start skipped for auction ${auctionId} - start time not reached`);
+                return null;
+            }
+
+            const activatedAuction = await auctionRepository.activateScheduled(auctionId);
+            if (!activatedAuction) {
+                return null;
+            }
+
+            await this.scheduleAuctionExpiration(auctionId, activatedAuction.timing.endTime);
+
+            // The auction now appears in active listings
+            await cacheService.invalidateAuctionCache(auctionId);
+            await cacheService.invalidateListingCache();
+
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionUpdate(auctionId.toString(), activatedAuction, 'status');
+            }
+
+            try {
+                await aiWebhookService.queueAuctionCreated(activatedAuction);
+            } catch (error) {
+                logger.error('Failed to queue auction-created webhook:', error.message);
+                // Don't fail the start if webhook fails
+            }
+
+            logger.info(`Scheduled auction started: ${auctionId}`);
+
+            return activatedAuction;
+        } catch (error) {
+            logger.error(`Error starting scheduled auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Add an auction to a user's watchlist
+     * @param {string} auctionId - Auction ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Watch state ({ watching, watchers })
+     */
+    async watchAuction(auctionId, userId) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction) {
+                throw new Error('AUCTION_NOT_FOUND');
+            }
+
+            if (auction.seller.toString() === userId.toString()) {
+                throw new Error('CANNOT_WATCH_OWN_AUCTION');
+            }
+
+            if (!['draft', 'active'].includes(auction.status)) {
+                throw new Error('AUCTION_NOT_WATCHABLE');
+            }
+
+            const updated = await auctionRepository.addWatcher(auctionId, userId);
+
+            logger.info(`User ${userId} is watching auction ${auctionId}`);
+
+            return {
+                watching: true,
+                watchers: updated.metadata.watchers.length
+            };
+        } catch (error) {
+            logger.error(`Error watching auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an auction from a user's watchlist
+     * @param {string} auctionId - Auction ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Watch state ({ watching, watchers })
+     */
+    async unwatchAuction(auctionId, userId) {
+        try {
+            const updated = await auctionRepository.removeWatcher(auctionId, userId);
+            if (!updated) {
+                throw new Error('AUCTION_NOT_FOUND');
+            }
+
+            logger.info(`User ${userId} stopped watching auction ${auctionId}`);
+
+            return {
+                watching: false,
+                watchers: updated.metadata.watchers.length
+            };
+        } catch (error) {
+            logger.error(`Error unwatching auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the auctions a user is watching, soonest ending first
+     * Read straight from the database (not the cache) so prices are live
+     * @param {string} userId - User ID
+     * @param {Object} options - Query options (page, limit)
+     * @returns {Promise<Object>} - Watched auctions and pagination info
+     */
+    async getWatchlist(userId, options = {}) {
+        try {
+            const { page = 1, limit = 20 } = options;
+
+            const result = await auctionRepository.findWithPagination(
+                { 'metadata.watchers': userId },
+                page,
+                limit,
+                { 'timing.endTime': 1 }
+            );
+
+            const now = new Date();
+            const auctions = result.auctions.map(auction => ({
+                _id: auction._id,
+                title: auction.title,
+                category: auction.category,
+                images: auction.images,
+                status: auction.status,
+                seller: auction.seller,
+                currentPrice: auction.pricing.currentPrice,
+                buyNowPrice: auction.pricing.buyNowPrice,
+                nextMinimumBid: auction.status === 'active' ? getNextMinimumBid(auction) : null,
+                totalBids: auction.bidding.totalBids,
+                endTime: auction.timing.endTime,
+                timeRemaining: Math.max(0, new Date(auction.timing.endTime) - now),
+                watchers: auction.metadata.watchers.length
+            }));
+
+            return {
+                auctions,
+                pagination: result.pagination
+            };
+        } catch (error) {
+            logger.error(`Error getting watchlist for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Close expired auction
+     * @param {string} auctionId - Auction ID
+     */
+    async closeExpiredAuction(auctionId) {
+        try {
+            // Import bidService dynamically to avoid circular dependency
+            const { default: bidService } = await import('./bid.service.js');
+
+            // Decide under the bid lock, so a last-second bid (and the soft-close
+            // extension it triggers) either lands before the close or not at all
+            const auction = await bidService.withBidLock(auctionId, async () => {
+                const current = await auctionRepository.findById(auctionId);
+
+                if (!current) {
+                    logger.warn(`Cannot close expired auction: Auction not found ${auctionId}`);
+                    return null;
+                }
+
+                if (current.status !== 'active') {
+                    logger.warn(`Cannot close expired auction: Auction not active ${auctionId}`);
+                    return null;
+                }
+
+                const endTime = new Date(current.timing.endTime);
+                if (endTime > new Date()) {
+                    // Extended while this job was already running, so the extension
+                    // could not replace it; queue a follow-up for the new deadline
+                    await this.auctionExpirationQueue.add(
+                        { auctionId },
+                        {
+                            delay: endTime - new Date(),
+                            jobId: `auction-expiration-${auctionId}-${endTime.getTime()}`,
+                            removeOnComplete: true
+                        }
+                    );
+                    logger.info(`Auction ${auctionId} was extended, expiration deferred to ${endTime}`);
+                    return null;
+                }
+
+                // Update status to closed
+                await auctionRepository.updateStatus(auctionId, 'closed');
+
+                return current;
+            });
+
+            if (!auction) {
+                return;
+            }
 
             // Track auction closed metric
             const hasWinner = !!auction.bidding.highestBid;
@@ -609,22 +1181,10 @@ class AuctionService {
 
             // If there's a highest bid, determine winner
             let winningBid = null;
-            let winner = null;
             if (auction.bidding.highestBid) {
-                // Import bidService dynamically to avoid circular dependency
-                const { default: bidService } = await import('./bid.service.js');
-                winningBid = await bidService.determineWinner(auctionId);
-                winner = winningBid ? winningBid.bidder : null;
+                const result = await bidService.determineWinner(auctionId);
+                winningBid = result.hasWinner ? result.winningBid : null;
                 logger.info(`Auction closed with winner: ${auctionId}`);
-                
-                // Send notification to winner (within 1 minute requirement)
-                if (winningBid && winner) {
-                    notificationEventService.notifyAuctionWinner(
-                        winner._id || winner,
-                        auction,
-                        winningBid
-                    ).catch(err => logger.error('Failed to send winner notification:', err.message));
-                }
             } else {
                 logger.info(`Auction closed without bids: ${auctionId}`);
                 
@@ -635,14 +1195,43 @@ class AuctionService {
                 }
             }
 
-            // Send notification to seller (within 1 minute requirement)
-            notificationEventService.notifySellerAuctionEnded(
-                auction.seller,
+            await this.announceAuctionClosed(auction, winningBid);
+
+            logger.info(`Expired auction closed: ${auctionId}`);
+        } catch (error) {
+            logger.error(`Error closing expired auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Send the notifications and AI webhook that follow an auction closing
+     * @param {Object} auction - Auction object
+     * @param {Object|null} winningBid - Winning bid (bidder populated), or null if there is no winner
+     */
+    async announceAuctionClosed(auction, winningBid = null) {
+        const auctionId = auction._id;
+        const winner = winningBid ? winningBid.bidder : null;
+        const winnerId = winner ? (winner._id || winner).toString() : null;
+
+        // Send notification to winner (within 1 minute requirement)
+        if (winnerId) {
+            notificationEventService.notifyAuctionWinner(
+                winnerId,
                 auction,
-                winner ? { name: winner.profile?.firstName || 'Winner', amount: winningBid.amount } : null
-            ).catch(err => logger.error('Failed to send seller auction ended notification:', err.message));
+                winningBid
+            ).catch(err => logger.error('Failed to send winner notification:', err.message));
+        }
 
-            // Get all unique bidders and notify them (within 1 minute requirement)
+        // Send notification to seller (within 1 minute requirement)
+        notificationEventService.notifySellerAuctionEnded(
+            auction.seller,
+            auction,
+            winner ? { name: winner.profile?.firstName || 'Winner', amount: winningBid.amount } : null
+        ).catch(err => logger.error('Failed to send seller auction ended notification:', err.message));
+
+        // Get all unique bidders and notify them (within 1 minute requirement)
+        try {
             const allBids = await bidRepository.findByAuction(auctionId, { page: 1, limit: 1000 });
             const uniqueBidderIds = [...new Set(allBids.bids.map(bid => 
                 (bid.bidder._id || bid.bidder).toString()
@@ -652,22 +1241,159 @@ class AuctionService {
                 notificationEventService.notifyBiddersAuctionEnded(
                     uniqueBidderIds,
                     auction,
-                    winner ? (winner._id || winner).toString() : null
+                    winnerId
                 ).catch(err => logger.error('Failed to send bidders auction ended notifications:', err.message));
             }
+        } catch (error) {
+            logger.error('Failed to load bidders for auction ended notifications:', error.message);
+        }
+
+        // Queue webhook to AI module for auction end
+        try {
+            const closedAuction = await auctionRepository.findById(auctionId);
+            await aiWebhookService.queueAuctionEnded(closedAuction, winningBid);
+        } catch (error) {
+            logger.error('Failed to queue auction-ended webhook:', error.message);
+            // Don't fail auction closure if webhook fails
+        }
+    }
+
+    /**
+     * Check whether buy-now is still offered on an auction
+     * Disabled once bidding reaches BUY_NOW_DISABLE_THRESHOLD of the buy-now price
+     * @param {Object} auction - Auction object
+     * @returns {boolean} - True if the auction can be bought now
+     */
+    isBuyNowAvailable(auction) {
+        const { buyNowPrice, currentPrice } = auction.pricing;
+        if (!buyNowPrice) {
+            return false;
+        }
+
+        if (!auction.bidding.totalBids) {
+            return true;
+        }
+
+        return currentPrice < buyNowPrice * Math.min(BUY_NOW_DISABLE_THRESHOLD, 1);
+    }
+
+    /**
+     * Buy an auction outright at its buy-now price
+     * Closes the auction for the buyer and marks every open bid as lost
+     * @param {string} auctionId - Auction ID
+     * @param {string} buyerId - Buyer user ID
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Purchase bid and closed auction
+     */
+    async buyNow(auctionId, buyerId, metadata = {}) {
+        try {
+            // Import bidService dynamically to avoid circular dependency
+            const { default: bidService } = await import('./bid.service.js');
+
+            // Under the bid lock, so no bid can be accepted while the auction closes
+            const { auction, closedAuction, purchaseBid } = await bidService.withBidLock(auctionId, async () => {
+                const current = await auctionRepository.findById(auctionId);
+                if (!current) {
+                    throw new Error('AUCTION_NOT_FOUND');
+                }
+
+                bidService.validateAuctionOpenForBidding(current, buyerId);
+
+                if (!current.pricing.buyNowPrice) {
+                    throw new Error('BUY_NOW_NOT_AVAILABLE');
+                }
+
+                if (!this.isBuyNowAvailable(current)) {
+                    throw new Error('BUY_NOW_DISABLED');
+                }
+
+                const price = current.pricing.buyNowPrice;
+                const bid = await bidRepository.create({
+                    auction: auctionId,
+                    bidder: buyerId,
+                    amount: price,
+                    timestamp: new Date(),
+                    status: 'won',
+                    metadata: {
+                        ipAddress: metadata.ipAddress || null,
+                        userAgent: metadata.userAgent || null,
+                        bidMethod: 'buy_now'
+                    }
+                });
+
+                const closed = await auctionRepository.closeWithBuyNow(auctionId, price, bid._id, buyerId);
+                if (!closed) {
+                    await bidRepository.delete(bid._id);
+                    throw new Error('AUCTION_NOT_ACTIVE');
+                }
+
+                await bidRepository.markOpenBidsAsLost(auctionId, bid._id);
+                await proxyBidService.exhaustAll(auctionId);
+
+                return { auction: current, closedAuction: closed, purchaseBid: bid };
+            });
+
+            await this.removeAuctionExpirationJob(auctionId);
+
+            // Open escrow for the sale; the purchase must not fail on a ledger error
+            try {
+                await ledgerService.openEscrow({
+                    auctionId,
+                    buyerId,
+                    sellerId: auction.seller,
+                    amount: purchaseBid.amount
+                });
+            } catch (ledgerError) {
+                logger.error(`Failed to open escrow for auction ${auctionId}:`, ledgerError.message);
+            }
 
-            // Queue webhook to AI module for auction end
+            // Start the buyer's payment deadline
             try {
-                const closedAuction = await auctionRepository.findById(auctionId);
-                await aiWebhookService.queueAuctionEnded(closedAuction, winningBid);
-            } catch (error) {
-                logger.error('Failed to queue auction-ended webhook:', error.message);
-                // Don't fail auction closure if webhook fails
+                await secondChanceService.schedulePaymentDeadline(auctionId, buyerId);
+            } catch (deadlineError) {
+                logger.error(`Failed to schedule payment deadline for auction ${auctionId}:`, deadlineError.message);
             }
 
-            logger.info(`Expired auction closed: ${auctionId}`);
+            // Update buyer's stats
+            await userRepository.incrementStats(buyerId, {
+                totalBids: 1,
+                auctionsWon: 1,
+                totalSpent: purchaseBid.amount
+            });
+
+            // Track auction closed metric
+            prometheusMetrics.trackAuctionClosed(
+                auction.category || 'unknown',
+                true,
+                purchaseBid.amount
+            );
+
+            await cacheService.invalidateAuctionCache(auctionId);
+
+            logger.info(`Auction bought now: ${auctionId} by buyer ${buyerId} for ${purchaseBid.amount}`);
+
+            const winningBid = await bidRepository.findById(purchaseBid._id, ['bidder']);
+
+            // Emit auction closed event with winner
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionClosed(auctionId, closedAuction, {
+                    hasWinner: true,
+                    winner: buyerId,
+                    finalPrice: purchaseBid.amount
+                });
+            }
+
+            await this.announceAuctionClosed(auction, winningBid);
+
+            return {
+                bid: winningBid,
+                auction: closedAuction
+            };
         } catch (error) {
-            logger.error(`Error closing expired auction ${auctionId}:`, error.message);
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'AUCTION_BUSY';
+            }
+            logger.error(`Error buying auction ${auctionId}:`, error.message);
             throw error;
         }
     }
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import AuditLog from '../models/audit-log.model.js';
 import logger from '../config/logger.js';
 
@@ -89,7 +90,7 @@ class AuditService {
     /**
      * Log logout
      */
-    async logLogout({ userId, email, ipAddress, userAgent }) {
+    async logLogout({ userId, email, ipAddress, userAgent, allDevices = false }) {
         await this.log({
             userId,
             email,
@@ -99,9 +100,110 @@ class AuditService {
             ipAddress,
             userAgent,
             method: 'POST',
-            path: '/api/v1/auth/logout',
+            path: allDevices ? '/api/v1/auth/logout-all' : '/api/v1/auth/logout',
             status: 'success',
             statusCode: 200,
+            details: allDevices ? { allDevices } : null,
+        });
+    }
+
+    /**
+     * Log a password reset request or completion
+     */
+    async logPasswordReset({ userId, email, stage, ipAddress, userAgent, success, error }) {
+        await this.log({
+            userId,
+            email,
+            action: 'AUTH_PASSWORD_RESET',
+            resourceType: 'user',
+            resourceId: userId,
+            ipAddress,
+            userAgent,
+            method: 'POST',
+            path: stage === 'request' ? '/api/v1/auth/forgot-password' : '/api/v1/auth/reset-password',
+            status: success ? 'success' : 'failure',
+            statusCode: success ? 200 : 400,
+            details: { stage },
+            error: error ? { code: error.code, message: error.message } : null,
+        });
+    }
+
+    /**
+     * Log a two-factor authentication event (enrollment, challenge, disable, ...)
+     */
+    async logTwoFactorEvent({ userId, email, action, ipAddress, userAgent, path, success = true, details, error }) {
+        await this.log({
+            userId,
+            email,
+            action,
+            resourceType: 'user',
+            resourceId: userId,
+            ipAddress,
+            userAgent,
+            method: 'POST',
+            path,
+            status: success ? 'success' : 'failure',
+            statusCode: success ? 200 : 401,
+            details,
+            error: error ? { code: error.code, message: error.message } : null,
+        });
+    }
+
+    /**
+     * Log bid retraction
+     */
+    async logBidRetraction({ userId, bidId, auctionId, amount, reasonCode, ipAddress, userAgent }) {
+        await this.log({
+            userId,
+            action: 'BID_RETRACT',
+            resourceType: 'bid',
+            resourceId: bidId,
+            ipAddress,
+            userAgent,
+            method: 'POST',
+            path: `/api/v1/bids/${bidId}/retract`,
+            status: 'success',
+            statusCode: 200,
+            details: { auctionId, amount, reasonCode },
+        });
+    }
+
+    /**
+     * Log payment lifecycle event
+     */
+    async logPaymentEvent({ userId, action, paymentId, ipAddress, userAgent, path, status = 'success', statusCode, details, error }) {
+        await this.log({
+            userId,
+            action,
+            resourceType: 'payment',
+            resourceId: paymentId,
+            ipAddress,
+            userAgent,
+            method: 'POST',
+            path,
+            status,
+            statusCode,
+            details,
+            error,
+        });
+    }
+
+    /**
+     * Log admin moderation action (ban, unban, auction removal)
+     */
+    async logAdminAction({ userId, action, resourceType, resourceId, ipAddress, userAgent, path, method = 'POST', details }) {
+        await this.log({
+            userId,
+            action,
+            resourceType,
+            resourceId,
+            ipAddress,
+            userAgent,
+            method,
+            path,
+            status: 'success',
+            statusCode: 200,
+            details,
         });
     }
 
@@ -309,6 +411,35 @@ class AuditService {
             recentIPs: recentIPs.slice(0, 10),
         };
     }
+
+    /**
+     * Get the distinct IP addresses and user agents seen for each user
+     */
+    async getUserFingerprints(userIds, since) {
+        const fingerprints = await AuditLog.aggregate([
+            {
+                $match: {
+                    user: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) },
+                    timestamp: { $gte: since },
+                },
+            },
+            {
+                $group: {
+                    _id: '$user',
+                    ipAddresses: { $addToSet: '$ipAddress' },
+                    userAgents: { $addToSet: '$userAgent' },
+                },
+            },
+        ]);
+
+        return new Map(fingerprints.map(entry => [
+            entry._id.toString(),
+            {
+                ipAddresses: entry.ipAddresses.filter(Boolean),
+                userAgents: entry.userAgents.filter(Boolean),
+            },
+        ]));
+    }
 }
 
 export default new AuditService();
@@ -4,14 +4,24 @@ import logger from '../config/logger.js';
 import crypto from 'crypto';
 import cacheService from './cache.service.js';
 import prometheusMetrics from './prometheus-metrics.service.js';
+import { emailQueue } from '../config/queue.config.js';
+import refreshTokenRepository from '../repositories/refresh-token.repository.js';
+import auditService from './audit.service.js';
+import sessionService from './session.service.js';
+import twoFactorService from './two-factor.service.js';
+import { TWO_FACTOR_CHALLENGE_TTL } from '../config/two-factor.config.js';
+
+// Email verification links stay valid this long
+const EMAIL_VERIFICATION_TTL_HOURS = parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS ?? 24);
 
 class AuthService {
     /**
      * Register a new user
      * @param {Object} userData - User registration data
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
      * @returns {Object} - Created user and tokens
      */
-    async register(userData) {
+    async register(userData, metadata = {}) {
         const { email, password, firstName, lastName, role } = userData;
         
         try {
@@ -49,17 +59,29 @@ class AuthService {
                 role: role || 'buyer'
             });
             
+            // Issue the email verification token with the new account
+            const verificationToken = this.issueEmailVerificationToken(user);
+            
             await user.save();
             
+            try {
+                await this.sendVerificationEmail(user.email, verificationToken);
+            } catch (error) {
+                // Don't fail registration, the user can ask for a new link
+                logger.error(`Failed to queue verification email for ${email}:`, error.message);
+            }
+            
             // Track user registration metric
             prometheusMetrics.trackUserRegistration(user.role || 'buyer');
             
-            // Generate tokens
-            const tokens = user.generateTokens();
+            // Generate tokens (starts a new refresh token family)
+            const tokens = await this.issueTokens(user, { metadata });
             
-            // Remove password from response
+            // Remove password and verification token from response
             const userResponse = user.toObject();
             delete userResponse.password;
+            delete userResponse.emailVerificationToken;
+            delete userResponse.emailVerificationExpires;
             
             logger.info(`User registered successfully: ${email}`);
             
@@ -77,9 +99,10 @@ class AuthService {
      * Login user with credentials
      * @param {string} email - User email
      * @param {string} password - User password
-     * @returns {Object} - User and tokens
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Object} - User and tokens, or a 2FA challenge token if the user has 2FA enabled
      */
-    async login(email, password) {
+    async login(email, password, metadata = {}) {
         try {
             // Log login attempt
             logger.info(`Login attempt for email: ${email}`);
@@ -100,48 +123,243 @@ class AuthService {
                 throw new Error('INVALID_CREDENTIALS');
             }
             
-            // Update last login
-            user.lastLogin = new Date();
-            await user.save();
+            // Suspended and banned users cannot sign in until the restriction ends
+            if (user.isRestricted()) {
+                logger.warn(`Login failed: Account ${user.moderation.status} - ${email}`);
+                throw new Error(user.moderation.status === 'banned' ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED');
+            }
             
-            // Generate tokens
-            const tokens = user.generateTokens();
+            // Second step: tokens are only issued once a TOTP or recovery code is given
+            if (user.twoFactor?.enabled) {
+                const challengeToken = jwt.sign(
+                    { id: user._id, purpose: '2fa_challenge' },
+                    process.env.JWT_2FA_SECRET || process.env.JWT_REFRESH_SECRET,
+                    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+                );
+                
+                await auditService.logTwoFactorEvent({
+                    userId: user._id,
+                    email: user.email,
+                    action: 'AUTH_2FA_CHALLENGE',
+                    ipAddress: metadata.ipAddress,
+                    userAgent: metadata.userAgent,
+                    path: '/api/v1/auth/login',
+                    details: { stage: 'issued' }
+                });
+                
+                logger.info(`Login password accepted, 2FA challenge issued: ${email}`);
+                
+                return {
+                    twoFactorRequired: true,
+                    challengeToken
+                };
+            }
             
-            // Remove password from response
-            const userResponse = user.toObject();
-            delete userResponse.password;
+            return await this.completeLogin(user, metadata);
+        } catch (error) {
+            logger.error(`Login error for ${email}:`, error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Finish a 2FA login with the challenge token and a TOTP or recovery code
+     * @param {string} challengeToken - Token returned by login
+     * @param {string} code - TOTP code or recovery code
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Object} - User and tokens
+     */
+    async loginWithTwoFactor(challengeToken, code, metadata = {}) {
+        try {
+            let decoded;
+            try {
+                decoded = jwt.verify(challengeToken, process.env.JWT_2FA_SECRET || process.env.JWT_REFRESH_SECRET);
+            } catch (error) {
+                throw new Error('INVALID_TWO_FACTOR_CHALLENGE');
+            }
+            
+            if (decoded.purpose !== '2fa_challenge') {
+                throw new Error('INVALID_TWO_FACTOR_CHALLENGE');
+            }
             
-            // Cache user session data (TTL: 15 minutes)
-            await cacheService.cacheUserSession(user._id.toString(), {
+            const user = await User.findById(decoded.id)
+                .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+            
+            if (!user || !user.twoFactor?.enabled || user.changedPasswordAfter(decoded.iat)) {
+                throw new Error('INVALID_TWO_FACTOR_CHALLENGE');
+            }
+            
+            if (user.isRestricted()) {
+                throw new Error(user.moderation.status === 'banned' ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED');
+            }
+            
+            // Too many wrong codes void every outstanding challenge until the lockout ends
+            if (await twoFactorService.isChallengeLocked(user._id.toString())) {
+                throw new Error('TWO_FACTOR_LOCKED');
+            }
+            
+            const method = await twoFactorService.consumeCode(user, code);
+            
+            await auditService.logTwoFactorEvent({
                 userId: user._id,
                 email: user.email,
-                role: user.role,
-                profile: user.profile,
-                lastLogin: user.lastLogin
+                action: 'AUTH_2FA_CHALLENGE',
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: '/api/v1/auth/login/2fa',
+                success: method !== null,
+                details: { stage: 'verified', method }
             });
             
-            logger.info(`User logged in successfully: ${email}`);
+            if (!method) {
+                logger.warn(`2FA login failed: Invalid code - ${user.email}`);
+                
+                const { failures, locked } = await twoFactorService.recordChallengeFailure(user._id.toString());
+                if (locked) {
+                    logger.warn(`2FA login locked out after ${failures} failed codes - ${user.email}`);
+                    
+                    await auditService.logTwoFactorEvent({
+                        userId: user._id,
+                        email: user.email,
+                        action: 'AUTH_2FA_LOCKOUT',
+                        ipAddress: metadata.ipAddress,
+                        userAgent: metadata.userAgent,
+                        path: '/api/v1/auth/login/2fa',
+                        success: false,
+                        details: { failures }
+                    });
+                    
+                    throw new Error('TWO_FACTOR_LOCKED');
+                }
+                
+                throw new Error('INVALID_TWO_FACTOR_CODE');
+            }
+            
+            await twoFactorService.clearChallengeFailures(user._id.toString());
             
-            return {
-                user: userResponse,
-                ...tokens
-            };
+            const result = await this.completeLogin(user, metadata);
+            
+            await auditService.logAuthAttempt({
+                email: user.email,
+                success: true,
+                userId: user._id,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                error: null
+            });
+            
+            return result;
         } catch (error) {
-            logger.error(`Login error for ${email}:`, error.message);
+            logger.error('2FA login error:', error.message);
             throw error;
         }
     }
     
     /**
-     * Refresh access token using refresh token
+     * Issue tokens for a user whose credentials have been fully checked
+     * @param {Object} user - User document
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Object} - User and tokens
+     */
+    async completeLogin(user, metadata = {}) {
+        // Update last login
+        user.lastLogin = new Date();
+        await user.save();
+        
+        // Generate tokens (starts a new refresh token family)
+        const tokens = await this.issueTokens(user, { metadata });
+        
+        // Remove password and 2FA secrets from response
+        const userResponse = user.toObject();
+        delete userResponse.password;
+        if (userResponse.twoFactor) {
+            delete userResponse.twoFactor.secret;
+            delete userResponse.twoFactor.recoveryCodes;
+            delete userResponse.twoFactor.lastUsedStep;
+        }
+        
+        // Cache user session data (TTL: 15 minutes)
+        await cacheService.cacheUserSession(user._id.toString(), {
+            userId: user._id,
+            email: user.email,
+            role: user.role,
+            profile: user.profile,
+            lastLogin: user.lastLogin
+        });
+        
+        logger.info(`User logged in successfully: ${user.email}`);
+        
+        return {
+            user: userResponse,
+            ...tokens
+        };
+    }
+    
+    /**
+     * Issue an access token and a tracked refresh token
+     * Without a family a new login session is started; the session ID is the
+     * refresh token family and the access token's sid claim
+     * @param {Object} user - User document
+     * @param {Object} options - family (omit to start a new session), jti and request metadata
+     * @returns {Object} - accessToken and refreshToken
+     */
+    async issueTokens(user, { family = null, jti = crypto.randomUUID(), metadata = {} } = {}) {
+        const sessionId = family || sessionService.generateSessionId();
+        
+        const tokens = user.generateTokens({ family: sessionId, jti });
+        const expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+        
+        if (family) {
+            await sessionService.recordRefresh(sessionId, metadata, expiresAt);
+        } else {
+            await sessionService.createSession(sessionId, user._id, metadata, expiresAt);
+        }
+        
+        await refreshTokenRepository.create({
+            user: user._id,
+            jti,
+            family: sessionId,
+            expiresAt,
+            metadata: {
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent
+            }
+        });
+        
+        return tokens;
+    }
+    
+    /**
+     * Refresh tokens using a refresh token
+     * The presented token is rotated: it stops working and a new pair is issued
+     * in the same family. Presenting an already rotated token means it was
+     * copied, so the whole family is revoked.
      * @param {string} refreshToken - Refresh token
-     * @returns {Object} - New access token
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Object} - New access token and refresh token
      */
-    async refreshToken(refreshToken) {
+    async refreshToken(refreshToken, metadata = {}) {
         try {
             // Verify refresh token
             const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
             
+            // Tokens issued before rotation was introduced are not tracked
+            const record = decoded.jti ? await refreshTokenRepository.findByJti(decoded.jti) : null;
+            if (!record) {
+                logger.warn(`Token refresh failed: Unknown refresh token - ${decoded.id}`);
+                throw new Error('INVALID_REFRESH_TOKEN');
+            }
+            
+            if (record.status === 'revoked') {
+                logger.warn(`Token refresh failed: Token revoked - ${decoded.id}`);
+                throw new Error('REFRESH_TOKEN_REVOKED');
+            }
+            
+            if (record.status === 'rotated') {
+                await this.handleRefreshTokenReuse(record, metadata);
+                throw new Error('REFRESH_TOKEN_REUSED');
+            }
+            
             // Find user
             const user = await User.findById(decoded.id);
             
@@ -150,14 +368,25 @@ class AuthService {
                 throw new Error('USER_NOT_FOUND');
             }
             
-            // Generate new access token
-            const accessToken = user.generateAccessToken();
+            // Reject refresh tokens issued before the last password change
+            if (user.changedPasswordAfter(decoded.iat)) {
+                logger.warn(`Token refresh failed: Token revoked by password change - ${user.email}`);
+                throw new Error('REFRESH_TOKEN_REVOKED');
+            }
+            
+            // Rotate: claim the old token first so a concurrent refresh with it loses
+            const nextJti = crypto.randomUUID();
+            const rotated = await refreshTokenRepository.markRotated(record.jti, nextJti);
+            if (!rotated) {
+                await this.handleRefreshTokenReuse(record, metadata);
+                throw new Error('REFRESH_TOKEN_REUSED');
+            }
+            
+            const tokens = await this.issueTokens(user, { family: record.family, jti: nextJti, metadata });
             
             logger.info(`Token refreshed successfully for user: ${user.email}`);
             
-            return {
-                accessToken
-            };
+            return tokens;
         } catch (error) {
             if (error.name === 'JsonWebTokenError') {
                 logger.warn('Token refresh failed: Invalid token');
@@ -172,6 +401,35 @@ class AuthService {
         }
     }
     
+    /**
+     * Revoke a token family after one of its rotated tokens was presented again
+     * @param {Object} record - Reused refresh token record
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     */
+    async handleRefreshTokenReuse(record, metadata = {}) {
+        logger.warn(`Refresh token reuse detected for user ${record.user} - revoking family ${record.family}`);
+        
+        try {
+            await sessionService.revokeSession(record.user, record.family, 'reuse_detected');
+        } catch (error) {
+            // Session already revoked or gone; still make sure the family is dead
+            await refreshTokenRepository.revokeFamily(record.family, 'reuse_detected');
+        }
+        await cacheService.invalidateUserSession(record.user.toString());
+        
+        await auditService.logSuspiciousActivity({
+            userId: record.user,
+            ipAddress: metadata.ipAddress,
+            userAgent: metadata.userAgent,
+            path: '/api/v1/auth/refresh-token',
+            method: 'POST',
+            details: {
+                reason: 'Refresh token reuse detected',
+                family: record.family
+            },
+        });
+    }
+    
     /**
      * Get user by ID (with caching)
      * @param {string} userId - User ID
@@ -210,14 +468,41 @@ class AuthService {
     }
     
     /**
-     * Logout user (invalidate session cache)
+     * Logout user (revoke the device's session, its refresh tokens and the session cache)
      * @param {string} userId - User ID
+     * @param {string} sessionId - Session of the access token, if it carries one
+     * @param {string} refreshToken - The device's refresh token, if it has one
      * @returns {Object} - Success message
      */
-    async logout(userId) {
+    async logout(userId, sessionId = null, refreshToken = null) {
         try {
+            let logoutSessionId = sessionId;
+            
+            if (!logoutSessionId && refreshToken) {
+                let decoded = null;
+                try {
+                    // An expired token still identifies the session to revoke
+                    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+                } catch (error) {
+                    logger.warn(`Logout with invalid refresh token for user ${userId}`);
+                }
+                
+                if (decoded?.fam && decoded.id?.toString() === userId.toString()) {
+                    logoutSessionId = decoded.fam;
+                }
+            }
+            
+            if (logoutSessionId) {
+                try {
+                    await sessionService.revokeSession(userId, logoutSessionId, 'logout');
+                } catch (error) {
+                    // Already revoked; logging out again is not an error
+                    logger.warn(`Logout for user ${userId}: ${error.message}`);
+                }
+            }
+            
             // Invalidate user session cache
-            await cacheService.invalidateUserSession(userId);
+            await cacheService.invalidateUserSession(userId.toString());
             logger.info(`User logged out: ${userId}`);
             
             return {
@@ -229,6 +514,28 @@ class AuthService {
         }
     }
     
+    /**
+     * Logout user from every device (revoke all sessions and refresh tokens)
+     * @param {string} userId - User ID
+     * @returns {Object} - Number of revoked sessions and success message
+     */
+    async logoutAll(userId) {
+        try {
+            const revoked = await sessionService.revokeAllSessions(userId, 'logout_all');
+            await cacheService.invalidateUserSession(userId.toString());
+            
+            logger.info(`User logged out from all devices: ${userId}`);
+            
+            return {
+                revoked,
+                message: 'Logged out from all devices'
+            };
+        } catch (error) {
+            logger.error(`Logout-all error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+    
     /**
      * Generate password reset token
      * @param {string} email - User email
@@ -264,6 +571,7 @@ class AuthService {
             
             return {
                 resetToken,
+                userId: user._id,
                 email: user.email
             };
         } catch (error) {
@@ -272,6 +580,55 @@ class AuthService {
         }
     }
     
+    /**
+     * Start a password reset: generate a token and email the reset link
+     * The response is the same whether or not the email is registered
+     * @param {string} email - User email
+     * @returns {Object} - Generic message and the user ID if one was found (for auditing)
+     */
+    async requestPasswordReset(email) {
+        try {
+            const result = await this.generatePasswordResetToken(email);
+            
+            if (result.resetToken) {
+                await this.sendPasswordResetEmail(result.email, result.resetToken);
+            }
+            
+            return {
+                userId: result.userId || null,
+                message: 'If the email exists, a reset link will be sent'
+            };
+        } catch (error) {
+            logger.error('Password reset request error:', error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Queue the password reset email
+     * @param {string} email - Recipient email
+     * @param {string} resetToken - Plain reset token (only its hash is stored)
+     */
+    async sendPasswordResetEmail(email, resetToken) {
+        const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+        
+        await emailQueue.add('send-email', {
+            to: email,
+            subject: 'Reset your password',
+            text: `We received a request to reset your password. Use this link within 1 hour: ${resetUrl}\n\nIf you did not ask for a reset, you can ignore this email.`,
+            html: `
+                <p>We received a request to reset your password.</p>
+                <p><a href="${resetUrl}">Reset your password</a></p>
+                <p>This link expires in 1 hour. If you did not ask for a reset, you can ignore this email.</p>
+            `,
+            priority: 'high'
+        }, {
+            priority: 1
+        });
+        
+        logger.info(`Password reset email queued for: ${email}`);
+    }
+    
     /**
      * Reset password using reset token
      * @param {string} resetToken - Password reset token
@@ -306,11 +663,18 @@ class AuthService {
             user.password = newPassword;
             user.passwordResetToken = undefined;
             user.passwordResetExpires = undefined;
+            user.passwordChangedAt = new Date(); // Invalidates every token issued before now
             await user.save();
             
+            // Revoke every refresh token and drop the cached session
+            await sessionService.revokeAllSessions(user._id, 'password_reset');
+            await cacheService.invalidateUserSession(user._id.toString());
+            
             logger.info(`Password reset successfully for user: ${user.email}`);
             
             return {
+                userId: user._id,
+                email: user.email,
                 message: 'Password reset successful'
             };
         } catch (error) {
@@ -319,6 +683,124 @@ class AuthService {
         }
     }
     
+    /**
+     * Generate an email verification token and store its hash on the user
+     * The caller saves the user
+     * @param {Object} user - User document
+     * @returns {string} - Plain verification token
+     */
+    issueEmailVerificationToken(user) {
+        const verificationToken = crypto.randomBytes(32).toString('hex');
+        
+        user.emailVerificationToken = crypto
+            .createHash('sha256')
+            .update(verificationToken)
+            .digest('hex');
+        user.emailVerificationExpires = Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 3600000;
+        
+        return verificationToken;
+    }
+    
+    /**
+     * Queue the email verification email
+     * @param {string} email - Recipient email
+     * @param {string} verificationToken - Plain verification token (only its hash is stored)
+     */
+    async sendVerificationEmail(email, verificationToken) {
+        const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+        
+        await emailQueue.add('send-email', {
+            to: email,
+            subject: 'Verify your email address',
+            text: `Please confirm your email address to start bidding and selling: ${verifyUrl}\n\nThis link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+            html: `
+                <p>Please confirm your email address to start bidding and selling.</p>
+                <p><a href="${verifyUrl}">Verify email address</a></p>
+                <p>This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>
+            `,
+            priority: 'high'
+        }, {
+            priority: 1
+        });
+        
+        logger.info(`Verification email queued for: ${email}`);
+    }
+    
+    /**
+     * Verify a user's email address using the emailed token
+     * @param {string} verificationToken - Email verification token
+     * @returns {Object} - Verified user ID, email and success message
+     */
+    async verifyEmail(verificationToken) {
+        try {
+            const verificationTokenHash = crypto
+                .createHash('sha256')
+                .update(verificationToken)
+                .digest('hex');
+            
+            const user = await User.findOne({
+                emailVerificationToken: verificationTokenHash,
+                emailVerificationExpires: { $gt: Date.now() }
+            });
+            
+            if (!user) {
+                logger.warn('Email verification failed: Invalid or expired token');
+                throw new Error('INVALID_OR_EXPIRED_TOKEN');
+            }
+            
+            user.verified = true;
+            user.emailVerificationToken = undefined;
+            user.emailVerificationExpires = undefined;
+            await user.save();
+            
+            // Cached session data predates verification
+            await cacheService.invalidateUserSession(user._id.toString());
+            
+            logger.info(`Email verified for user: ${user.email}`);
+            
+            return {
+                userId: user._id,
+                email: user.email,
+                message: 'Email verified successfully'
+            };
+        } catch (error) {
+            logger.error('Email verification error:', error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Issue a fresh verification token and email it again
+     * @param {string} userId - User ID
+     * @returns {Object} - Success message
+     */
+    async resendVerificationEmail(userId) {
+        try {
+            const user = await User.findById(userId);
+            
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+            
+            if (user.verified) {
+                throw new Error('EMAIL_ALREADY_VERIFIED');
+            }
+            
+            // Replaces any earlier token, so only the newest link works
+            const verificationToken = this.issueEmailVerificationToken(user);
+            await user.save();
+            
+            await this.sendVerificationEmail(user.email, verificationToken);
+            
+            return {
+                message: 'Verification email sent'
+            };
+        } catch (error) {
+            logger.error(`Resend verification error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+    
     /**
      * Verify JWT token
      * @param {string} token - JWT token
@@ -6,8 +6,57 @@ import aiWebhookService from './ai-webhook.service.js';
 import aiIntegrationService from './ai-integration.service.js';
 import notificationEventService from './notification-event.service.js';
 import cacheService from './cache.service.js';
+import proxyBidService from './proxy-bid.service.js';
+import auctionService from './auction.service.js';
 import prometheusMetrics from './prometheus-metrics.service.js';
 import logger from '../config/logger.js';
+import { withLock } from '../utils/redis-lock.js';
+import { getNextMinimumBid } from '../utils/bid-increment.js';
+import auditService from './audit.service.js';
+import ledgerService from './ledger.service.js';
+import secondChanceService from './second-chance.service.js';
+import fraudCaseService from './fraud-case.service.js';
+import shillDetectionService from './shill-detection.service.js';
+import {
+    RETRACTION_WINDOW_MINUTES,
+    RETRACTION_MIN_HOURS_LEFT,
+    RETRACTION_FLAG_LIMIT,
+    RETRACTION_LOOKBACK_DAYS,
+    RETRACTION_FLAG_RISK_SCORE,
+    RETRACTION_REASON_CODES
+} from '../config/bid-retraction.config.js';
+
+// Safety cap on automatic bids placed while resolving a single price change
+const MAX_AUTO_BIDS_PER_RESOLUTION = 50;
+
+// Bid acceptance lock per auction; the ttl bounds how long a burst of proxy
+// resolution may hold it, and waiters keep retrying for that whole worst-case hold
+const BID_LOCK_TTL_MS = 15000;
+const BID_LOCK_RETRY_DELAY_MS = 50;
+const BID_LOCK_OPTIONS = {
+    ttl: BID_LOCK_TTL_MS,
+    retries: Math.ceil(BID_LOCK_TTL_MS / BID_LOCK_RETRY_DELAY_MS),
+    retryDelay: BID_LOCK_RETRY_DELAY_MS
+};
+
+/**
+ * Build the Redis key serializing bid acceptance on an auction
+ * @param {string} auctionId - Auction ID
+ * @returns {string} - Lock key
+ */
+const bidLockKey = (auctionId) => `lock:auction:${auctionId}:bids`;
+
+/**
+ * Check whether an auction is still inside its bidding window
+ * @param {Object} auction - Auction object
+ * @returns {boolean} - True if bids can still be accepted
+ */
+const isAuctionOpen = (auction) => {
+    const now = new Date();
+    return auction.status === 'active' &&
+        now >= new Date(auction.timing.startTime) &&
+        now < new Date(auction.timing.endTime);
+};
 
 /**
  * BidService - Business logic layer for Bid operations
@@ -25,156 +74,635 @@ class BidService {
         try {
             const { auctionId, amount, bidMethod = 'manual' } = bidData;
 
-            // Validate auction exists
+            // Serialize acceptance per auction: the price check, the write and
+            // any proxy responses all see the same, latest auction state
+            return await this.withBidLock(auctionId, () =>
+                this.acceptBid(auctionId, amount, bidderId, bidMethod, metadata)
+            );
+        } catch (error) {
+            const failure = error.message === 'LOCK_NOT_ACQUIRED'
+                ? await this.lockTimeoutError(bidData.auctionId, bidData.amount)
+                : error;
+            logger.error('Error placing bid:', failure.message);
+            throw failure;
+        }
+    }
+
+    /**
+     * Build the error for a bid that timed out waiting for the auction's lock
+     * A bid already beaten while it waited is rejected as too low, exactly as
+     * it would have been had it got the lock; only a still-competitive bid is
+     * told the auction is busy
+     * @param {string} auctionId - Auction ID
+     * @param {number} amount - Bid amount
+     * @returns {Promise<Error>} - BID_AMOUNT_TOO_LOW or AUCTION_BUSY
+     */
+    async lockTimeoutError(auctionId, amount) {
+        try {
             const auction = await auctionRepository.findById(auctionId);
-            if (!auction) {
-                throw new Error('AUCTION_NOT_FOUND');
+            const nextMinimumBid = auction ? getNextMinimumBid(auction) : null;
+
+            if (nextMinimumBid !== null && amount < nextMinimumBid) {
+                const error = new Error('BID_AMOUNT_TOO_LOW');
+                error.nextMinimumBid = nextMinimumBid;
+                return error;
             }
+        } catch (error) {
+            logger.error(`Error re-checking price for auction ${auctionId}:`, error.message);
+        }
+
+        return new Error('AUCTION_BUSY');
+    }
+
+    /**
+     * Run a function while holding an auction's bid lock
+     * @param {string} auctionId - Auction ID
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<any>} - Result of fn
+     */
+    async withBidLock(auctionId, fn) {
+        return withLock(bidLockKey(auctionId), fn, BID_LOCK_OPTIONS);
+    }
+
+    /**
+     * Validate and record a bid; must run while holding the auction's bid lock
+     * @param {string} auctionId - Auction ID
+     * @param {number} amount - Bid amount
+     * @param {string} bidderId - Bidder user ID
+     * @param {string} bidMethod - Bid method (manual or auto)
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Created bid and updated auction
+     */
+    async acceptBid(auctionId, amount, bidderId, bidMethod, metadata) {
+        // Validate auction exists
+        const auction = await auctionRepository.findById(auctionId);
+        if (!auction) {
+            throw new Error('AUCTION_NOT_FOUND');
+        }
+
+        this.validateAuctionOpenForBidding(auction, bidderId);
+
+        // Validate bid amount clears the current price by the auction's increment
+        const nextMinimumBid = getNextMinimumBid(auction);
+        if (amount < nextMinimumBid) {
+            const error = new Error('BID_AMOUNT_TOO_LOW');
+            error.nextMinimumBid = nextMinimumBid;
+            throw error;
+        }
+
+        // Validate bid amount is a positive number
+        if (amount <= 0) {
+            throw new Error('BID_AMOUNT_MUST_BE_POSITIVE');
+        }
+
+        // Get the current highest bid
+        const currentHighestBid = await bidRepository.findHighestBid(auctionId);
+
+        // If there's a current highest bid, ensure new bid is higher
+        if (currentHighestBid && amount <= currentHighestBid.amount) {
+            throw new Error('BID_AMOUNT_MUST_BE_HIGHER_THAN_CURRENT_BID');
+        }
+
+        const result = await this.recordBid(auction, bidderId, amount, {
+            bidMethod,
+            metadata,
+            previousHighestBid: currentHighestBid
+        });
+
+        // Let hidden maximums respond to the new price
+        const autoBidCount = await this.resolveProxyBids(auctionId);
+        if (autoBidCount === 0) {
+            return result;
+        }
+
+        const [bid, updatedAuction] = await Promise.all([
+            bidRepository.findById(result.bid._id, ['bidder', 'auction']),
+            auctionRepository.findById(auctionId)
+        ]);
+
+        return {
+            bid,
+            auction: updatedAuction
+        };
+    }
+
+    /**
+     * Register or raise a hidden maximum bid; the system then bids on the
+     * bidder's behalf in increments whenever they are outbid
+     * @param {Object} proxyData - Proxy bid data (auctionId, maxAmount)
+     * @param {string} bidderId - Bidder user ID
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Proxy bid, current highest bid and updated auction
+     */
+    async placeProxyBid(proxyData, bidderId, metadata = {}) {
+        try {
+            const { auctionId, maxAmount } = proxyData;
+
+            await this.withBidLock(auctionId, async () => {
+                // Read under the lock so the maximum is checked against the latest price
+                const auction = await auctionRepository.findById(auctionId);
+                if (!auction) {
+                    throw new Error('AUCTION_NOT_FOUND');
+                }
+
+                this.validateAuctionOpenForBidding(auction, bidderId);
 
-            // Validate auction is active
-            if (auction.status !== 'active') {
-                throw new Error('AUCTION_NOT_ACTIVE');
+                await proxyBidService.registerProxyBid(auction, bidderId, maxAmount, metadata);
+
+                await this.resolveProxyBids(auctionId);
+            });
+
+            const [proxyBid, highestBid, updatedAuction] = await Promise.all([
+                proxyBidService.getProxyBid(auctionId, bidderId),
+                bidRepository.findHighestBid(auctionId),
+                auctionRepository.findById(auctionId)
+            ]);
+
+            return {
+                proxyBid,
+                highestBid,
+                auction: updatedAuction
+            };
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'AUCTION_BUSY';
             }
+            logger.error('Error placing proxy bid:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Place automatic bids until no proxy bid can improve on the current price
+     * Must run while holding the auction's bid lock
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<number>} - Number of automatic bids placed
+     */
+    async resolveProxyBids(auctionId) {
+        let placed = 0;
 
-            // Check if auction has started and not ended
-            const now = new Date();
-            if (now < new Date(auction.timing.startTime)) {
-                throw new Error('AUCTION_NOT_STARTED');
+        // Every round exhausts at least one proxy, so this only guards against bad data
+        while (placed < MAX_AUTO_BIDS_PER_RESOLUTION) {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction || !isAuctionOpen(auction)) {
+                break;
             }
 
-            if (now >= new Date(auction.timing.endTime)) {
-                throw new Error('AUCTION_ENDED');
+            const highestBid = await bidRepository.findHighestBid(auctionId);
+            const autoBid = await proxyBidService.resolveNextAutoBid(auction, highestBid);
+            if (!autoBid) {
+                break;
             }
 
-            // Validate bidder is not the seller
-            if (auction.seller.toString() === bidderId.toString()) {
-                throw new Error('SELLER_CANNOT_BID_ON_OWN_AUCTION');
+            await this.recordBid(auction, autoBid.bidderId, autoBid.amount, {
+                bidMethod: 'auto',
+                metadata: autoBid.metadata,
+                previousHighestBid: highestBid
+            });
+
+            placed++;
+        }
+
+        if (placed > 0) {
+            logger.info(`Proxy bidding placed ${placed} automatic bid(s) on auction ${auctionId}`);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Validate that an auction currently accepts bids from a bidder
+     * @param {Object} auction - Auction object
+     * @param {string} bidderId - Bidder user ID
+     */
+    validateAuctionOpenForBidding(auction, bidderId) {
+        // Validate auction is active
+        if (auction.status !== 'active') {
+            throw new Error('AUCTION_NOT_ACTIVE');
+        }
+
+        // Check if auction has started and not ended
+        const now = new Date();
+        if (now < new Date(auction.timing.startTime)) {
+            throw new Error('AUCTION_NOT_STARTED');
+        }
+
+        if (now >= new Date(auction.timing.endTime)) {
+            throw new Error('AUCTION_ENDED');
+        }
+
+        // Validate bidder is not the seller
+        if (auction.seller.toString() === bidderId.toString()) {
+            throw new Error('SELLER_CANNOT_BID_ON_OWN_AUCTION');
+        }
+    }
+
+    /**
+     * Persist an accepted bid and fan out its side effects
+     * (auction pricing, stats, caches, real-time events, notifications, webhooks)
+     * @param {Object} auction - Auction the bid is placed on
+     * @param {string} bidderId - Bidder user ID
+     * @param {number} amount - Bid amount
+     * @param {Object} options - bidMethod, request metadata and the previous highest bid
+     * @returns {Promise<Object>} - Created bid and updated auction
+     */
+    async recordBid(auction, bidderId, amount, options = {}) {
+        const {
+            bidMethod = 'manual',
+            metadata = {},
+            previousHighestBid = null
+        } = options;
+        const auctionId = auction._id;
+
+        // Get bidder info for fraud detection
+        const bidder = await userRepository.findById(bidderId);
+
+        // Create bid
+        const bid = await bidRepository.create({
+            auction: auctionId,
+            bidder: bidderId,
+            amount,
+            timestamp: new Date(),
+            status: 'active',
+            metadata: {
+                ipAddress: metadata.ipAddress || null,
+                userAgent: metadata.userAgent || null,
+                bidMethod
+            },
+            fraudAnalysis: {
+                riskScore: 0,
+                isFlagged: false,
+                reasons: [],
+                analyzedAt: null
             }
+        });
+
+        // Update auction with new bid info - only applies if the amount still
+        // beats the stored price, so a racing bid can never also be accepted
+        let updatedAuction = await auctionRepository.updateBidInfo(
+            auctionId,
+            amount,
+            bid._id
+        );
+
+        if (!updatedAuction) {
+            await bidRepository.delete(bid._id);
+            throw new Error('BID_AMOUNT_TOO_LOW');
+        }
 
-            // Validate bid amount is greater than current price
-            if (amount <= auction.pricing.currentPrice) {
-                throw new Error('BID_AMOUNT_TOO_LOW');
+        // Anti-sniping: a bid inside the soft-close window pushes the end time out
+        try {
+            const extendedAuction = await auctionService.extendForLateBid(updatedAuction, bid.timestamp);
+            if (extendedAuction) {
+                updatedAuction = extendedAuction;
             }
+        } catch (error) {
+            logger.error(`Failed to apply soft close to auction ${auctionId}:`, error.message);
+            // Don't fail bid placement if the extension fails
+        }
+
+        // Track bid placed metric
+        prometheusMetrics.trackBidPlaced(auction.category || 'unknown', amount);
 
-            // Validate bid amount is a positive number
-            if (amount <= 0) {
-                throw new Error('BID_AMOUNT_MUST_BE_POSITIVE');
+        // Perform fraud detection analysis (within 500ms requirement)
+        // Run asynchronously to not block bid placement
+        this.analyzeBidFraud(bid, bidder, metadata, auction.seller).catch(error => {
+            logger.error(`Fraud analysis failed for bid ${bid._id}:`, error.message);
+        });
+
+        // Mark previous active bids as outbid
+        await bidRepository.markPreviousBidsAsOutbid(auctionId, bid._id);
+
+        // Increment user's bid count
+        await userRepository.incrementStats(bidderId, { totalBids: 1 });
+
+        // Invalidate auction-related caches since price changed
+        await cacheService.invalidateAuctionCache(auctionId);
+
+        logger.info(`Bid placed: ${bid._id} on auction ${auctionId} by bidder ${bidderId} (${bidMethod})`);
+
+        // Return bid with populated fields
+        const populatedBid = await bidRepository.findById(bid._id, ['bidder', 'auction']);
+
+        // A proxy raising its own leading bid does not outbid anyone
+        const previousBidderId = previousHighestBid && previousHighestBid.bidder
+            ? (previousHighestBid.bidder._id || previousHighestBid.bidder)
+            : null;
+        const wasOutbid = previousBidderId && previousBidderId.toString() !== bidderId.toString();
+
+        // Emit real-time events (within 1 second requirement)
+        if (realtimeService.isInitialized()) {
+            // Emit new bid event to auction room
+            realtimeService.emitNewBid(auctionId, populatedBid, updatedAuction);
+            
+            // Emit new bid notification to seller
+            realtimeService.emitNewBidToSeller(auction.seller, updatedAuction, populatedBid);
+            
+            // If there was a previous highest bidder, notify them they were outbid
+            if (wasOutbid) {
+                realtimeService.emitOutbidNotification(
+                    previousBidderId,
+                    updatedAuction,
+                    previousHighestBid,
+                    populatedBid
+                );
+                
+                // Send outbid notification (within 30 seconds requirement)
+                notificationEventService.notifyUserOutbid(
+                    previousBidderId,
+                    updatedAuction,
+                    previousHighestBid,
+                    populatedBid
+                ).catch(err => logger.error('Failed to send outbid notification:', err.message));
             }
+        }
+
+        // Send new bid notification to seller (within 30 seconds requirement)
+        notificationEventService.notifySellerNewBid(
+            auction.seller,
+            updatedAuction,
+            populatedBid
+        ).catch(err => logger.error('Failed to send new bid notification to seller:', err.message));
+
+        // The bidder and the outbid user already hear about this bid
+        this.notifyWatchersOfPriceChange(updatedAuction, [bidderId, wasOutbid ? previousBidderId : null]);
+
+        // Queue webhook to AI module for bid placement
+        try {
+            await aiWebhookService.queueBidPlaced(populatedBid, updatedAuction, bidder);
+        } catch (error) {
+            logger.error('Failed to queue bid-placed webhook:', error.message);
+            // Don't fail bid placement if webhook fails
+        }
+
+        return {
+            bid: populatedBid,
+            auction: updatedAuction
+        };
+    }
+
+    /**
+     * Tell an auction's watchers that its price changed
+     * @param {Object} auction - Auction with the new price
+     * @param {Array<string>} excludeUserIds - Users already told through other channels
+     * @param {string} changeType - What moved the price (bid_placed, bid_retracted, bid_voided)
+     */
+    notifyWatchersOfPriceChange(auction, excludeUserIds = [], changeType = 'bid_placed') {
+        const excluded = excludeUserIds.filter(Boolean).map(userId => userId.toString());
+        const watcherIds = (auction.metadata?.watchers || [])
+            .filter(watcherId => !excluded.includes(watcherId.toString()));
+
+        if (watcherIds.length === 0) {
+            return;
+        }
+
+        if (realtimeService.isInitialized()) {
+            realtimeService.emitWatchlistPriceChange(watcherIds, auction, changeType);
+        }
 
-            // Get the current highest bid
-            const currentHighestBid = await bidRepository.findHighestBid(auctionId);
+        notificationEventService.notifyWatchersPriceChange(watcherIds, auction)
+            .catch(err => logger.error('Failed to send watchlist price change notifications:', err.message));
+    }
 
-            // If there's a current highest bid, ensure new bid is higher
-            if (currentHighestBid && amount <= currentHighestBid.amount) {
-                throw new Error('BID_AMOUNT_MUST_BE_HIGHER_THAN_CURRENT_BID');
+    /**
+     * Retract (withdraw) a bid
+     * Allowed only within the retraction window, while the auction has enough
+     * time left, and with an accepted reason code. The auction's price and
+     * highest bid are recomputed from the remaining bids.
+     * @param {string} bidId - Bid ID
+     * @param {string} bidderId - User retracting the bid (must be the bidder)
+     * @param {Object} retraction - Retraction details (reasonCode, explanation)
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Retracted bid, restored highest bid and updated auction
+     */
+    async retractBid(bidId, bidderId, retraction, metadata = {}) {
+        try {
+            const { reasonCode, explanation } = retraction;
+
+            if (!RETRACTION_REASON_CODES.includes(reasonCode)) {
+                throw new Error('INVALID_RETRACTION_REASON');
+            }
+
+            const existing = await bidRepository.findById(bidId);
+            if (!existing) {
+                throw new Error('BID_NOT_FOUND');
             }
 
-            // Get bidder info for fraud detection
-            const bidder = await userRepository.findById(bidderId);
+            const auctionId = existing.auction.toString();
 
-            // Create bid
-            const bid = await bidRepository.create({
-                auction: auctionId,
-                bidder: bidderId,
-                amount,
-                timestamp: new Date(),
-                status: 'active',
-                metadata: {
-                    ipAddress: metadata.ipAddress || null,
-                    userAgent: metadata.userAgent || null,
-                    bidMethod
-                },
-                fraudAnalysis: {
-                    riskScore: 0,
-                    isFlagged: false,
-                    reasons: [],
-                    analyzedAt: null
+            const result = await this.withBidLock(auctionId, async () => {
+                // Re-read under the lock; the bid may have been outbid or closed meanwhile
+                const bid = await bidRepository.findById(bidId);
+
+                if (bid.bidder.toString() !== bidderId.toString()) {
+                    throw new Error('UNAUTHORIZED_NOT_BIDDER');
                 }
-            });
 
-            // Track bid placed metric
-            prometheusMetrics.trackBidPlaced(auction.category || 'unknown', amount);
+                if (!['active', 'outbid'].includes(bid.status)) {
+                    throw new Error('BID_NOT_RETRACTABLE');
+                }
 
-            // Perform fraud detection analysis (within 500ms requirement)
-            // Run asynchronously to not block bid placement
-            this.analyzeBidFraud(bid, bidder, metadata).catch(error => {
-                logger.error(`Fraud analysis failed for bid ${bid._id}:`, error.message);
-            });
+                const now = new Date();
+                if (now - new Date(bid.timestamp) > RETRACTION_WINDOW_MINUTES * 60 * 1000) {
+                    throw new Error('RETRACTION_WINDOW_EXPIRED');
+                }
 
-            // Mark previous active bids as outbid
-            await bidRepository.markPreviousBidsAsOutbid(auctionId, bid._id);
+                const auction = await auctionRepository.findById(auctionId);
+                if (!auction || auction.status !== 'active') {
+                    throw new Error('AUCTION_NOT_ACTIVE');
+                }
 
-            // Update auction with new bid info
-            const updatedAuction = await auctionRepository.updateBidInfo(
-                auctionId,
-                amount,
-                bid._id
-            );
+                if (new Date(auction.timing.endTime) - now <= RETRACTION_MIN_HOURS_LEFT * 60 * 60 * 1000) {
+                    throw new Error('AUCTION_ENDING_TOO_SOON');
+                }
 
-            // Increment user's bid count
-            await userRepository.incrementStats(bidderId, { totalBids: 1 });
+                const retractedBid = await bidRepository.markRetracted(bidId, { reasonCode, explanation });
+                if (!retractedBid) {
+                    throw new Error('BID_NOT_RETRACTABLE');
+                }
+
+                // A retracted maximum must not keep bidding on the bidder's behalf
+                await proxyBidService.cancelIfActive(auctionId, bidderId);
+
+                // Recompute price and leader from the bids that still stand
+                const highestBid = await bidRepository.findHighestBid(auctionId);
+                const updatedAuction = await auctionRepository.resetBidInfo(
+                    auctionId,
+                    highestBid ? highestBid.amount : auction.pricing.startingPrice,
+                    highestBid ? highestBid._id : null
+                );
+
+                // The previous bidder is back in the lead
+                if (highestBid && highestBid.status !== 'active') {
+                    await bidRepository.updateStatus(highestBid._id, 'active');
+                }
+
+                // Let hidden maximums respond to the lower price
+                await this.resolveProxyBids(auctionId);
+
+                return { retractedBid, restoredBid: highestBid, auction: updatedAuction };
+            });
 
-            // Invalidate auction-related caches since price changed
             await cacheService.invalidateAuctionCache(auctionId);
 
-            logger.info(`Bid placed: ${bid._id} on auction ${auctionId} by bidder ${bidderId}`);
+            await auditService.logBidRetraction({
+                userId: bidderId,
+                bidId,
+                auctionId,
+                amount: result.retractedBid.amount,
+                reasonCode,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent
+            });
+
+            await this.flagExcessiveRetractions(result.retractedBid, metadata);
+
+            logger.info(`Bid retracted: ${bidId} on auction ${auctionId} by bidder ${bidderId} (${reasonCode})`);
 
-            // Return bid with populated fields
-            const populatedBid = await bidRepository.findById(bid._id, ['bidder', 'auction']);
+            const [highestBid, updatedAuction] = await Promise.all([
+                bidRepository.findHighestBid(auctionId),
+                auctionRepository.findById(auctionId)
+            ]);
 
-            // Emit real-time events (within 1 second requirement)
             if (realtimeService.isInitialized()) {
-                // Emit new bid event to auction room
-                realtimeService.emitNewBid(auctionId, populatedBid, updatedAuction);
-                
-                // Emit new bid notification to seller
-                realtimeService.emitNewBidToSeller(auction.seller, updatedAuction, populatedBid);
-                
-                // If there was a previous highest bidder, notify them they were outbid
-                if (currentHighestBid && currentHighestBid.bidder) {
-                    const previousBidderId = currentHighestBid.bidder._id || currentHighestBid.bidder;
-                    realtimeService.emitOutbidNotification(
-                        previousBidderId,
-                        updatedAuction,
-                        currentHighestBid,
-                        populatedBid
-                    );
-                    
-                    // Send outbid notification (within 30 seconds requirement)
-                    notificationEventService.notifyUserOutbid(
-                        previousBidderId,
-                        updatedAuction,
-                        currentHighestBid,
-                        populatedBid
-                    ).catch(err => logger.error('Failed to send outbid notification:', err.message));
-                }
+                realtimeService.emitAuctionUpdate(auctionId, updatedAuction, 'bid_retracted');
             }
 
-            // Send new bid notification to seller (within 30 seconds requirement)
-            notificationEventService.notifySellerNewBid(
-                auction.seller,
-                updatedAuction,
-                populatedBid
-            ).catch(err => logger.error('Failed to send new bid notification to seller:', err.message));
+            this.notifyWatchersOfPriceChange(updatedAuction, [bidderId], 'bid_retracted');
 
-            // Queue webhook to AI module for bid placement
-            try {
-                await aiWebhookService.queueBidPlaced(populatedBid, updatedAuction, bidder);
-            } catch (error) {
-                logger.error('Failed to queue bid-placed webhook:', error.message);
-                // Don't fail bid placement if webhook fails
+            return {
+                bid: result.retractedBid,
+                highestBid,
+                auction: updatedAuction
+            };
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'AUCTION_BUSY';
+            }
+            logger.error(`Error retracting bid ${bidId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Void a bid as a moderator (e.g. a confirmed fraudulent bid)
+     * Unlike a retraction there is no window or reason-code check; the
+     * auction's price and highest bid are recomputed from the remaining bids
+     * @param {string} bidId - Bid ID
+     * @returns {Promise<Object>} - Voided bid, restored highest bid and updated auction
+     */
+    async voidBid(bidId) {
+        try {
+            const existing = await bidRepository.findById(bidId);
+            if (!existing) {
+                throw new Error('BID_NOT_FOUND');
             }
 
+            const auctionId = existing.auction.toString();
+
+            const voidedBid = await this.withBidLock(auctionId, async () => {
+                const auction = await auctionRepository.findById(auctionId);
+                if (!auction || auction.status !== 'active') {
+                    throw new Error('AUCTION_NOT_ACTIVE');
+                }
+
+                const bid = await bidRepository.markVoided(bidId);
+                if (!bid) {
+                    throw new Error('BID_NOT_VOIDABLE');
+                }
+
+                // The bidder's hidden maximum must not keep bidding either
+                await proxyBidService.cancelIfActive(auctionId, bid.bidder);
+
+                // Recompute price and leader from the bids that still stand
+                const highestBid = await bidRepository.findHighestBid(auctionId);
+                await auctionRepository.resetBidInfo(
+                    auctionId,
+                    highestBid ? highestBid.amount : auction.pricing.startingPrice,
+                    highestBid ? highestBid._id : null
+                );
+
+                if (highestBid && highestBid.status !== 'active') {
+                    await bidRepository.updateStatus(highestBid._id, 'active');
+                }
+
+                // Let hidden maximums respond to the lower price
+                await this.resolveProxyBids(auctionId);
+
+                return bid;
+            });
+
+            await cacheService.invalidateAuctionCache(auctionId);
+
+            logger.info(`Bid voided: ${bidId} on auction ${auctionId}`);
+
+            const [highestBid, updatedAuction] = await Promise.all([
+                bidRepository.findHighestBid(auctionId),
+                auctionRepository.findById(auctionId)
+            ]);
+
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitAuctionUpdate(auctionId, updatedAuction, 'bid_voided');
+            }
+
+            this.notifyWatchersOfPriceChange(updatedAuction, [voidedBid.bidder], 'bid_voided');
+
             return {
-                bid: populatedBid,
+                bid: voidedBid,
+                highestBid,
                 auction: updatedAuction
             };
         } catch (error) {
-            logger.error('Error placing bid:', error.message);
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'AUCTION_BUSY';
+            }
+            logger.error(`Error voiding bid ${bidId}:`, error.message);
             throw error;
         }
     }
 
+    /**
+     * Flag a retracted bid for admin review when its bidder retracts too often
+     * @param {Object} bid - Retracted bid
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<boolean>} - True if the bid was flagged
+     */
+    async flagExcessiveRetractions(bid, metadata = {}) {
+        try {
+            const since = new Date(Date.now() - RETRACTION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+            const retractions = await bidRepository.countRetractionsByBidder(bid.bidder, since);
+
+            if (retractions <= RETRACTION_FLAG_LIMIT) {
+                return false;
+            }
+
+            await bidRepository.flagBid(bid._id, 'excessive_retractions', RETRACTION_FLAG_RISK_SCORE);
+            await fraudCaseService.openCaseForBid(bid, RETRACTION_FLAG_RISK_SCORE, ['excessive_retractions']);
+
+            await auditService.logSuspiciousActivity({
+                userId: bid.bidder,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/bids/${bid._id}/retract`,
+                method: 'POST',
+                details: {
+                    reason: 'excessive_retractions',
+                    retractions,
+                    lookbackDays: RETRACTION_LOOKBACK_DAYS,
+                    bidId: bid._id
+                }
+            });
+
+            logger.warn(`Bidder ${bid.bidder} flagged for ${retractions} retractions in ${RETRACTION_LOOKBACK_DAYS} days`);
+
+            return true;
+        } catch (error) {
+            logger.error(`Error checking retractions for bid ${bid._id}:`, error.message);
+            // Flagging failure shouldn't undo the retraction
+            return false;
+        }
+    }
+
     /**
      * Get bid by ID
      * @param {string} bidId - Bid ID
@@ -337,7 +865,9 @@ class BidService {
                 
                 // Mark all bids as lost
                 const allBids = await bidRepository.findByAuction(auctionId, { populate: false });
-                const bidIds = allBids.bids.map(bid => bid._id);
+                const bidIds = allBids.bids
+                    .filter(bid => !['retracted', 'voided'].includes(bid.status))
+                    .map(bid => bid._id);
                 await bidRepository.updateManyStatus(bidIds, 'lost');
 
                 return {
@@ -353,7 +883,7 @@ class BidService {
             // Mark all other bids as lost
             const allBids = await bidRepository.findByAuction(auctionId, { populate: false });
             const losingBidIds = allBids.bids
-                .filter(bid => bid._id.toString() !== winningBid._id.toString())
+                .filter(bid => bid._id.toString() !== winningBid._id.toString() && !['retracted', 'voided'].includes(bid.status))
                 .map(bid => bid._id);
             
             if (losingBidIds.length > 0) {
@@ -363,6 +893,28 @@ class BidService {
             // Update auction with winner
             await auctionRepository.setWinner(auctionId, winningBid.bidder);
 
+            // findHighestBid populates the bidder
+            const winnerId = winningBid.bidder._id || winningBid.bidder;
+
+            // Open escrow for the sale; closing must not fail on a ledger error
+            try {
+                await ledgerService.openEscrow({
+                    auctionId,
+                    buyerId: winnerId,
+                    sellerId: auction.seller,
+                    amount: winningBid.amount
+                });
+            } catch (ledgerError) {
+                logger.error(`Failed to open escrow for auction ${auctionId}:`, ledgerError.message);
+            }
+
+            // Start the winner's payment deadline
+            try {
+                await secondChanceService.schedulePaymentDeadline(auctionId, winnerId);
+            } catch (deadlineError) {
+                logger.error(`Failed to schedule payment deadline for auction ${auctionId}:`, deadlineError.message);
+            }
+
             // Update winner's stats
             await userRepository.incrementStats(winningBid.bidder, {
                 auctionsWon: 1,
@@ -490,13 +1042,33 @@ class BidService {
     }
 
     /**
-     * Analyze bid for fraud using AI module
+     * Get the lowest bid an auction currently accepts
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<number>} - Next minimum acceptable bid
+     */
+    async getNextMinimumBid(auctionId) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction) {
+                throw new Error('AUCTION_NOT_FOUND');
+            }
+
+            return getNextMinimumBid(auction);
+        } catch (error) {
+            logger.error(`Error getting next minimum bid for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Analyze bid for fraud using AI module and the local shill-bidding rules
      * @param {Object} bid - Bid object
      * @param {Object} bidder - Bidder user object
      * @param {Object} metadata - Request metadata
+     * @param {string} sellerId - Seller of the auction (enables shill checks)
      * @returns {Promise<Object>} - Fraud analysis result
      */
-    async analyzeBidFraud(bid, bidder, metadata = {}) {
+    async analyzeBidFraud(bid, bidder, metadata = {}, sellerId = null) {
         try {
             const startTime = Date.now();
 
@@ -522,6 +1094,20 @@ class BidService {
             // Call AI integration service for fraud detection
             const fraudAnalysis = await aiIntegrationService.analyzeBidFraud(bidData);
 
+            // Merge in shill-bidding findings, which look across the seller's history
+            if (sellerId) {
+                try {
+                    const shillAnalysis = await shillDetectionService.analyzeBid(bid, sellerId);
+                    if (shillAnalysis.reasons.length > 0) {
+                        fraudAnalysis.reasons = [...(fraudAnalysis.reasons || []), ...shillAnalysis.reasons];
+                        fraudAnalysis.riskScore = Math.max(fraudAnalysis.riskScore || 0, shillAnalysis.riskScore);
+                        fraudAnalysis.isFraudulent = fraudAnalysis.isFraudulent || shillAnalysis.isSuspect;
+                    }
+                } catch (error) {
+                    logger.error(`Shill analysis failed for bid ${bid._id}:`, error.message);
+                }
+            }
+
             const analysisTime = Date.now() - startTime;
             logger.info(`Fraud analysis completed for bid ${bid._id} in ${analysisTime}ms`);
 
@@ -544,6 +1130,9 @@ class BidService {
                                  fraudAnalysis.riskScore >= 0.5 ? 'medium' : 'low';
                 prometheusMetrics.trackFraudulentBid(riskLevel);
                 
+                // Queue the bid for admin review
+                await fraudCaseService.openCaseForBid(bid, fraudAnalysis.riskScore, fraudAnalysis.reasons || []);
+                
                 // Emit fraud alert event
                 if (realtimeService.isInitialized()) {
                     realtimeService.emitFraudAlert(bid.auction, bid, fraudAnalysis);
@@ -186,6 +186,17 @@ class CacheService {
         return await this.deletePattern(`${this.prefixes.search}*`);
     }
 
+    /**
+     * Invalidate cached active-auction listings (and searches)
+     * Needed when an auction enters or leaves the active list
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async invalidateListingCache() {
+        const listingKeys = await this.deletePattern(`${this.prefixes.auction}active-list-*`);
+        const searchKeys = await this.invalidateSearchCache();
+        return listingKeys + searchKeys;
+    }
+
     /**
      * Invalidate auction-related caches
      * @param {string} auctionId - Auction ID (optional)
@@ -0,0 +1,150 @@
+import { redisClient } from '../config/redis.config.js';
+import logger from '../config/logger.js';
+
+const EVENT_LOG_SIZE = parseInt(process.env.EVENT_LOG_SIZE ?? 200, 10);
+const EVENT_LOG_TTL_SECONDS = parseInt(process.env.EVENT_LOG_TTL_SECONDS ?? 24 * 60 * 60, 10);
+
+// Only move the acknowledged sequence forward, so a late ack from one device
+// cannot rewind another device's progress
+const ACK_SCRIPT = `
+local current = tonumber(redis.call("get", KEYS[1]) or "0")
+local seq = tonumber(ARGV[1])
+if seq > current then
+    redis.call("set", KEYS[1], seq, "EX", ARGV[2])
+    return seq
+end
+return current
+`;
+
+/**
+ * EventLogService - Bounded logs of realtime events in Redis
+ * Each stream (a user, `user:<id>`, or an auction, `auction:<id>`) numbers
+ * its events so a reconnecting client can replay whatever it missed
+ */
+class EventLogService {
+    /**
+     * Build the Redis keys for a stream's log
+     * @param {string} stream - Stream name
+     * @returns {Object} - { log, seq, ack }
+     */
+    keys(stream) {
+        const base = `events:${stream}`;
+        return {
+            log: base,
+            seq: `${base}:seq`,
+            ack: `${base}:ack`
+        };
+    }
+
+    /**
+     * Append an event to a stream's log, trimming the oldest entries
+     * @param {string} stream - Stream name
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     * @returns {Promise<number>} - Sequence number assigned to the event
+     */
+    async append(stream, event, data) {
+        try {
+            const keys = this.keys(stream);
+            const seq = await redisClient.incr(keys.seq);
+
+            const entry = JSON.stringify({
+                seq,
+                event,
+                data,
+                timestamp: new Date().toISOString()
+            });
+
+            await redisClient.multi()
+                .zadd(keys.log, seq, entry)
+                .zremrangebyrank(keys.log, 0, -(EVENT_LOG_SIZE + 1))
+                .expire(keys.log, EVENT_LOG_TTL_SECONDS)
+                .expire(keys.seq, EVENT_LOG_TTL_SECONDS)
+                .exec();
+
+            return seq;
+        } catch (error) {
+            logger.error(`Error appending ${event} to event log ${stream}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the events logged after a sequence number
+     * complete is false when events the client needs were already trimmed (or
+     * the log expired and restarted), in which case the client should reload
+     * its state instead of relying on the replay
+     * @param {string} stream - Stream name
+     * @param {number} afterSeq - Last sequence the client has seen
+     * @returns {Promise<Object>} - { events, latestSeq, complete }
+     */
+    async getSince(stream, afterSeq) {
+        try {
+            const keys = this.keys(stream);
+
+            const [entries, latest] = await Promise.all([
+                redisClient.zrange(keys.log, 0, -1),
+                redisClient.get(keys.seq)
+            ]);
+
+            const events = entries.map(entry => JSON.parse(entry));
+            const latestSeq = parseInt(latest ?? 0, 10);
+
+            // The log restarted since the client last saw it; send everything
+            if (afterSeq > latestSeq) {
+                return { events, latestSeq, complete: false };
+            }
+
+            const oldestSeq = events.length > 0 ? events[0].seq : latestSeq + 1;
+
+            return {
+                events: events.filter(entry => entry.seq > afterSeq),
+                latestSeq,
+                complete: oldestSeq <= afterSeq + 1
+            };
+        } catch (error) {
+            logger.error(`Error reading event log ${stream}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the latest sequence a stream's client has acknowledged
+     * @param {string} stream - Stream name
+     * @param {number} seq - Acknowledged sequence number
+     * @returns {Promise<number>} - Acknowledged sequence after the update
+     */
+    async acknowledge(stream, seq) {
+        try {
+            const result = await redisClient.eval(
+                ACK_SCRIPT,
+                1,
+                this.keys(stream).ack,
+                seq,
+                EVENT_LOG_TTL_SECONDS
+            );
+
+            return parseInt(result, 10);
+        } catch (error) {
+            logger.error(`Error acknowledging event ${seq} on ${stream}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the latest sequence a stream's client has acknowledged
+     * @param {string} stream - Stream name
+     * @returns {Promise<number>} - Acknowledged sequence (0 if none)
+     */
+    async getAcknowledged(stream) {
+        try {
+            const seq = await redisClient.get(this.keys(stream).ack);
+            return parseInt(seq ?? 0, 10);
+        } catch (error) {
+            logger.error(`Error reading acknowledged event on ${stream}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new EventLogService();
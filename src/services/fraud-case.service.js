@@ -0,0 +1,298 @@
+import fraudCaseRepository from '../repositories/fraud-case.repository.js';
+import bidRepository from '../repositories/bid.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import auditService from './audit.service.js';
+import logger from '../config/logger.js';
+
+// Allowed status changes; confirmed cases are final, dismissed ones can be reopened
+const CASE_TRANSITIONS = {
+    open: ['investigating', 'confirmed', 'dismissed'],
+    investigating: ['open', 'confirmed', 'dismissed'],
+    confirmed: [],
+    dismissed: ['open']
+};
+
+/**
+ * FraudCaseService - Business logic for the fraud review queue
+ * Turns flagged bids into cases that admins can assign, annotate and act on
+ */
+class FraudCaseService {
+    /**
+     * Open a case for a flagged bid (or update the case already open for it)
+     * @param {Object} bid - Flagged bid (_id, auction, bidder)
+     * @param {number} riskScore - Risk score reported with the flag
+     * @param {Array<string>} reasons - Flag reasons
+     * @returns {Promise<Object>} - Open fraud case
+     */
+    async openCaseForBid(bid, riskScore, reasons = []) {
+        try {
+            return await fraudCaseRepository.upsertOpenForBid(bid, riskScore || 0, reasons);
+        } catch (error) {
+            logger.error(`Error opening fraud case for bid ${bid._id}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List fraud cases, highest risk first
+     * @param {Object} options - Filters and pagination (status, assignedTo, page, limit)
+     * @returns {Promise<Object>} - Cases and pagination info
+     */
+    async listCases(options = {}) {
+        try {
+            const { status, assignedTo, page = 1, limit = 20 } = options;
+
+            const filter = {};
+            if (status) {
+                filter.status = status;
+            }
+            if (assignedTo) {
+                filter.assignedTo = assignedTo;
+            }
+
+            return await fraudCaseRepository.findWithPagination(filter, page, limit);
+        } catch (error) {
+            logger.error('Error listing fraud cases:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a fraud case with its bid, auction, users and notes
+     * @param {string} caseId - Fraud case ID
+     * @returns {Promise<Object>} - Fraud case
+     */
+    async getCase(caseId) {
+        try {
+            const fraudCase = await fraudCaseRepository.findById(caseId, true);
+            if (!fraudCase) {
+                throw new Error('FRAUD_CASE_NOT_FOUND');
+            }
+
+            return fraudCase;
+        } catch (error) {
+            logger.error(`Error getting fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign a case to an admin; an open case moves to investigating
+     * @param {string} caseId - Fraud case ID
+     * @param {string} assigneeId - Admin to assign
+     * @param {string} adminId - Admin making the assignment
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Updated case
+     */
+    async assignCase(caseId, assigneeId, adminId, metadata = {}) {
+        try {
+            const fraudCase = await this.findOpenCase(caseId);
+
+            const assignee = await userRepository.findById(assigneeId);
+            if (!assignee || assignee.role !== 'admin') {
+                throw new Error('ASSIGNEE_NOT_ADMIN');
+            }
+
+            const updatedCase = await fraudCaseRepository.transition(caseId, fraudCase.status, {
+                assignedTo: assigneeId,
+                status: fraudCase.status === 'open' ? 'investigating' : fraudCase.status
+            });
+            if (!updatedCase) {
+                throw new Error('FRAUD_CASE_CONFLICT');
+            }
+
+            await this.logCaseUpdate(adminId, caseId, { change: 'assign', assignedTo: assigneeId, status: updatedCase.status }, metadata);
+
+            return updatedCase;
+        } catch (error) {
+            logger.error(`Error assigning fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a case to a new status
+     * Confirming or dismissing records who resolved it; dismissing also clears the bid's flag
+     * @param {string} caseId - Fraud case ID
+     * @param {string} status - New status
+     * @param {string} adminId - Admin making the change
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Updated case
+     */
+    async updateStatus(caseId, status, adminId, metadata = {}) {
+        try {
+            const fraudCase = await fraudCaseRepository.findById(caseId);
+            if (!fraudCase) {
+                throw new Error('FRAUD_CASE_NOT_FOUND');
+            }
+
+            if (!CASE_TRANSITIONS[fraudCase.status].includes(status)) {
+                throw new Error('INVALID_CASE_TRANSITION');
+            }
+
+            const resolved = status === 'confirmed' || status === 'dismissed';
+            const updatedCase = await fraudCaseRepository.transition(caseId, fraudCase.status, {
+                status,
+                resolution: resolved ? { resolvedBy: adminId, resolvedAt: new Date() } : {}
+            });
+            if (!updatedCase) {
+                throw new Error('FRAUD_CASE_CONFLICT');
+            }
+
+            if (status === 'dismissed') {
+                await bidRepository.clearFlag(fraudCase.bid);
+            }
+
+            await this.logCaseUpdate(adminId, caseId, { change: 'status', from: fraudCase.status, to: status }, metadata);
+
+            return updatedCase;
+        } catch (error) {
+            logger.error(`Error updating fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a note to a case
+     * @param {string} caseId - Fraud case ID
+     * @param {string} adminId - Note author
+     * @param {string} body - Note text
+     * @returns {Promise<Object>} - Updated case
+     */
+    async addNote(caseId, adminId, body) {
+        try {
+            const updatedCase = await fraudCaseRepository.addNote(caseId, { author: adminId, body });
+            if (!updatedCase) {
+                throw new Error('FRAUD_CASE_NOT_FOUND');
+            }
+
+            return updatedCase;
+        } catch (error) {
+            logger.error(`Error adding note to fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Void the case's bid; the auction price is recomputed from the remaining bids
+     * @param {string} caseId - Fraud case ID
+     * @param {string} adminId - Admin taking the action
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Updated case, voided bid and updated auction
+     */
+    async voidBid(caseId, adminId, metadata = {}) {
+        try {
+            const fraudCase = await this.findOpenCase(caseId);
+
+            // Import bidService dynamically to avoid circular dependency
+            const { default: bidService } = await import('./bid.service.js');
+            const result = await bidService.voidBid(fraudCase.bid);
+
+            const updatedCase = await fraudCaseRepository.addAction(caseId, {
+                type: 'void_bid',
+                performedBy: adminId,
+                details: {
+                    amount: result.bid.amount,
+                    newPrice: result.auction?.pricing?.currentPrice
+                }
+            });
+
+            await auditService.logAdminAction({
+                userId: adminId,
+                action: 'ADMIN_BID_VOID',
+                resourceType: 'bid',
+                resourceId: fraudCase.bid,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/admin/fraud-cases/${caseId}/void-bid`,
+                details: { caseId, auctionId: fraudCase.auction, amount: result.bid.amount }
+            });
+
+            return {
+                case: updatedCase,
+                bid: result.bid,
+                auction: result.auction
+            };
+        } catch (error) {
+            logger.error(`Error voiding bid for fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Suspend the case's bidder
+     * @param {string} caseId - Fraud case ID
+     * @param {string} adminId - Admin taking the action
+     * @param {Object} suspension - { reason, expiresAt }
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - Updated case and the bidder's moderation state
+     */
+    async suspendBidder(caseId, adminId, { reason, expiresAt }, metadata = {}) {
+        try {
+            const fraudCase = await this.findOpenCase(caseId);
+
+            // Import adminService dynamically to avoid circular dependency
+            const { default: adminService } = await import('./admin.service.js');
+            const result = await adminService.restrictUser(adminId, fraudCase.bidder, {
+                status: 'suspended',
+                reason,
+                expiresAt
+            }, metadata);
+
+            const updatedCase = await fraudCaseRepository.addAction(caseId, {
+                type: 'suspend_bidder',
+                performedBy: adminId,
+                details: { reason, expiresAt }
+            });
+
+            return {
+                case: updatedCase,
+                moderation: result.moderation
+            };
+        } catch (error) {
+            logger.error(`Error suspending bidder for fraud case ${caseId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a case that can still be acted on
+     * @param {string} caseId - Fraud case ID
+     * @returns {Promise<Object>} - Open or investigating case
+     */
+    async findOpenCase(caseId) {
+        const fraudCase = await fraudCaseRepository.findById(caseId);
+        if (!fraudCase) {
+            throw new Error('FRAUD_CASE_NOT_FOUND');
+        }
+
+        if (!['open', 'investigating'].includes(fraudCase.status)) {
+            throw new Error('FRAUD_CASE_CLOSED');
+        }
+
+        return fraudCase;
+    }
+
+    /**
+     * Write a fraud case change to the audit log
+     * @param {string} adminId - Admin making the change
+     * @param {string} caseId - Fraud case ID
+     * @param {Object} details - What changed
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     */
+    async logCaseUpdate(adminId, caseId, details, metadata = {}) {
+        await auditService.logAdminAction({
+            userId: adminId,
+            action: 'ADMIN_FRAUD_CASE_UPDATE',
+            resourceType: 'fraud_case',
+            resourceId: caseId,
+            ipAddress: metadata.ipAddress,
+            userAgent: metadata.userAgent,
+            path: `/api/v1/admin/fraud-cases/${caseId}`,
+            method: 'PUT',
+            details
+        });
+    }
+}
+
+export default new FraudCaseService();
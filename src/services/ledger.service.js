@@ -0,0 +1,327 @@
+import ledgerRepository from '../repositories/ledger.repository.js';
+import logger from '../config/logger.js';
+import { withLock } from '../utils/redis-lock.js';
+import { PLATFORM_FEE_PERCENT, MIN_PAYOUT_AMOUNT } from '../config/ledger.config.js';
+
+/**
+ * Build the Redis key serializing payouts for a seller
+ * @param {string} sellerId - Seller user ID
+ * @returns {string} - Lock key
+ */
+const payoutLockKey = (sellerId) => `lock:payout:${sellerId}`;
+
+// Ledger amounts are summed in cents to avoid floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Net balance of an account from aggregated totals
+ * Seller and platform accounts grow with credits; buyer_receivable grows with debits
+ * @param {Array} totals - [{ account, debits, credits }]
+ * @param {string} account - Account name
+ * @returns {number} - Balance in cents
+ */
+const balanceOf = (totals, account) => {
+    const row = totals.find(total => total.account === account);
+    if (!row) {
+        return 0;
+    }
+    const cents = toCents(row.credits) - toCents(row.debits);
+    return account === 'buyer_receivable' ? -cents : cents;
+};
+
+/**
+ * LedgerService - Business logic layer for the escrow ledger
+ * Posts balanced double-entry transactions for the life of a sale:
+ * escrow open (auction won) or void (never paid), buyer charge, escrow hold and platform fee
+ * (payment completed), escrow release (delivery confirmed), seller payout
+ * and refunds. Every posting has a unique reference, so retrying one is safe.
+ */
+class LedgerService {
+    /**
+     * Platform fee for a sale amount
+     * @param {number} amount - Sale amount
+     * @returns {number} - Fee in cents
+     */
+    calculateFee(amount) {
+        return Math.round(toCents(amount) * PLATFORM_FEE_PERCENT / 100);
+    }
+
+    /**
+     * Open escrow for a won auction: the buyer owes the sale amount and the
+     * seller has the same amount awaiting payment
+     * @param {Object} sale - Sale data (auctionId, buyerId, sellerId, amount)
+     * @returns {Promise<Object|null>} - Posted transaction, or null if already open
+     */
+    async openEscrow({ auctionId, buyerId, sellerId, amount }) {
+        try {
+            return await ledgerRepository.create({
+                type: 'escrow_open',
+                reference: `escrow_open:${auctionId}:${buyerId}`,
+                auction: auctionId,
+                lines: [
+                    { account: 'buyer_receivable', user: buyerId, direction: 'debit', amount },
+                    { account: 'escrow_awaiting', user: sellerId, direction: 'credit', amount }
+                ],
+                description: 'Auction won - awaiting buyer payment'
+            });
+        } catch (error) {
+            logger.error(`Error opening escrow for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Void the escrow of a sale the buyer never paid for
+     * @param {Object} sale - Sale data (auctionId, buyerId, sellerId, amount)
+     * @returns {Promise<Object|null>} - Posted transaction, or null if already voided
+     */
+    async voidEscrow({ auctionId, buyerId, sellerId, amount }) {
+        try {
+            return await ledgerRepository.create({
+                type: 'escrow_void',
+                reference: `escrow_void:${auctionId}:${buyerId}`,
+                auction: auctionId,
+                lines: [
+                    { account: 'escrow_awaiting', user: sellerId, direction: 'debit', amount },
+                    { account: 'buyer_receivable', user: buyerId, direction: 'credit', amount }
+                ],
+                description: 'Buyer did not pay - sale voided'
+            });
+        } catch (error) {
+            logger.error(`Error voiding escrow for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a completed payment: charge the buyer, move the proceeds into
+     * held escrow and take the platform fee from it
+     * @param {Object} payment - Completed payment
+     * @returns {Promise<void>}
+     */
+    async recordPaymentCompleted(payment) {
+        const paymentId = payment._id.toString();
+
+        try {
+            // Auctions closed before the ledger existed have no escrow yet
+            await this.openEscrow({
+                auctionId: payment.auction,
+                buyerId: payment.buyer,
+                sellerId: payment.seller,
+                amount: payment.amount
+            });
+
+            await ledgerRepository.create({
+                type: 'buyer_charge',
+                reference: `buyer_charge:${paymentId}`,
+                auction: payment.auction,
+                payment: payment._id,
+                lines: [
+                    { account: 'cash', direction: 'debit', amount: payment.amount },
+                    { account: 'buyer_receivable', user: payment.buyer, direction: 'credit', amount: payment.amount }
+                ],
+                description: 'Buyer payment received'
+            });
+
+            await ledgerRepository.create({
+                type: 'escrow_hold',
+                reference: `escrow_hold:${paymentId}`,
+                auction: payment.auction,
+                payment: payment._id,
+                lines: [
+                    { account: 'escrow_awaiting', user: payment.seller, direction: 'debit', amount: payment.amount },
+                    { account: 'escrow_held', user: payment.seller, direction: 'credit', amount: payment.amount }
+                ],
+                description: 'Sale proceeds held until delivery is confirmed'
+            });
+
+            const feeCents = this.calculateFee(payment.amount);
+            if (feeCents > 0) {
+                await ledgerRepository.create({
+                    type: 'platform_fee',
+                    reference: `platform_fee:${paymentId}`,
+                    auction: payment.auction,
+                    payment: payment._id,
+                    lines: [
+                        { account: 'escrow_held', user: payment.seller, direction: 'debit', amount: fromCents(feeCents) },
+                        { account: 'platform_revenue', direction: 'credit', amount: fromCents(feeCents) }
+                    ],
+                    description: `Platform fee (${PLATFORM_FEE_PERCENT}%)`
+                });
+            }
+
+            logger.info(`Ledger updated for completed payment ${paymentId}`);
+        } catch (error) {
+            logger.error(`Error recording completed payment ${paymentId} in ledger:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Release a payment's held escrow to the seller's available balance
+     * @param {Object} payment - Payment with confirmed delivery
+     * @returns {Promise<Object|null>} - Posted transaction, or null if nothing is held
+     */
+    async releaseEscrow(payment) {
+        const paymentId = payment._id.toString();
+
+        try {
+            const totals = await ledgerRepository.sumByPayment(paymentId);
+            const heldCents = balanceOf(totals, 'escrow_held');
+
+            if (heldCents <= 0) {
+                logger.warn(`No escrow held for payment ${paymentId}`);
+                return null;
+            }
+
+            return await ledgerRepository.create({
+                type: 'escrow_release',
+                reference: `escrow_release:${paymentId}`,
+                auction: payment.auction,
+                payment: payment._id,
+                lines: [
+                    { account: 'escrow_held', user: payment.seller, direction: 'debit', amount: fromCents(heldCents) },
+                    { account: 'seller_available', user: payment.seller, direction: 'credit', amount: fromCents(heldCents) }
+                ],
+                description: 'Delivery confirmed - escrow released'
+            });
+        } catch (error) {
+            logger.error(`Error releasing escrow for payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a refund to the buyer
+     * The platform fee is returned in proportion to the refunded amount; the
+     * rest comes out of held escrow, or the seller's available balance once
+     * escrow has been released (which may leave the seller owing the platform)
+     * @param {Object} payment - Refunded payment
+     * @param {number} amount - Refunded amount
+     * @returns {Promise<Object|null>} - Posted transaction, or null if already recorded
+     */
+    async recordRefund(payment, amount) {
+        const paymentId = payment._id.toString();
+
+        try {
+            const totals = await ledgerRepository.sumByPayment(paymentId);
+            const feeCents = balanceOf(totals, 'platform_revenue');
+            const refundCents = toCents(amount);
+            const feeShareCents = Math.min(
+                feeCents,
+                Math.round(feeCents * refundCents / toCents(payment.amount))
+            );
+            const sellerShareCents = refundCents - feeShareCents;
+
+            const sellerAccount = balanceOf(totals, 'escrow_held') >= sellerShareCents
+                ? 'escrow_held'
+                : 'seller_available';
+
+            const lines = [
+                { account: 'cash', direction: 'credit', amount: fromCents(refundCents) }
+            ];
+            if (sellerShareCents > 0) {
+                lines.push({ account: sellerAccount, user: payment.seller, direction: 'debit', amount: fromCents(sellerShareCents) });
+            }
+            if (feeShareCents > 0) {
+                lines.push({ account: 'platform_revenue', direction: 'debit', amount: fromCents(feeShareCents) });
+            }
+
+            return await ledgerRepository.create({
+                type: 'refund',
+                reference: `refund:${paymentId}`,
+                auction: payment.auction,
+                payment: payment._id,
+                lines,
+                description: 'Refund to buyer'
+            });
+        } catch (error) {
+            logger.error(`Error recording refund for payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Pay out a seller's available balance
+     * @param {string} sellerId - Seller user ID
+     * @param {number} amount - Amount to pay out (defaults to the whole available balance)
+     * @returns {Promise<Object>} - Posted payout transaction
+     */
+    async requestPayout(sellerId, amount = null) {
+        try {
+            return await withLock(payoutLockKey(sellerId), async () => {
+                const totals = await ledgerRepository.sumByUser(sellerId);
+                const availableCents = balanceOf(totals, 'seller_available');
+                const payoutCents = amount !== null ? toCents(amount) : availableCents;
+
+                if (payoutCents < toCents(MIN_PAYOUT_AMOUNT)) {
+                    throw new Error('INVALID_PAYOUT_AMOUNT');
+                }
+
+                if (payoutCents > availableCents) {
+                    throw new Error('INSUFFICIENT_BALANCE');
+                }
+
+                const transaction = await ledgerRepository.create({
+                    type: 'seller_payout',
+                    reference: `seller_payout:${sellerId}:${Date.now()}`,
+                    lines: [
+                        { account: 'seller_available', user: sellerId, direction: 'debit', amount: fromCents(payoutCents) },
+                        { account: 'cash', direction: 'credit', amount: fromCents(payoutCents) }
+                    ],
+                    description: 'Seller payout'
+                });
+
+                logger.info(`Payout of ${fromCents(payoutCents)} recorded for seller ${sellerId}`);
+
+                return transaction;
+            });
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'PAYOUT_BUSY';
+            }
+            logger.error(`Error paying out seller ${sellerId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's balances
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Balances by escrow stage
+     */
+    async getBalance(userId) {
+        try {
+            const totals = await ledgerRepository.sumByUser(userId);
+
+            return {
+                currency: 'USD',
+                awaitingPayment: fromCents(balanceOf(totals, 'escrow_awaiting')),
+                held: fromCents(balanceOf(totals, 'escrow_held')),
+                available: fromCents(balanceOf(totals, 'seller_available')),
+                owed: fromCents(balanceOf(totals, 'buyer_receivable'))
+            };
+        } catch (error) {
+            logger.error(`Error getting balance for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's ledger statement
+     * @param {string} userId - User ID
+     * @param {Object} options - Query options (page, limit)
+     * @returns {Promise<Object>} - Ledger entries and pagination info
+     */
+    async getLedger(userId, options = {}) {
+        try {
+            return await ledgerRepository.findEntriesByUser(userId, options);
+        } catch (error) {
+            logger.error(`Error getting ledger for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new LedgerService();
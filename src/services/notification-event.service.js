@@ -1,7 +1,21 @@
 import notificationService from './notification.service.js';
+import userRepository from '../repositories/user.repository.js';
 import realtimeService from './realtime.service.js';
 import logger from '../config/logger.js';
 
+/**
+ * Format a reminder checkpoint for notification text, e.g. "24 hours" or "10 minutes"
+ * @param {number} minutes - Minutes remaining
+ * @returns {string}
+ */
+const formatTimeRemaining = (minutes) => {
+    if (minutes >= 60 && minutes % 60 === 0) {
+        const hours = minutes / 60;
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
 /**
  * NotificationEventService - Handles notification triggers for auction events
  * Integrates with auction, bid, and payment events to send notifications
@@ -209,6 +223,272 @@ class NotificationEventService {
         }
     }
 
+    /**
+     * Notify watchers that a watched auction's price changed
+     * @param {Array<string>} watcherIds - Watcher user IDs
+     * @param {Object} auction - Auction object (with the new price)
+     * @returns {Promise<void>}
+     */
+    async notifyWatchersPriceChange(watcherIds, auction) {
+        try {
+            const recipients = await this.filterRecipientsByPreference(watcherIds, 'auctionUpdates');
+
+            const notificationPromises = recipients.map(watcherId =>
+                notificationService.createFromTemplate(
+                    watcherId,
+                    'watchlist_price_change',
+                    {
+                        auctionId: auction._id,
+                        auctionTitle: auction.title,
+                        amount: auction.pricing.currentPrice
+                    },
+                    'low'
+                ).then(notification => {
+                    // Emit real-time notification via Socket.IO
+                    if (realtimeService.isInitialized()) {
+                        realtimeService.emitNotification(watcherId, notification);
+                    }
+                })
+            );
+
+            await Promise.allSettled(notificationPromises);
+
+            logger.info(`Watchlist price change notifications sent to ${recipients.length} watchers`);
+        } catch (error) {
+            logger.error('Error sending watchlist price change notifications:', error.message);
+        }
+    }
+
+    /**
+     * Send an ending-soon reminder to an auction's bidders and watchers
+     * Bidders who also watch the auction get the bidder reminder only
+     * @param {Object} auction - Auction object
+     * @param {Array<string>} bidderIds - Bidder user IDs
+     * @param {Array<string>} watcherIds - Watcher user IDs
+     * @param {number} minutesRemaining - Minutes until the auction ends
+     * @returns {Promise<void>}
+     */
+    async notifyAuctionEndingSoon(auction, bidderIds, watcherIds, minutesRemaining) {
+        try {
+            const bidderSet = new Set(bidderIds.map(id => id.toString()));
+            const watchersOnly = watcherIds.filter(id => !bidderSet.has(id.toString()));
+
+            const [bidders, watchers] = await Promise.all([
+                this.filterRecipientsByPreference(bidderIds, 'bidUpdates'),
+                this.filterRecipientsByPreference(watchersOnly, 'auctionUpdates')
+            ]);
+
+            const data = {
+                auctionId: auction._id,
+                auctionTitle: auction.title,
+                amount: auction.pricing.currentPrice,
+                minutesRemaining,
+                timeRemaining: formatTimeRemaining(minutesRemaining)
+            };
+
+            const send = (userId, type) =>
+                notificationService.createFromTemplate(userId, type, data, 'medium')
+                    .then(notification => {
+                        // Emit real-time notification via Socket.IO
+                        if (realtimeService.isInitialized()) {
+                            realtimeService.emitNotification(userId, notification);
+                        }
+                    });
+
+            await Promise.allSettled([
+                ...bidders.map(bidderId => send(bidderId, 'auction_ending_soon')),
+                ...watchers.map(watcherId => send(watcherId, 'watchlist_ending_soon'))
+            ]);
+
+            logger.info(`Ending soon notifications sent to ${bidders.length} bidders and ${watchers.length} watchers`);
+        } catch (error) {
+            logger.error('Error sending ending soon notifications:', error.message);
+        }
+    }
+
+    /**
+     * Notify the seller and bidders that a moderator cancelled an auction
+     * Sent regardless of preferences, since bids the user placed were cancelled
+     * @param {Object} auction - Cancelled auction
+     * @param {Array<string>} bidderIds - Bidder user IDs
+     * @param {string} reason - Removal reason (shown to the seller only)
+     * @returns {Promise<void>}
+     */
+    async notifyAuctionCancelled(auction, bidderIds, reason) {
+        try {
+            const send = (userId, isSeller) =>
+                notificationService.createFromTemplate(
+                    userId,
+                    'auction_cancelled',
+                    {
+                        auctionId: auction._id,
+                        auctionTitle: auction.title,
+                        isSeller,
+                        reason: isSeller ? reason : null
+                    },
+                    'high'
+                ).then(notification => {
+                    // Emit real-time notification via Socket.IO
+                    if (realtimeService.isInitialized()) {
+                        realtimeService.emitNotification(userId, notification);
+                    }
+                });
+
+            await Promise.allSettled([
+                send(auction.seller, true),
+                ...bidderIds.map(bidderId => send(bidderId, false))
+            ]);
+
+            logger.info(`Auction cancelled notifications sent for auction ${auction._id} to seller and ${bidderIds.length} bidders`);
+        } catch (error) {
+            logger.error('Error sending auction cancelled notifications:', error.message);
+        }
+    }
+
+    /**
+     * Keep only the users who have the given notification preference enabled
+     * @param {Array<string>} userIds - User IDs
+     * @param {string} preference - Preference key (e.g. auctionUpdates, bidUpdates)
+     * @returns {Promise<Array<string>>} - User IDs to notify
+     */
+    async filterRecipientsByPreference(userIds, preference = 'auctionUpdates') {
+        if (userIds.length === 0) {
+            return [];
+        }
+
+        const users = await userRepository.findNotificationPreferences(userIds);
+        return users
+            .filter(user => user.notificationPreferences?.[preference] !== false)
+            .map(user => user._id);
+    }
+
+    /**
+     * Notify a winner who missed the payment deadline
+     * @param {string} buyerId - Buyer user ID
+     * @param {Object} auction - Auction object
+     * @param {Object} bid - Unpaid winning bid
+     * @returns {Promise<void>}
+     */
+    async notifyPaymentOverdue(buyerId, auction, bid) {
+        try {
+            const notification = await notificationService.createFromTemplate(
+                buyerId,
+                'payment_overdue',
+                {
+                    auctionId: auction._id,
+                    auctionTitle: auction.title,
+                    bidId: bid._id,
+                    amount: bid.amount
+                },
+                'high'
+            );
+
+            // Emit real-time notification via Socket.IO
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitNotification(buyerId, notification);
+            }
+
+            logger.info(`Payment overdue notification sent to buyer: ${buyerId}`);
+        } catch (error) {
+            logger.error('Error sending payment overdue notification:', error.message);
+        }
+    }
+
+    /**
+     * Tell a seller the winner did not pay and a second-chance offer can be sent
+     * @param {string} sellerId - Seller user ID
+     * @param {Object} auction - Auction object
+     * @returns {Promise<void>}
+     */
+    async notifySecondChanceAvailable(sellerId, auction) {
+        try {
+            const notification = await notificationService.createFromTemplate(
+                sellerId,
+                'second_chance_available',
+                {
+                    auctionId: auction._id,
+                    auctionTitle: auction.title
+                },
+                'high'
+            );
+
+            // Emit real-time notification via Socket.IO
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitNotification(sellerId, notification);
+            }
+
+            logger.info(`Second-chance available notification sent to seller: ${sellerId}`);
+        } catch (error) {
+            logger.error('Error sending second-chance available notification:', error.message);
+        }
+    }
+
+    /**
+     * Send a second-chance offer to a bidder
+     * @param {string} bidderId - Bidder user ID
+     * @param {Object} auction - Auction object
+     * @param {Object} offer - Second-chance offer
+     * @returns {Promise<void>}
+     */
+    async notifySecondChanceOffer(bidderId, auction, offer) {
+        try {
+            const notification = await notificationService.createFromTemplate(
+                bidderId,
+                'second_chance_offer',
+                {
+                    auctionId: auction._id,
+                    auctionTitle: auction.title,
+                    bidId: offer.bid,
+                    amount: offer.amount,
+                    expiresAt: new Date(offer.expiresAt).toUTCString()
+                },
+                'high'
+            );
+
+            // Emit real-time notification via Socket.IO
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitNotification(bidderId, notification);
+            }
+
+            logger.info(`Second-chance offer notification sent to bidder: ${bidderId}`);
+        } catch (error) {
+            logger.error('Error sending second-chance offer notification:', error.message);
+        }
+    }
+
+    /**
+     * Tell a seller how a bidder answered their second-chance offer
+     * @param {string} sellerId - Seller user ID
+     * @param {Object} auction - Auction object
+     * @param {Object} offer - Answered second-chance offer
+     * @returns {Promise<void>}
+     */
+    async notifySecondChanceResponse(sellerId, auction, offer) {
+        try {
+            const notification = await notificationService.createFromTemplate(
+                sellerId,
+                'second_chance_response',
+                {
+                    auctionId: auction._id,
+                    auctionTitle: auction.title,
+                    bidId: offer.bid,
+                    amount: offer.amount,
+                    response: offer.status
+                },
+                'medium'
+            );
+
+            // Emit real-time notification via Socket.IO
+            if (realtimeService.isInitialized()) {
+                realtimeService.emitNotification(sellerId, notification);
+            }
+
+            logger.info(`Second-chance response notification sent to seller: ${sellerId}`);
+        } catch (error) {
+            logger.error('Error sending second-chance response notification:', error.message);
+        }
+    }
+
     /**
      * Send system notification to a user
      * @param {string} userId - User ID
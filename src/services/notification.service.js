@@ -32,6 +32,40 @@ class NotificationService {
             title: 'Payment received',
             message: (data) => `Payment of $${data.amount} has been received for auction "${data.auctionTitle}".`
         },
+        payment_overdue: {
+            title: 'Payment deadline missed',
+            message: (data) => `You did not pay for "${data.auctionTitle}" in time. The item has been released and an unpaid-item strike was added to your account.`
+        },
+        second_chance_available: {
+            title: 'Winner did not pay',
+            message: (data) => `The winner of "${data.auctionTitle}" did not pay. You can send a second-chance offer to the next-highest bidder.`
+        },
+        second_chance_offer: {
+            title: 'Second-chance offer',
+            message: (data) => `The winner of "${data.auctionTitle}" did not pay. You can buy it at your bid of $${data.amount} - the offer expires ${data.expiresAt}.`
+        },
+        second_chance_response: {
+            title: 'Second-chance offer answered',
+            message: (data) => `Your second-chance offer of $${data.amount} for "${data.auctionTitle}" was ${data.response}.`
+        },
+        watchlist_price_change: {
+            title: 'Price change on a watched auction',
+            message: (data) => `"${data.auctionTitle}" on your watchlist is now at $${data.amount}.`
+        },
+        watchlist_ending_soon: {
+            title: 'Watched auction ending soon',
+            message: (data) => `"${data.auctionTitle}" on your watchlist ends in ${data.timeRemaining}. Current price: $${data.amount}.`
+        },
+        auction_ending_soon: {
+            title: 'Auction ending soon',
+            message: (data) => `"${data.auctionTitle}", which you bid on, ends in ${data.timeRemaining}. Current price: $${data.amount}.`
+        },
+        auction_cancelled: {
+            title: 'Auction cancelled',
+            message: (data) => data.isSeller
+                ? `Your auction "${data.auctionTitle}" was removed by a moderator. Reason: ${data.reason}`
+                : `The auction "${data.auctionTitle}" was removed by a moderator and your bids on it have been cancelled.`
+        },
         system: {
             title: 'System notification',
             message: (data) => data.message || 'You have a new notification.'
@@ -331,10 +365,12 @@ class NotificationService {
                 html
             });
 
-            // Mark email as sent
-            await notificationRepository.markEmailSent(notificationId);
+            // Mark email as sent (transactional emails have no notification record)
+            if (notificationId) {
+                await notificationRepository.markEmailSent(notificationId);
+            }
 
-            logger.info(`Email sent for notification: ${notificationId}`);
+            logger.info(`Email sent${notificationId ? ` for notification: ${notificationId}` : ` to: ${to}`}`);
         } catch (error) {
             logger.error(`Error sending email for notification ${notificationId}:`, error.message);
             throw error; // Will trigger retry
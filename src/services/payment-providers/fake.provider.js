@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import logger from '../../config/logger.js';
+
+// Payment method tokens the fake provider declines, mirroring common card test tokens
+const DECLINED_PAYMENT_METHODS = {
+    fake_card_declined: 'card_declined',
+    fake_card_insufficient_funds: 'insufficient_funds'
+};
+
+/**
+ * Fake Payment Provider for Development
+ * Moves no money and keeps no state; every method resolves immediately.
+ * Confirmation succeeds unless one of the DECLINED_PAYMENT_METHODS tokens is used.
+ */
+class FakePaymentProvider {
+    constructor() {
+        this.name = 'fake';
+    }
+
+    /**
+     * Create a payment intent
+     * @param {Object} params - { amount, currency, reference }
+     * @returns {Promise<Object>} - { paymentId }
+     */
+    async createPayment({ amount, currency, reference }) {
+        const paymentId = `fake_pay_${crypto.randomBytes(12).toString('hex')}`;
+        logger.info(`Fake provider created payment ${paymentId} for ${amount} ${currency} (${reference})`);
+        return { paymentId };
+    }
+
+    /**
+     * Confirm (capture) a payment intent
+     * @param {string} paymentId - Provider payment ID
+     * @param {Object} params - { paymentMethod }
+     * @returns {Promise<Object>} - { succeeded, failureReason }
+     */
+    async confirmPayment(paymentId, { paymentMethod } = {}) {
+        const failureReason = DECLINED_PAYMENT_METHODS[paymentMethod] || null;
+        logger.info(`Fake provider ${failureReason ? 'declined' : 'confirmed'} payment ${paymentId}`);
+        return {
+            succeeded: !failureReason,
+            failureReason
+        };
+    }
+
+    /**
+     * Refund a completed payment
+     * @param {string} paymentId - Provider payment ID
+     * @param {Object} params - { amount }
+     * @returns {Promise<Object>} - { refundId }
+     */
+    async refundPayment(paymentId, { amount }) {
+        const refundId = `fake_re_${crypto.randomBytes(12).toString('hex')}`;
+        logger.info(`Fake provider refunded ${amount} on payment ${paymentId} (${refundId})`);
+        return { refundId };
+    }
+}
+
+export default new FakePaymentProvider();
@@ -0,0 +1,33 @@
+import fakePaymentProvider from './fake.provider.js';
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+
+/**
+ * Payment provider registry
+ * A provider exposes a `name` and three async methods:
+ *   createPayment({ amount, currency, reference }) -> { paymentId }
+ *   confirmPayment(paymentId, { paymentMethod }) -> { succeeded, failureReason }
+ *   refundPayment(paymentId, { amount }) -> { refundId }
+ * Register new providers here; PAYMENT_PROVIDER selects the one used for new payments.
+ */
+const providers = {
+    [fakePaymentProvider.name]: fakePaymentProvider
+};
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER, then 'fake')
+ * @returns {Object} - Payment provider
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error('PAYMENT_PROVIDER_NOT_FOUND');
+    }
+    return provider;
+};
+
+export default {
+    getPaymentProvider
+};
@@ -0,0 +1,406 @@
+import paymentRepository from '../repositories/payment.repository.js';
+import auctionRepository from '../repositories/auction.repository.js';
+import bidRepository from '../repositories/bid.repository.js';
+import notificationEventService from './notification-event.service.js';
+import auditService from './audit.service.js';
+import ledgerService from './ledger.service.js';
+import { getPaymentProvider } from './payment-providers/index.js';
+import logger from '../config/logger.js';
+import { withLock } from '../utils/redis-lock.js';
+
+/**
+ * Build the Redis key serializing provider calls on a payment
+ * @param {string} paymentId - Payment ID
+ * @returns {string} - Lock key
+ */
+const paymentLockKey = (paymentId) => `lock:payment:${paymentId}`;
+
+/**
+ * Build the Redis key serializing checkout on an auction
+ * @param {string} auctionId - Auction ID
+ * @returns {string} - Lock key
+ */
+const auctionPaymentLockKey = (auctionId) => `lock:payment:auction:${auctionId}`;
+
+/**
+ * Check whether a user may see or manage a payment
+ * @param {Object} payment - Payment object
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {boolean} - True if the user is the buyer, the seller or an admin
+ */
+const canAccessPayment = (payment, user) => user.role === 'admin' ||
+    payment.buyer.toString() === user.id.toString() ||
+    payment.seller.toString() === user.id.toString();
+
+/**
+ * PaymentService - Business logic layer for Payment operations
+ * Handles the checkout lifecycle of won auctions: initiate, confirm and refund
+ */
+class PaymentService {
+    /**
+     * Start paying for a won auction
+     * Returns the pending payment if one already exists
+     * @param {string} auctionId - Auction ID
+     * @param {string} buyerId - Buyer user ID (must be the auction winner)
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Pending payment
+     */
+    async initiatePayment(auctionId, buyerId, metadata = {}) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction) {
+                throw new Error('AUCTION_NOT_FOUND');
+            }
+
+            if (auction.status !== 'closed') {
+                throw new Error('AUCTION_NOT_CLOSED');
+            }
+
+            if (!auction.bidding.winner || auction.bidding.winner.toString() !== buyerId.toString()) {
+                throw new Error('NOT_AUCTION_WINNER');
+            }
+
+            // Serialized per auction so concurrent checkouts cannot open two provider payments
+            const { payment, created } = await withLock(auctionPaymentLockKey(auctionId), async () => {
+                const existing = await paymentRepository.findLiveByAuction(auctionId);
+                if (existing && existing.status === 'completed') {
+                    throw new Error('AUCTION_ALREADY_PAID');
+                }
+                if (existing) {
+                    return { payment: existing, created: false };
+                }
+
+                const winningBid = await bidRepository.findWinningBid(auctionId);
+                const amount = winningBid ? winningBid.amount : auction.pricing.currentPrice;
+
+                const provider = getPaymentProvider();
+                const { paymentId } = await provider.createPayment({
+                    amount,
+                    currency: 'USD',
+                    reference: `auction-${auctionId}`
+                });
+
+                const createdPayment = await paymentRepository.create({
+                    auction: auctionId,
+                    buyer: buyerId,
+                    seller: auction.seller,
+                    bid: winningBid ? winningBid._id : undefined,
+                    amount,
+                    provider: {
+                        name: provider.name,
+                        paymentId
+                    },
+                    metadata: {
+                        ipAddress: metadata.ipAddress || null,
+                        userAgent: metadata.userAgent || null
+                    }
+                });
+
+                return { payment: createdPayment, created: true };
+            });
+
+            if (!created) {
+                return payment;
+            }
+
+            await auditService.logPaymentEvent({
+                userId: buyerId,
+                action: 'PAYMENT_INITIATE',
+                paymentId: payment._id,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: '/api/v1/payments',
+                statusCode: 201,
+                details: { auctionId, amount: payment.amount, provider: payment.provider.name }
+            });
+
+            logger.info(`Payment initiated: ${payment._id} for auction ${auctionId} by buyer ${buyerId}`);
+
+            return payment;
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'PAYMENT_BUSY';
+            }
+            logger.error(`Error initiating payment for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Confirm a pending payment with the provider
+     * @param {string} paymentId - Payment ID
+     * @param {string} buyerId - Buyer user ID
+     * @param {Object} confirmation - Confirmation data (paymentMethod)
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Completed or failed payment
+     */
+    async confirmPayment(paymentId, buyerId, confirmation = {}, metadata = {}) {
+        try {
+            const payment = await withLock(paymentLockKey(paymentId), async () => {
+                const current = await paymentRepository.findById(paymentId);
+                if (!current) {
+                    throw new Error('PAYMENT_NOT_FOUND');
+                }
+
+                if (current.buyer.toString() !== buyerId.toString()) {
+                    throw new Error('UNAUTHORIZED_NOT_BUYER');
+                }
+
+                if (current.status !== 'pending') {
+                    throw new Error('PAYMENT_NOT_PENDING');
+                }
+
+                const provider = getPaymentProvider(current.provider.name);
+                const result = await provider.confirmPayment(current.provider.paymentId, {
+                    paymentMethod: confirmation.paymentMethod
+                });
+
+                const updateData = result.succeeded
+                    ? { status: 'completed', 'timeline.completedAt': new Date() }
+                    : { status: 'failed', failureReason: result.failureReason, 'timeline.failedAt': new Date() };
+
+                return paymentRepository.transition(paymentId, 'pending', updateData);
+            });
+
+            if (!payment) {
+                throw new Error('PAYMENT_NOT_PENDING');
+            }
+
+            const succeeded = payment.status === 'completed';
+
+            await auditService.logPaymentEvent({
+                userId: buyerId,
+                action: succeeded ? 'PAYMENT_COMPLETE' : 'PAYMENT_FAILED',
+                paymentId,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/payments/${paymentId}/confirm`,
+                status: succeeded ? 'success' : 'failure',
+                statusCode: succeeded ? 200 : 402,
+                details: { auctionId: payment.auction, amount: payment.amount },
+                error: succeeded ? null : { code: 'PAYMENT_FAILED', message: payment.failureReason }
+            });
+
+            if (succeeded) {
+                // The payment is settled with the provider; a ledger failure is
+                // logged and can be re-posted since every entry is idempotent
+                try {
+                    await ledgerService.recordPaymentCompleted(payment);
+                } catch (ledgerError) {
+                    logger.error(`Failed to record payment ${paymentId} in ledger:`, ledgerError.message);
+                }
+
+                const auction = await auctionRepository.findById(payment.auction);
+
+                // Send payment received notification to seller
+                notificationEventService.notifyPaymentReceived(
+                    payment.seller,
+                    auction,
+                    payment
+                ).catch(err => logger.error('Failed to send payment received notification:', err.message));
+
+                logger.info(`Payment completed: ${paymentId}`);
+            } else {
+                logger.warn(`Payment failed: ${paymentId} (${payment.failureReason})`);
+            }
+
+            return payment;
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'PAYMENT_BUSY';
+            }
+            logger.error(`Error confirming payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Fail a payment that is still pending when the payment deadline passes
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object|null>} - Failed payment, or null if it is no longer pending
+     */
+    async expirePendingPayment(paymentId) {
+        try {
+            const payment = await withLock(paymentLockKey(paymentId), () =>
+                paymentRepository.transition(paymentId, 'pending', {
+                    status: 'failed',
+                    failureReason: 'Payment deadline expired',
+                    'timeline.failedAt': new Date()
+                })
+            );
+
+            if (payment) {
+                logger.info(`Pending payment expired: ${paymentId}`);
+            }
+
+            return payment;
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'PAYMENT_BUSY';
+            }
+            logger.error(`Error expiring payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Refund a completed payment (seller or admin)
+     * @param {string} paymentId - Payment ID
+     * @param {Object} user - Requesting user ({ id, role })
+     * @param {Object} refundData - Refund data (amount, reason); defaults to a full refund
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Refunded payment
+     */
+    async refundPayment(paymentId, user, refundData = {}, metadata = {}) {
+        try {
+            const payment = await withLock(paymentLockKey(paymentId), async () => {
+                const current = await paymentRepository.findById(paymentId);
+                if (!current) {
+                    throw new Error('PAYMENT_NOT_FOUND');
+                }
+
+                if (user.role !== 'admin' && current.seller.toString() !== user.id.toString()) {
+                    throw new Error('UNAUTHORIZED_NOT_SELLER');
+                }
+
+                if (current.status !== 'completed') {
+                    throw new Error('PAYMENT_NOT_COMPLETED');
+                }
+
+                const amount = refundData.amount ?? current.amount;
+                if (amount <= 0 || amount > current.amount) {
+                    throw new Error('INVALID_REFUND_AMOUNT');
+                }
+
+                const provider = getPaymentProvider(current.provider.name);
+                const { refundId } = await provider.refundPayment(current.provider.paymentId, { amount });
+
+                return paymentRepository.transition(paymentId, 'completed', {
+                    status: 'refunded',
+                    'provider.refundId': refundId,
+                    'refund.amount': amount,
+                    'refund.reason': refundData.reason || null,
+                    'refund.refundedBy': user.id,
+                    'timeline.refundedAt': new Date()
+                });
+            });
+
+            if (!payment) {
+                throw new Error('PAYMENT_NOT_COMPLETED');
+            }
+
+            try {
+                await ledgerService.recordRefund(payment, payment.refund.amount);
+            } catch (ledgerError) {
+                logger.error(`Failed to record refund for payment ${paymentId} in ledger:`, ledgerError.message);
+            }
+
+            await auditService.logPaymentEvent({
+                userId: user.id,
+                action: 'PAYMENT_REFUND',
+                paymentId,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/payments/${paymentId}/refund`,
+                statusCode: 200,
+                details: { auctionId: payment.auction, amount: payment.refund.amount, reason: payment.refund.reason }
+            });
+
+            logger.info(`Payment refunded: ${paymentId} (${payment.refund.amount})`);
+
+            return payment;
+        } catch (error) {
+            if (error.message === 'LOCK_NOT_ACQUIRED') {
+                error.message = 'PAYMENT_BUSY';
+            }
+            logger.error(`Error refunding payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Confirm delivery of a paid item (buyer only)
+     * Releases the held escrow to the seller's available balance. Confirming
+     * again retries a release that failed after delivery was recorded
+     * @param {string} paymentId - Payment ID
+     * @param {string} buyerId - Buyer user ID
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Updated payment
+     */
+    async confirmDelivery(paymentId, buyerId, metadata = {}) {
+        try {
+            const current = await paymentRepository.findById(paymentId);
+            if (!current) {
+                throw new Error('PAYMENT_NOT_FOUND');
+            }
+
+            if (current.buyer.toString() !== buyerId.toString()) {
+                throw new Error('UNAUTHORIZED_NOT_BUYER');
+            }
+
+            if (current.timeline?.deliveryConfirmedAt) {
+                // Release is idempotent, so this only posts if the first attempt failed
+                const released = await ledgerService.releaseEscrow(current);
+                if (!released) {
+                    throw new Error('DELIVERY_ALREADY_CONFIRMED');
+                }
+
+                logger.info(`Escrow release retried for payment ${paymentId}`);
+                return current;
+            }
+
+            const payment = await paymentRepository.confirmDelivery(paymentId);
+            if (!payment) {
+                throw new Error(current.status === 'completed' || current.status === 'refunded'
+                    ? 'DELIVERY_ALREADY_CONFIRMED'
+                    : 'PAYMENT_NOT_COMPLETED');
+            }
+
+            await ledgerService.releaseEscrow(payment);
+
+            await auditService.logPaymentEvent({
+                userId: buyerId,
+                action: 'PAYMENT_DELIVERY_CONFIRM',
+                paymentId,
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/payments/${paymentId}/confirm-delivery`,
+                statusCode: 200,
+                details: { auctionId: payment.auction, amount: payment.amount }
+            });
+
+            logger.info(`Delivery confirmed for payment ${paymentId}`);
+
+            return payment;
+        } catch (error) {
+            logger.error(`Error confirming delivery for payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a payment (buyer, seller or admin only)
+     * @param {string} paymentId - Payment ID
+     * @param {Object} user - Requesting user ({ id, role })
+     * @returns {Promise<Object>} - Payment
+     */
+    async getPaymentById(paymentId, user) {
+        try {
+            const payment = await paymentRepository.findById(paymentId);
+            if (!payment) {
+                throw new Error('PAYMENT_NOT_FOUND');
+            }
+
+            if (!canAccessPayment(payment, user)) {
+                throw new Error('UNAUTHORIZED_ACCESS');
+            }
+
+            return payment;
+        } catch (error) {
+            logger.error(`Error getting payment ${paymentId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new PaymentService();
@@ -0,0 +1,118 @@
+import { redisClient } from '../config/redis.config.js';
+import bidRepository from '../repositories/bid.repository.js';
+import logger from '../config/logger.js';
+
+const PRESENCE_THROTTLE_MS = parseInt(process.env.PRESENCE_THROTTLE_MS ?? 2000, 10);
+const PRESENCE_TTL_SECONDS = parseInt(process.env.PRESENCE_TTL_SECONDS ?? 60 * 60, 10);
+
+/**
+ * PresenceService - Live viewer and bidder counts for auction rooms
+ * Room membership is read through the Socket.IO adapter, so with the Redis
+ * adapter the counts cover every instance. Updates are throttled per auction
+ * across instances and the latest figures are kept in Redis for HTTP reads
+ */
+class PresenceService {
+    constructor() {
+        // Auctions with an update already scheduled on this instance
+        this.pending = new Set();
+    }
+
+    /**
+     * Build the Redis keys for an auction's presence
+     * @param {string} auctionId - Auction ID
+     * @returns {Object} - { snapshot, throttle }
+     */
+    keys(auctionId) {
+        return {
+            snapshot: `presence:auction:${auctionId}`,
+            throttle: `presence:auction:${auctionId}:throttle`
+        };
+    }
+
+    /**
+     * Schedule an auction:presence update for an auction room
+     * Leading calls start a window; later changes in the same window are
+     * picked up by the single update sent when it ends
+     * @param {Object} namespace - The /auctions namespace
+     * @param {string} auctionId - Auction ID
+     */
+    async scheduleUpdate(namespace, auctionId) {
+        const id = auctionId.toString();
+        if (this.pending.has(id)) {
+            return;
+        }
+
+        try {
+            const acquired = await redisClient.set(this.keys(id).throttle, '1', 'PX', PRESENCE_THROTTLE_MS, 'NX');
+            if (acquired !== 'OK') {
+                // Another instance already has an update scheduled for this window
+                return;
+            }
+
+            this.pending.add(id);
+            setTimeout(() => {
+                this.pending.delete(id);
+                this.publish(namespace, id).catch(error => {
+                    logger.error(`Error publishing presence for auction ${id}:`, error.message);
+                });
+            }, PRESENCE_THROTTLE_MS);
+        } catch (error) {
+            logger.error(`Error scheduling presence update for auction ${id}:`, error.message);
+        }
+    }
+
+    /**
+     * Count the room's viewers and bidders, store the figures and emit them
+     * @param {Object} namespace - The /auctions namespace
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object>} - Presence figures
+     */
+    async publish(namespace, auctionId) {
+        const room = `auction:${auctionId}`;
+        const sockets = await namespace.in(room).fetchSockets();
+
+        const viewerIds = new Set(
+            sockets.map(socket => socket.data?.userId?.toString()).filter(Boolean)
+        );
+
+        let activeBidders = 0;
+        if (viewerIds.size > 0) {
+            const bidders = await bidRepository.findActiveBidders(auctionId);
+            activeBidders = bidders.filter(bidder => viewerIds.has(bidder.toString())).length;
+        }
+
+        const presence = {
+            auctionId,
+            viewers: viewerIds.size,
+            activeBidders,
+            timestamp: new Date().toISOString()
+        };
+
+        await redisClient.set(this.keys(auctionId).snapshot, JSON.stringify(presence), 'EX', PRESENCE_TTL_SECONDS);
+        namespace.to(room).emit('auction:presence', presence);
+
+        return presence;
+    }
+
+    /**
+     * Get the latest presence figures for an auction
+     * Falls back to zero when nothing has been recorded or Redis is unavailable
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<Object>} - { viewers, activeBidders, timestamp }
+     */
+    async getPresence(auctionId) {
+        try {
+            const snapshot = await redisClient.get(this.keys(auctionId).snapshot);
+            if (snapshot) {
+                const { viewers, activeBidders, timestamp } = JSON.parse(snapshot);
+                return { viewers, activeBidders, timestamp };
+            }
+        } catch (error) {
+            logger.error(`Error reading presence for auction ${auctionId}:`, error.message);
+        }
+
+        return { viewers: 0, activeBidders: 0, timestamp: null };
+    }
+}
+
+export default new PresenceService();
@@ -0,0 +1,267 @@
+import proxyBidRepository from '../repositories/proxy-bid.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import logger from '../config/logger.js';
+import { getBidIncrement, getNextMinimumBid, roundAmount } from '../utils/bid-increment.js';
+
+/**
+ * ProxyBidService - Business logic for proxy (automatic) bidding
+ * Stores hidden maximum bids and resolves which automatic bid, if any,
+ * should be placed next on an auction
+ */
+class ProxyBidService {
+    /**
+     * Register or raise a bidder's hidden maximum on an auction
+     * @param {Object} auction - Auction object
+     * @param {string} bidderId - Bidder user ID
+     * @param {number} maxAmount - Hidden maximum amount
+     * @param {Object} metadata - Request metadata (IP, user agent)
+     * @returns {Promise<Object>} - Proxy bid
+     */
+    async registerProxyBid(auction, bidderId, maxAmount, metadata = {}) {
+        try {
+            const nextMinimumBid = getNextMinimumBid(auction);
+            if (maxAmount < nextMinimumBid) {
+                const error = new Error('MAX_BID_AMOUNT_TOO_LOW');
+                error.nextMinimumBid = nextMinimumBid;
+                throw error;
+            }
+
+            const existing = await proxyBidRepository.findByAuctionAndBidder(auction._id, bidderId);
+
+            // A live maximum can only be raised, never lowered
+            if (existing && existing.status === 'active' && maxAmount <= existing.maxAmount) {
+                throw new Error('MAX_BID_MUST_EXCEED_CURRENT_MAX');
+            }
+
+            const proxyBid = await proxyBidRepository.upsert(auction._id, bidderId, maxAmount, metadata);
+
+            logger.info(`Proxy bid registered on auction ${auction._id} by bidder ${bidderId}`);
+
+            return proxyBid;
+        } catch (error) {
+            logger.error('Error registering proxy bid:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a bidder's proxy bid on an auction
+     * @param {string} auctionId - Auction ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object>} - Proxy bid
+     */
+    async getProxyBid(auctionId, bidderId) {
+        try {
+            const proxyBid = await proxyBidRepository.findByAuctionAndBidder(auctionId, bidderId);
+
+            if (!proxyBid) {
+                throw new Error('PROXY_BID_NOT_FOUND');
+            }
+
+            return proxyBid;
+        } catch (error) {
+            logger.error(`Error getting proxy bid for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a bidder's active proxy bid (bids already placed stand)
+     * @param {string} auctionId - Auction ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object>} - Cancelled proxy bid
+     */
+    async cancelProxyBid(auctionId, bidderId) {
+        try {
+            const proxyBid = await proxyBidRepository.findByAuctionAndBidder(auctionId, bidderId);
+
+            if (!proxyBid || proxyBid.status !== 'active') {
+                throw new Error('PROXY_BID_NOT_FOUND');
+            }
+
+            const cancelled = await proxyBidRepository.updateStatus(proxyBid._id, 'cancelled');
+
+            logger.info(`Proxy bid cancelled on auction ${auctionId} by bidder ${bidderId}`);
+
+            return cancelled;
+        } catch (error) {
+            logger.error(`Error cancelling proxy bid for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve the next automatic bid for an auction
+     * Picks the strongest proxy bid not held by the current leader and either
+     * lets it take the lead or lets the leader's own proxy defend. The winning
+     * side bids one increment (from the auction's increment table at the losing
+     * ceiling) over that ceiling, capped at its own maximum. Equal maximums go
+     * to the one set first. With no standing bid the strongest proxy opens at
+     * the starting price.
+     * @param {Object} auction - Auction object (current pricing)
+     * @param {Object|null} highestBid - Current highest bid
+     * @returns {Promise<Object|null>} - { bidderId, amount, metadata } or null when nothing to place
+     */
+    async resolveNextAutoBid(auction, highestBid) {
+        try {
+            const price = auction.pricing.currentPrice;
+            const leaderId = highestBid
+                ? (highestBid.bidder._id || highestBid.bidder).toString()
+                : null;
+
+            const activeProxyBids = await proxyBidRepository.findActiveByAuction(auction._id);
+
+            // Suspended or banned bidders cannot bid, so their proxies are done
+            const restrictedIds = activeProxyBids.length > 0
+                ? new Set(await userRepository.findRestrictedIds(activeProxyBids.map(p => p.bidder)))
+                : new Set();
+            const restricted = activeProxyBids.filter(p => restrictedIds.has(p.bidder.toString()));
+            const proxyBids = activeProxyBids.filter(p => !restrictedIds.has(p.bidder.toString()));
+
+            // With no standing bid the strongest proxy opens at the starting price
+            if (!highestBid) {
+                const openingBid = getNextMinimumBid(auction);
+                const opener = proxyBids.find(p => p.maxAmount >= openingBid);
+
+                await this.exhaust([...restricted, ...proxyBids.filter(p => p.maxAmount < openingBid)]);
+
+                return opener
+                    ? { bidderId: opener.bidder, amount: openingBid, metadata: opener.metadata || {} }
+                    : null;
+            }
+
+            const leaderProxy = proxyBids.find(p => p.bidder.toString() === leaderId) || null;
+            const others = proxyBids.filter(p => p.bidder.toString() !== leaderId);
+
+            // Proxies that can no longer beat the current price are done
+            const exhausted = [
+                ...restricted,
+                ...others.filter(p => p.maxAmount <= price)
+            ];
+            const challenger = others.find(p => p.maxAmount > price);
+
+            if (!challenger) {
+                await this.exhaust(exhausted);
+                return null;
+            }
+
+            const leaderCeiling = leaderProxy ? Math.max(leaderProxy.maxAmount, price) : price;
+
+            // Equal maximums go to whoever set theirs first
+            const winsTie = leaderProxy !== null &&
+                challenger.maxAmount === leaderCeiling &&
+                new Date(challenger.placedAt) < new Date(leaderProxy.placedAt);
+
+            if (challenger.maxAmount > leaderCeiling || winsTie) {
+                if (leaderProxy) {
+                    exhausted.push(leaderProxy);
+                }
+                await this.exhaust(exhausted);
+
+                return {
+                    bidderId: challenger.bidder,
+                    amount: roundAmount(Math.min(
+                        challenger.maxAmount,
+                        leaderCeiling + getBidIncrement(auction, leaderCeiling)
+                    )),
+                    metadata: challenger.metadata || {}
+                };
+            }
+
+            // Leader's ceiling holds
+            exhausted.push(challenger);
+            await this.exhaust(exhausted);
+
+            return {
+                bidderId: leaderProxy.bidder,
+                amount: roundAmount(Math.min(
+                    leaderProxy.maxAmount,
+                    challenger.maxAmount + getBidIncrement(auction, challenger.maxAmount)
+                )),
+                metadata: leaderProxy.metadata || {}
+            };
+        } catch (error) {
+            logger.error(`Error resolving proxy bids for auction ${auction._id}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a bidder's proxy bid on an auction if one is active
+     * @param {string} auctionId - Auction ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object|null>} - Cancelled proxy bid, or null if none was active
+     */
+    async cancelIfActive(auctionId, bidderId) {
+        try {
+            const proxyBid = await proxyBidRepository.findByAuctionAndBidder(auctionId, bidderId);
+            if (!proxyBid || proxyBid.status !== 'active') {
+                return null;
+            }
+
+            return await proxyBidRepository.updateStatus(proxyBid._id, 'cancelled');
+        } catch (error) {
+            logger.error(`Error cancelling proxy bid for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Exhaust every active proxy bid on an auction (e.g. once it has closed)
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<void>}
+     */
+    async exhaustAll(auctionId) {
+        try {
+            const proxyBids = await proxyBidRepository.findActiveByAuction(auctionId);
+            await this.exhaust(proxyBids);
+        } catch (error) {
+            logger.error(`Error exhausting proxy bids for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel every active proxy bid on an auction (e.g. once it was removed)
+     * @param {string} auctionId - Auction ID
+     * @returns {Promise<void>}
+     */
+    async cancelAll(auctionId) {
+        try {
+            await proxyBidRepository.cancelActiveByAuction(auctionId);
+        } catch (error) {
+            logger.error(`Error cancelling proxy bids for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel every active proxy bid a bidder holds (e.g. once they are suspended)
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<number>} - Number of proxy bids cancelled
+     */
+    async cancelAllForBidder(bidderId) {
+        try {
+            const result = await proxyBidRepository.cancelActiveByBidder(bidderId);
+            return result.modifiedCount;
+        } catch (error) {
+            logger.error(`Error cancelling proxy bids for bidder ${bidderId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark proxy bids as exhausted
+     * @param {Array} proxyBids - Proxy bids to exhaust
+     * @returns {Promise<void>}
+     */
+    async exhaust(proxyBids) {
+        if (proxyBids.length === 0) {
+            return;
+        }
+
+        await proxyBidRepository.markExhausted(proxyBids.map(p => p._id));
+    }
+}
+
+export default new ProxyBidService();
@@ -1,6 +1,9 @@
 import logger from '../config/logger.js';
-import { emitToAuctionRoom, emitToUser } from '../config/socket.config.js';
+import { emitToAuctionRoom, emitToUser, userRoom } from '../config/socket.config.js';
 import prometheusMetrics from './prometheus-metrics.service.js';
+import eventLogService from './event-log.service.js';
+import sseService from './sse.service.js';
+import presenceService from './presence.service.js';
 
 /**
  * RealtimeService - Handles real-time event broadcasting via Socket.IO
@@ -28,6 +31,44 @@ class RealtimeService {
         return this.io;
     }
 
+    /**
+     * Log an event to the user's replay log, then emit it with its sequence
+     * number to the user's sockets and SSE stream
+     * If the log is unavailable the event is still sent, just without `seq`
+     * @param {string} userId - User ID
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    emitToUserLogged(userId, event, data) {
+        const stream = userRoom(userId);
+
+        eventLogService.append(stream, event, data)
+            .then(seq => {
+                emitToUser(this.io, userId, event, { ...data, seq });
+                sseService.publish(stream, { id: seq, event, data });
+            })
+            .catch(() => {
+                emitToUser(this.io, userId, event, data);
+                sseService.publish(stream, { event, data });
+            });
+    }
+
+    /**
+     * Emit an event to an auction room, and log it for the auction's SSE stream
+     * so stream clients can resume with Last-Event-ID
+     * @param {string} auctionId - Auction ID
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    emitToAuctionRoomLogged(auctionId, event, data) {
+        emitToAuctionRoom(this.io, auctionId, event, data);
+
+        const stream = `auction:${auctionId}`;
+        eventLogService.append(stream, event, data)
+            .then(seq => sseService.publish(stream, { id: seq, event, data }))
+            .catch(() => sseService.publish(stream, { event, data }));
+    }
+
     /**
      * Emit new bid event to auction room
      * @param {string} auctionId - Auction ID
@@ -63,10 +104,13 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToAuctionRoom(this.io, auctionId, 'bid:new', eventData);
+            this.emitToAuctionRoomLogged(auctionId, 'bid:new', eventData);
             
             // Track WebSocket message metric
             prometheusMetrics.trackWebSocketMessage('bid:new', 'outbound');
+
+            // A new bid can change how many viewers are active bidders
+            presenceService.scheduleUpdate(this.io.of('/auctions'), auctionId);
             
             logger.info(`New bid event emitted for auction ${auctionId}`);
         } catch (error) {
@@ -97,7 +141,7 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToAuctionRoom(this.io, auctionId, 'bid:update', eventData);
+            this.emitToAuctionRoomLogged(auctionId, 'bid:update', eventData);
             
             // Track WebSocket message metric
             prometheusMetrics.trackWebSocketMessage('bid:update', 'outbound');
@@ -105,7 +149,7 @@ class RealtimeService {
             // Also emit to the specific bidder
             if (bidData.bidder) {
                 const bidderId = bidData.bidder._id || bidData.bidder;
-                emitToUser(this.io, bidderId.toString(), 'bid:status', eventData);
+                this.emitToUserLogged(bidderId.toString(), 'bid:status', eventData);
                 prometheusMetrics.trackWebSocketMessage('bid:status', 'outbound');
             }
             
@@ -141,7 +185,7 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToAuctionRoom(this.io, auctionId, 'auction:update', eventData);
+            this.emitToAuctionRoomLogged(auctionId, 'auction:update', eventData);
             
             // Track WebSocket message metric
             prometheusMetrics.trackWebSocketMessage('auction:update', 'outbound');
@@ -181,14 +225,14 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToAuctionRoom(this.io, auctionId, 'auction:closed', eventData);
+            this.emitToAuctionRoomLogged(auctionId, 'auction:closed', eventData);
             
             // Track WebSocket message metric
             prometheusMetrics.trackWebSocketMessage('auction:closed', 'outbound');
             
             // Emit to winner if exists
             if (winnerData && winnerData.hasWinner && winnerData.winner) {
-                emitToUser(this.io, winnerData.winner.toString(), 'auction:won', {
+                this.emitToUserLogged(winnerData.winner.toString(), 'auction:won', {
                     auction: eventData.auction,
                     timestamp: eventData.timestamp
                 });
@@ -232,7 +276,7 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToUser(this.io, userId.toString(), 'bid:outbid', eventData);
+            this.emitToUserLogged(userId.toString(), 'bid:outbid', eventData);
             
             logger.info(`Outbid notification emitted to user ${userId}`);
         } catch (error) {
@@ -269,7 +313,7 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToUser(this.io, sellerId.toString(), 'auction:newBid', eventData);
+            this.emitToUserLogged(sellerId.toString(), 'auction:newBid', eventData);
             
             logger.info(`New bid notification emitted to seller ${sellerId}`);
         } catch (error) {
@@ -299,7 +343,16 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToAuctionRoom(this.io, auctionId, 'auction:startingSoon', eventData);
+            this.emitToAuctionRoomLogged(auctionId, 'auction:startingSoon', eventData);
+
+            // Watchers get the announcement whether or not they joined the auction room
+            const watchers = auctionData.metadata?.watchers || [];
+            watchers.forEach(watcherId => {
+                this.emitToUserLogged(watcherId.toString(), 'auction:startingSoon', eventData);
+            });
+
+            // Track WebSocket message metric
+            prometheusMetrics.trackWebSocketMessage('auction:startingSoon', 'outbound');
             
             logger.info(`Auction starting soon event emitted for auction ${auctionId}`);
         } catch (error) {
@@ -332,7 +385,11 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToAuctionRoom(this.io, auctionId, 'auction:endingSoon', eventData);
+            // Watchers outside the room are reached by their ending-soon notification
+            this.emitToAuctionRoomLogged(auctionId, 'auction:endingSoon', eventData);
+
+            // Track WebSocket message metric
+            prometheusMetrics.trackWebSocketMessage('auction:endingSoon', 'outbound');
             
             logger.info(`Auction ending soon event emitted for auction ${auctionId}`);
         } catch (error) {
@@ -340,6 +397,80 @@ class RealtimeService {
         }
     }
 
+    /**
+     * Emit auction extended event (soft close pushed the end time out)
+     * @param {string} auctionId - Auction ID
+     * @param {Object} auctionData - Auction data (with the new end time)
+     * @param {Date} previousEndTime - End time before the extension
+     */
+    emitAuctionExtended(auctionId, auctionData, previousEndTime) {
+        try {
+            if (!this.io) {
+                logger.warn('Socket.IO not initialized, cannot emit auction extended event');
+                return;
+            }
+
+            const eventData = {
+                auction: {
+                    id: auctionData._id,
+                    title: auctionData.title,
+                    previousEndTime,
+                    endTime: auctionData.timing.endTime,
+                    extensionCount: auctionData.timing.extensionCount,
+                    currentPrice: auctionData.pricing.currentPrice
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            this.emitToAuctionRoomLogged(auctionId, 'auction:extended', eventData);
+
+            // Track WebSocket message metric
+            prometheusMetrics.trackWebSocketMessage('auction:extended', 'outbound');
+
+            logger.info(`Auction extended event emitted for auction ${auctionId}`);
+        } catch (error) {
+            logger.error('Error emitting auction extended event:', error.message);
+        }
+    }
+
+    /**
+     * Emit a price change to the watchers of an auction
+     * @param {Array<string>} watcherIds - Watcher user IDs
+     * @param {Object} auctionData - Auction data (with the new price)
+     * @param {string} changeType - What moved the price (bid_placed, bid_retracted, bid_voided)
+     */
+    emitWatchlistPriceChange(watcherIds, auctionData, changeType = 'bid_placed') {
+        try {
+            if (!this.io) {
+                logger.warn('Socket.IO not initialized, cannot emit watchlist price change');
+                return;
+            }
+
+            const eventData = {
+                auction: {
+                    id: auctionData._id,
+                    title: auctionData.title,
+                    currentPrice: auctionData.pricing.currentPrice,
+                    totalBids: auctionData.bidding.totalBids,
+                    endTime: auctionData.timing.endTime
+                },
+                changeType,
+                timestamp: new Date().toISOString()
+            };
+
+            watcherIds.forEach(watcherId => {
+                this.emitToUserLogged(watcherId.toString(), 'watchlist:priceChange', eventData);
+            });
+
+            // Track WebSocket message metric
+            prometheusMetrics.trackWebSocketMessage('watchlist:priceChange', 'outbound');
+
+            logger.info(`Watchlist price change emitted to ${watcherIds.length} watchers of auction ${auctionData._id}`);
+        } catch (error) {
+            logger.error('Error emitting watchlist price change:', error.message);
+        }
+    }
+
     /**
      * Emit notification to user
      * @param {string} userId - User ID
@@ -365,7 +496,7 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
             };
 
-            emitToUser(this.io, userId.toString(), 'notification:new', eventData);
+            this.emitToUserLogged(userId.toString(), 'notification:new', eventData);
             
             // Track WebSocket message metric
             prometheusMetrics.trackWebSocketMessage('notification:new', 'outbound');
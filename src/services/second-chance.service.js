@@ -0,0 +1,341 @@
+import secondChanceOfferRepository from '../repositories/second-chance-offer.repository.js';
+import auctionRepository from '../repositories/auction.repository.js';
+import bidRepository from '../repositories/bid.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import paymentRepository from '../repositories/payment.repository.js';
+import paymentService from './payment.service.js';
+import ledgerService from './ledger.service.js';
+import notificationEventService from './notification-event.service.js';
+import cacheService from './cache.service.js';
+import { paymentDeadlineQueue } from '../config/queue.config.js';
+import { PAYMENT_DEADLINE_HOURS, SECOND_CHANCE_OFFER_HOURS } from '../config/second-chance.config.js';
+import logger from '../config/logger.js';
+
+/**
+ * Build the Bull job ID of a winner's payment deadline
+ * @param {string} auctionId - Auction ID
+ * @param {string} buyerId - Buyer user ID
+ * @returns {string} - Job ID
+ */
+const paymentDeadlineJobId = (auctionId, buyerId) => `payment-deadline-${auctionId}-${buyerId}`;
+
+/**
+ * SecondChanceService - Business logic for unpaid auctions
+ * Enforces the winner's payment deadline and lets the seller offer the item
+ * to the next-highest bidder when the winner does not pay
+ */
+class SecondChanceService {
+    /**
+     * Start the payment deadline for an auction winner
+     * @param {string} auctionId - Auction ID
+     * @param {string} buyerId - Winner user ID
+     * @returns {Promise<void>}
+     */
+    async schedulePaymentDeadline(auctionId, buyerId) {
+        try {
+            const delay = PAYMENT_DEADLINE_HOURS * 60 * 60 * 1000;
+
+            await paymentDeadlineQueue.add(
+                'payment-deadline',
+                {
+                    auctionId: auctionId.toString(),
+                    buyerId: buyerId.toString()
+                },
+                {
+                    delay,
+                    jobId: paymentDeadlineJobId(auctionId, buyerId)
+                }
+            );
+
+            logger.info(`Payment deadline scheduled for auction ${auctionId} (buyer ${buyerId}) in ${PAYMENT_DEADLINE_HOURS}h`);
+        } catch (error) {
+            logger.error(`Error scheduling payment deadline for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle an expired payment deadline
+     * Does nothing if the winner has paid; otherwise fails any pending payment,
+     * releases the item, marks the winning bid unpaid and records a strike
+     * @param {string} auctionId - Auction ID
+     * @param {string} buyerId - Winner user ID
+     * @returns {Promise<Object>} - Outcome ({ unpaid: boolean })
+     */
+    async handlePaymentDeadline(auctionId, buyerId) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction || !auction.bidding.winner || auction.bidding.winner.toString() !== buyerId.toString()) {
+                logger.info(`Payment deadline for auction ${auctionId} skipped - ${buyerId} is no longer the winner`);
+                return { unpaid: false };
+            }
+
+            const payment = await paymentRepository.findLiveByAuction(auctionId);
+            if (payment && payment.status === 'pending') {
+                await paymentService.expirePendingPayment(payment._id);
+            }
+
+            // Re-check: the payment may have completed while we were expiring it
+            const livePayment = await paymentRepository.findLiveByAuction(auctionId);
+            if (livePayment && livePayment.status === 'completed') {
+                logger.info(`Payment deadline for auction ${auctionId} skipped - already paid`);
+                return { unpaid: false };
+            }
+
+            const releasedAuction = await auctionRepository.clearWinner(auctionId, buyerId);
+            if (!releasedAuction) {
+                return { unpaid: false };
+            }
+
+            const winningBid = await bidRepository.findWinningBid(auctionId);
+            if (winningBid) {
+                await bidRepository.updateStatus(winningBid._id, 'unpaid');
+
+                await userRepository.incrementStats(buyerId, {
+                    auctionsWon: -1,
+                    totalSpent: -winningBid.amount
+                });
+
+                try {
+                    await ledgerService.voidEscrow({
+                        auctionId,
+                        buyerId,
+                        sellerId: auction.seller,
+                        amount: winningBid.amount
+                    });
+                } catch (ledgerError) {
+                    logger.error(`Failed to void escrow for auction ${auctionId}:`, ledgerError.message);
+                }
+
+                notificationEventService.notifyPaymentOverdue(buyerId, auction, winningBid)
+                    .catch(err => logger.error('Failed to send payment overdue notification:', err.message));
+            }
+
+            await userRepository.addUnpaidStrike(buyerId, auctionId);
+            await cacheService.invalidateAuctionCache(auctionId);
+
+            notificationEventService.notifySecondChanceAvailable(auction.seller, auction)
+                .catch(err => logger.error('Failed to send second-chance available notification:', err.message));
+
+            logger.warn(`Auction ${auctionId} unpaid by winner ${buyerId} - strike recorded`);
+
+            return { unpaid: true };
+        } catch (error) {
+            logger.error(`Error handling payment deadline for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a second-chance offer to the next-highest bidder (seller only)
+     * The offer is made at that bidder's own highest bid
+     * @param {string} auctionId - Auction ID
+     * @param {string} sellerId - Seller user ID
+     * @returns {Promise<Object>} - Created offer
+     */
+    async createOffer(auctionId, sellerId) {
+        try {
+            const auction = await auctionRepository.findById(auctionId);
+            if (!auction) {
+                throw new Error('AUCTION_NOT_FOUND');
+            }
+
+            if (auction.seller.toString() !== sellerId.toString()) {
+                throw new Error('UNAUTHORIZED_NOT_SELLER');
+            }
+
+            if (auction.status !== 'closed') {
+                throw new Error('AUCTION_NOT_CLOSED');
+            }
+
+            const unpaidBidders = await bidRepository.findUnpaidBidders(auctionId);
+            if (auction.bidding.winner || unpaidBidders.length === 0) {
+                throw new Error('NO_UNPAID_WINNER');
+            }
+
+            const pending = await secondChanceOfferRepository.findPendingByAuction(auctionId);
+            if (pending) {
+                if (new Date(pending.expiresAt) > new Date()) {
+                    throw new Error('OFFER_ALREADY_PENDING');
+                }
+                await secondChanceOfferRepository.transition(pending._id, 'pending', { status: 'expired' });
+            }
+
+            const offeredBidders = await secondChanceOfferRepository.findOfferedBidders(auctionId);
+            const runnerUp = await bidRepository.findRunnerUpBid(auctionId, [...unpaidBidders, ...offeredBidders]);
+            if (!runnerUp) {
+                throw new Error('NO_ELIGIBLE_BIDDER');
+            }
+
+            const offer = await secondChanceOfferRepository.create({
+                auction: auctionId,
+                seller: sellerId,
+                bidder: runnerUp.bidder._id,
+                bid: runnerUp._id,
+                amount: runnerUp.amount,
+                expiresAt: new Date(Date.now() + SECOND_CHANCE_OFFER_HOURS * 60 * 60 * 1000)
+            });
+
+            notificationEventService.notifySecondChanceOffer(offer.bidder, auction, offer)
+                .catch(err => logger.error('Failed to send second-chance offer notification:', err.message));
+
+            logger.info(`Second-chance offer ${offer._id} sent to bidder ${offer.bidder} for auction ${auctionId}`);
+
+            return offer;
+        } catch (error) {
+            logger.error(`Error creating second-chance offer for auction ${auctionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Accept a second-chance offer (offered bidder only)
+     * The bidder becomes the auction winner and must pay within the deadline
+     * @param {string} offerId - Offer ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object>} - Accepted offer
+     */
+    async acceptOffer(offerId, bidderId) {
+        try {
+            const current = await this.getOpenOffer(offerId, bidderId);
+
+            const offer = await secondChanceOfferRepository.transition(offerId, 'pending', {
+                status: 'accepted',
+                respondedAt: new Date()
+            });
+            if (!offer) {
+                throw new Error('OFFER_NOT_PENDING');
+            }
+
+            const auction = await auctionRepository.assignSecondChanceWinner(current.auction, bidderId, offer.amount);
+            if (!auction) {
+                // Someone else holds the item; put the offer back out of play
+                await secondChanceOfferRepository.transition(offerId, 'accepted', { status: 'expired' });
+                throw new Error('OFFER_NOT_PENDING');
+            }
+
+            await bidRepository.updateStatus(offer.bid, 'won');
+
+            await userRepository.incrementStats(bidderId, {
+                auctionsWon: 1,
+                totalSpent: offer.amount
+            });
+
+            try {
+                await ledgerService.openEscrow({
+                    auctionId: auction._id,
+                    buyerId: bidderId,
+                    sellerId: auction.seller,
+                    amount: offer.amount
+                });
+            } catch (ledgerError) {
+                logger.error(`Failed to open escrow for auction ${auction._id}:`, ledgerError.message);
+            }
+
+            await this.schedulePaymentDeadline(auction._id, bidderId);
+            await cacheService.invalidateAuctionCache(auction._id);
+
+            notificationEventService.notifySecondChanceResponse(auction.seller, auction, offer)
+                .catch(err => logger.error('Failed to send second-chance response notification:', err.message));
+
+            logger.info(`Second-chance offer ${offerId} accepted by bidder ${bidderId}`);
+
+            return offer;
+        } catch (error) {
+            logger.error(`Error accepting second-chance offer ${offerId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Decline a second-chance offer (offered bidder only)
+     * @param {string} offerId - Offer ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object>} - Declined offer
+     */
+    async declineOffer(offerId, bidderId) {
+        try {
+            await this.getOpenOffer(offerId, bidderId);
+
+            const offer = await secondChanceOfferRepository.transition(offerId, 'pending', {
+                status: 'declined',
+                respondedAt: new Date()
+            });
+            if (!offer) {
+                throw new Error('OFFER_NOT_PENDING');
+            }
+
+            const auction = await auctionRepository.findById(offer.auction);
+
+            notificationEventService.notifySecondChanceResponse(offer.seller, auction, offer)
+                .catch(err => logger.error('Failed to send second-chance response notification:', err.message));
+
+            logger.info(`Second-chance offer ${offerId} declined by bidder ${bidderId}`);
+
+            return offer;
+        } catch (error) {
+            logger.error(`Error declining second-chance offer ${offerId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load an offer the bidder can still answer
+     * Expires the offer if its time has run out
+     * @param {string} offerId - Offer ID
+     * @param {string} bidderId - Bidder user ID
+     * @returns {Promise<Object>} - Pending offer
+     */
+    async getOpenOffer(offerId, bidderId) {
+        const offer = await secondChanceOfferRepository.findById(offerId);
+        if (!offer) {
+            throw new Error('OFFER_NOT_FOUND');
+        }
+
+        if (offer.bidder.toString() !== bidderId.toString()) {
+            throw new Error('UNAUTHORIZED_NOT_BIDDER');
+        }
+
+        if (offer.status !== 'pending') {
+            throw new Error('OFFER_NOT_PENDING');
+        }
+
+        if (new Date(offer.expiresAt) <= new Date()) {
+            await secondChanceOfferRepository.transition(offerId, 'pending', { status: 'expired' });
+            throw new Error('OFFER_EXPIRED');
+        }
+
+        return offer;
+    }
+
+    /**
+     * Get an offer (offered bidder, seller or admin only)
+     * @param {string} offerId - Offer ID
+     * @param {Object} user - Requesting user ({ id, role })
+     * @returns {Promise<Object>} - Offer
+     */
+    async getOfferById(offerId, user) {
+        try {
+            const offer = await secondChanceOfferRepository.findById(offerId, [
+                { path: 'auction', select: 'title images status' }
+            ]);
+            if (!offer) {
+                throw new Error('OFFER_NOT_FOUND');
+            }
+
+            const canAccess = user.role === 'admin' ||
+                offer.bidder.toString() === user.id.toString() ||
+                offer.seller.toString() === user.id.toString();
+            if (!canAccess) {
+                throw new Error('UNAUTHORIZED_ACCESS');
+            }
+
+            return offer;
+        } catch (error) {
+            logger.error(`Error getting second-chance offer ${offerId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new SecondChanceService();
@@ -0,0 +1,210 @@
+import sessionRepository from '../repositories/session.repository.js';
+import refreshTokenRepository from '../repositories/refresh-token.repository.js';
+import logger from '../config/logger.js';
+
+// Session last-seen time is written at most this often per session
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Derive a coarse device description from a user agent string
+ * @param {string} userAgent - User agent header
+ * @returns {Object} - { browser, os, type }
+ */
+const parseDevice = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/],
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad|iPod/],
+        ['macOS', /Mac OS X|Macintosh/],
+        ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const os = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    let type = 'unknown';
+    if (/iPad|Tablet/.test(userAgent)) {
+        type = 'tablet';
+    } else if (/Mobi|iPhone|Android/.test(userAgent)) {
+        type = 'mobile';
+    } else if (browser) {
+        type = 'desktop';
+    }
+
+    return {
+        browser: browser ? browser[0] : 'Unknown',
+        os: os ? os[0] : 'Unknown',
+        type
+    };
+};
+
+/**
+ * SessionService - Business logic for logged-in devices
+ * A session lives as long as its refresh token family; revoking it revokes
+ * the family and makes authenticate reject the session's access tokens
+ */
+class SessionService {
+    /**
+     * Generate the ID for a session about to be created
+     * @returns {string} - Session ID
+     */
+    generateSessionId() {
+        return sessionRepository.generateId();
+    }
+
+    /**
+     * Start a session for a new login
+     * @param {string} sessionId - Session ID (from generateSessionId)
+     * @param {string} userId - User ID
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @param {Date} expiresAt - When the first refresh token expires
+     * @returns {Promise<Object>} - Created session
+     */
+    async createSession(sessionId, userId, metadata = {}, expiresAt) {
+        try {
+            return await sessionRepository.create({
+                _id: sessionId,
+                user: userId,
+                device: parseDevice(metadata.userAgent),
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                lastSeenAt: new Date(),
+                expiresAt
+            });
+        } catch (error) {
+            logger.error(`Error creating session for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a token refresh on a session (new IP and a later expiry)
+     * @param {string} sessionId - Session ID
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @param {Date} expiresAt - When the new refresh token expires
+     */
+    async recordRefresh(sessionId, metadata = {}, expiresAt) {
+        try {
+            await sessionRepository.touch(sessionId, {
+                lastSeenAt: new Date(),
+                ...(metadata.ipAddress && { ipAddress: metadata.ipAddress }),
+                expiresAt
+            });
+        } catch (error) {
+            logger.error(`Error recording refresh on session ${sessionId}:`, error.message);
+            // Don't throw error, the refresh itself succeeded
+        }
+    }
+
+    /**
+     * Check that a session is still active and note that it was seen
+     * @param {string} sessionId - Session ID (the access token's sid claim)
+     * @param {string} userId - User ID the token was issued to
+     * @param {Object} metadata - Request metadata (ipAddress)
+     * @returns {Promise<boolean>} - Whether the session may be used
+     */
+    async validateSession(sessionId, userId, metadata = {}) {
+        try {
+            const session = await sessionRepository.findById(sessionId);
+            if (!session || session.status !== 'active' || session.user.toString() !== userId.toString()) {
+                return false;
+            }
+
+            if (Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+                sessionRepository.touch(
+                    sessionId,
+                    {
+                        lastSeenAt: new Date(),
+                        ...(metadata.ipAddress && { ipAddress: metadata.ipAddress })
+                    },
+                    new Date(Date.now() - SESSION_TOUCH_INTERVAL_MS)
+                ).catch(error => logger.error(`Error touching session ${sessionId}:`, error.message));
+            }
+
+            return true;
+        } catch (error) {
+            logger.error(`Error validating session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List a user's active sessions
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session of the request, flagged as current
+     * @returns {Promise<Array>} - Sessions
+     */
+    async listSessions(userId, currentSessionId = null) {
+        try {
+            const sessions = await sessionRepository.findActiveByUser(userId);
+
+            return sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                ipAddress: session.ipAddress,
+                userAgent: session.userAgent,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+            }));
+        } catch (error) {
+            logger.error(`Error listing sessions for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<Object>} - Revoked session
+     */
+    async revokeSession(userId, sessionId, reason = 'user_revoked') {
+        try {
+            const session = await sessionRepository.findById(sessionId);
+            if (!session || session.user.toString() !== userId.toString()) {
+                throw new Error('SESSION_NOT_FOUND');
+            }
+
+            if (session.status !== 'active') {
+                throw new Error('SESSION_ALREADY_REVOKED');
+            }
+
+            const revokedSession = await sessionRepository.revoke(sessionId, reason);
+            await refreshTokenRepository.revokeFamily(sessionId.toString(), reason === 'user_revoked' ? 'logout' : reason);
+
+            return revokedSession || session;
+        } catch (error) {
+            logger.error(`Error revoking session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every session of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    async revokeAllSessions(userId, reason) {
+        try {
+            const sessionIds = await sessionRepository.revokeAllForUser(userId, reason);
+            await refreshTokenRepository.revokeAllForUser(userId, reason);
+
+            return sessionIds.length;
+        } catch (error) {
+            logger.error(`Error revoking sessions for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new SessionService();
@@ -0,0 +1,201 @@
+import auctionRepository from '../repositories/auction.repository.js';
+import bidRepository from '../repositories/bid.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import auditService from './audit.service.js';
+import logger from '../config/logger.js';
+
+const SHILL_LOOKBACK_DAYS = parseFloat(process.env.SHILL_LOOKBACK_DAYS ?? 90);
+const SHILL_MIN_BIDS = parseFloat(process.env.SHILL_MIN_BIDS ?? 5);
+const SHILL_SELLER_CONCENTRATION = parseFloat(process.env.SHILL_SELLER_CONCENTRATION ?? 0.7);
+const SHILL_MIN_AUCTIONS = parseFloat(process.env.SHILL_MIN_AUCTIONS ?? 3);
+const SHILL_OUTBID_RATIO = parseFloat(process.env.SHILL_OUTBID_RATIO ?? 0.9);
+const SHILL_FLAG_THRESHOLD = parseFloat(process.env.SHILL_FLAG_THRESHOLD ?? 0.6);
+
+// Score contributed by each rule; a bidder's risk score is their sum, capped at 1
+const RULE_WEIGHTS = {
+    shill_seller_concentration: 0.35,
+    shill_shared_ip: 0.45,
+    shill_shared_user_agent: 0.15,
+    shill_price_pushing: 0.35
+};
+
+const USER_SUMMARY_FIELDS = 'email profile.firstName profile.lastName';
+
+/**
+ * ShillDetectionService - Rule-based shill-bidding detection
+ * Looks across bid and audit history for bidders who appear to be bidding
+ * up a seller's auctions on the seller's behalf
+ */
+class ShillDetectionService {
+    /**
+     * Score bidders on a seller's recent auctions
+     * @param {string} sellerId - Seller user ID
+     * @param {Array<string>|null} bidderIds - Only score these bidders (null for all)
+     * @returns {Promise<Object>} - { auctionsAnalyzed, suspects: [{ bidder, riskScore, reasons, evidence }] }
+     */
+    async evaluateBidders(sellerId, bidderIds = null) {
+        try {
+            const since = new Date(Date.now() - SHILL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+            const auctions = await auctionRepository.findRecentBySeller(sellerId, since);
+
+            if (auctions.length === 0) {
+                return { auctionsAnalyzed: 0, suspects: [] };
+            }
+
+            const activity = (await bidRepository.summarizeBiddersOnAuctions(
+                auctions.map(auction => auction._id),
+                bidderIds
+            )).filter(entry => entry.bidder.toString() !== sellerId.toString());
+
+            if (activity.length === 0) {
+                return { auctionsAnalyzed: auctions.length, suspects: [] };
+            }
+
+            const activeBidderIds = activity.map(entry => entry.bidder.toString());
+            const [totals, fingerprints] = await Promise.all([
+                bidRepository.countByBiddersSince(activeBidderIds, since),
+                auditService.getUserFingerprints([sellerId.toString(), ...activeBidderIds], since)
+            ]);
+
+            const totalBids = new Map(totals.map(entry => [entry.bidder.toString(), entry.count]));
+            const sellerPrints = fingerprints.get(sellerId.toString()) || { ipAddresses: [], userAgents: [] };
+
+            const suspects = activity
+                .map(entry => this.scoreBidder(entry, {
+                    totalBids: totalBids.get(entry.bidder.toString()) || entry.bids,
+                    bidderPrints: fingerprints.get(entry.bidder.toString()),
+                    sellerPrints
+                }))
+                .filter(suspect => suspect.reasons.length > 0);
+
+            return { auctionsAnalyzed: auctions.length, suspects };
+        } catch (error) {
+            logger.error(`Error evaluating shill bidders for seller ${sellerId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply the shill rules to one bidder's activity on a seller's auctions
+     * @param {Object} entry - Bidder activity (bids, auctions, wins, outbid, ipAddresses, userAgents)
+     * @param {Object} context - { totalBids, bidderPrints, sellerPrints }
+     * @returns {Object} - { bidder, riskScore, reasons, evidence }
+     */
+    scoreBidder(entry, { totalBids, bidderPrints, sellerPrints }) {
+        const reasons = [];
+        const auctionCount = entry.auctions.length;
+        const concentration = totalBids > 0 ? entry.bids / totalBids : 0;
+
+        // Most of the bidder's bids go to this one seller
+        if (totalBids >= SHILL_MIN_BIDS && concentration >= SHILL_SELLER_CONCENTRATION) {
+            reasons.push('shill_seller_concentration');
+        }
+
+        // Bidder and seller have used the same IP addresses or browsers
+        const ipAddresses = new Set([...entry.ipAddresses, ...(bidderPrints?.ipAddresses || [])].filter(Boolean));
+        const userAgents = new Set([...entry.userAgents, ...(bidderPrints?.userAgents || [])].filter(Boolean));
+        const sharedIpAddresses = sellerPrints.ipAddresses.filter(ip => ipAddresses.has(ip));
+        const sharedUserAgents = sellerPrints.userAgents.filter(agent => userAgents.has(agent));
+
+        if (sharedIpAddresses.length > 0) {
+            reasons.push('shill_shared_ip');
+        }
+        if (sharedUserAgents.length > 0) {
+            reasons.push('shill_shared_user_agent');
+        }
+
+        // Bidder keeps raising the price across auctions but never wins
+        const outbidRatio = entry.bids > 0 ? entry.outbid / entry.bids : 0;
+        if (auctionCount >= SHILL_MIN_AUCTIONS && entry.wins === 0 && outbidRatio >= SHILL_OUTBID_RATIO) {
+            reasons.push('shill_price_pushing');
+        }
+
+        const riskScore = Math.min(
+            1,
+            reasons.reduce((score, reason) => score + RULE_WEIGHTS[reason], 0)
+        );
+
+        return {
+            bidder: entry.bidder,
+            riskScore: Math.round(riskScore * 100) / 100,
+            reasons,
+            evidence: {
+                bidsOnSeller: entry.bids,
+                totalBids,
+                sellerConcentration: Math.round(concentration * 100) / 100,
+                auctionsBidOn: auctionCount,
+                wins: entry.wins,
+                outbidRatio: Math.round(outbidRatio * 100) / 100,
+                sharedIpAddresses,
+                sharedUserAgents
+            }
+        };
+    }
+
+    /**
+     * Score a new bid's bidder against the auction's seller
+     * @param {Object} bid - Placed bid (bidder)
+     * @param {string} sellerId - Seller of the auction the bid was placed on
+     * @returns {Promise<Object>} - { riskScore, isSuspect, reasons, evidence }
+     */
+    async analyzeBid(bid, sellerId) {
+        try {
+            const { suspects } = await this.evaluateBidders(sellerId, [bid.bidder.toString()]);
+            const suspect = suspects[0];
+
+            if (!suspect) {
+                return { riskScore: 0, isSuspect: false, reasons: [] };
+            }
+
+            return {
+                riskScore: suspect.riskScore,
+                isSuspect: suspect.riskScore >= SHILL_FLAG_THRESHOLD,
+                reasons: suspect.reasons,
+                evidence: suspect.evidence
+            };
+        } catch (error) {
+            logger.error(`Error checking bid ${bid._id} for shill bidding:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a shill-bidding report for a seller, highest risk first
+     * @param {string} sellerId - Seller user ID
+     * @returns {Promise<Object>} - Report with the suspected bidders
+     */
+    async getSellerReport(sellerId) {
+        try {
+            const seller = await userRepository.findById(sellerId, USER_SUMMARY_FIELDS);
+            if (!seller) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            const { auctionsAnalyzed, suspects } = await this.evaluateBidders(sellerId);
+
+            const bidders = await Promise.all(
+                suspects.map(suspect => userRepository.findById(suspect.bidder, USER_SUMMARY_FIELDS))
+            );
+
+            return {
+                seller,
+                generatedAt: new Date(),
+                lookbackDays: SHILL_LOOKBACK_DAYS,
+                flagThreshold: SHILL_FLAG_THRESHOLD,
+                auctionsAnalyzed,
+                suspects: suspects
+                    .map((suspect, index) => ({
+                        ...suspect,
+                        bidder: bidders[index] || { _id: suspect.bidder },
+                        flagged: suspect.riskScore >= SHILL_FLAG_THRESHOLD
+                    }))
+                    .sort((a, b) => b.riskScore - a.riskScore)
+            };
+        } catch (error) {
+            logger.error(`Error building shill report for seller ${sellerId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+export default new ShillDetectionService();
@@ -0,0 +1,224 @@
+import { redisClient } from '../config/redis.config.js';
+import eventLogService from './event-log.service.js';
+import logger from '../config/logger.js';
+
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS ?? 15000, 10);
+const SSE_RETRY_MS = parseInt(process.env.SSE_RETRY_MS ?? 5000, 10);
+const SSE_CHANNEL = 'sse:events';
+
+/**
+ * SseService - Server-Sent Events streams for clients that cannot use Socket.IO
+ * Streams mirror the socket rooms (`auction:<id>`, `user:<id>`). Events are
+ * fanned out to every instance over Redis pub/sub, and event IDs are the
+ * stream's event log sequence so clients can resume with Last-Event-ID
+ */
+class SseService {
+    constructor() {
+        // Stream name -> Set of open connections on this instance
+        this.streams = new Map();
+        this.subscriber = null;
+        this.heartbeat = null;
+    }
+
+    /**
+     * Subscribe to stream events from all instances and start heartbeats
+     */
+    async start() {
+        if (this.subscriber) {
+            return;
+        }
+
+        try {
+            this.subscriber = redisClient.duplicate();
+            await this.subscriber.subscribe(SSE_CHANNEL);
+
+            this.subscriber.on('message', (channel, message) => {
+                try {
+                    const { stream, id, event, data } = JSON.parse(message);
+                    this.deliver(stream, { id, event, data });
+                } catch (error) {
+                    logger.error('Error handling SSE message:', error.message);
+                }
+            });
+        } catch (error) {
+            logger.error('SSE subscriber setup failed, streams will only carry local events:', error.message);
+            this.subscriber = null;
+        }
+
+        this.heartbeat = setInterval(() => {
+            for (const connections of this.streams.values()) {
+                for (const connection of connections) {
+                    connection.res.write(`: heartbeat ${Date.now()}\n\n`);
+                }
+            }
+        }, SSE_HEARTBEAT_MS);
+        // Heartbeats alone should not keep the process alive during shutdown
+        this.heartbeat.unref();
+
+        logger.info(`SSE service started (heartbeat every ${SSE_HEARTBEAT_MS}ms)`);
+    }
+
+    /**
+     * Close every open stream and stop listening for events
+     */
+    async stop() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+
+        for (const connections of this.streams.values()) {
+            for (const connection of connections) {
+                connection.res.end();
+            }
+        }
+        this.streams.clear();
+
+        if (this.subscriber) {
+            await this.subscriber.quit();
+            this.subscriber = null;
+        }
+
+        logger.info('SSE service stopped');
+    }
+
+    /**
+     * Open an event stream on a response
+     * Events missed since Last-Event-ID (header, or lastEventId query for the
+     * first connection) are replayed first. If some were already dropped from
+     * the log a `resync` event tells the client to reload its state
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {string} stream - Stream name
+     */
+    async open(req, res, stream) {
+        // Streams stay open well past the normal request timeout
+        req.setTimeout(0);
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+        // Live events are held back until the replay has been written
+        const connection = { res, queue: [] };
+        this.add(stream, connection);
+
+        req.on('close', () => {
+            this.remove(stream, connection);
+        });
+
+        const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+        let replayedUpTo = 0;
+
+        if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+            try {
+                const { events, latestSeq, complete } = await eventLogService.getSince(stream, lastEventId);
+
+                if (!complete) {
+                    this.write(res, { event: 'resync', data: { latestSeq } });
+                }
+
+                for (const entry of events) {
+                    this.write(res, { id: entry.seq, event: entry.event, data: entry.data });
+                }
+                replayedUpTo = latestSeq;
+            } catch (error) {
+                logger.error(`Error replaying ${stream} from ${lastEventId}:`, error.message);
+                this.write(res, { event: 'resync', data: { latestSeq: null } });
+            }
+        }
+
+        // Skip queued events the replay already covered
+        for (const message of connection.queue) {
+            if (!message.id || message.id > replayedUpTo) {
+                this.write(res, message);
+            }
+        }
+        connection.queue = null;
+    }
+
+    /**
+     * Send an event to a stream's clients on every instance
+     * @param {string} stream - Stream name
+     * @param {Object} message - { id, event, data } (id is the event log sequence, if logged)
+     */
+    async publish(stream, message) {
+        try {
+            await redisClient.publish(SSE_CHANNEL, JSON.stringify({ stream, ...message }));
+        } catch (error) {
+            logger.error(`Error publishing SSE event to ${stream}:`, error.message);
+            // Other instances miss this one, but local clients still get it
+            this.deliver(stream, message);
+        }
+    }
+
+    /**
+     * Write an event to this instance's clients of a stream
+     * @param {string} stream - Stream name
+     * @param {Object} message - { id, event, data }
+     */
+    deliver(stream, message) {
+        const connections = this.streams.get(stream);
+        if (!connections) {
+            return;
+        }
+
+        for (const connection of connections) {
+            if (connection.queue) {
+                connection.queue.push(message);
+            } else {
+                this.write(connection.res, message);
+            }
+        }
+    }
+
+    /**
+     * Format and write one event
+     * @param {Object} res - Express response
+     * @param {Object} message - { id, event, data }
+     */
+    write(res, { id, event, data }) {
+        const lines = [];
+        if (id) {
+            lines.push(`id: ${id}`);
+        }
+        lines.push(`event: ${event}`);
+        lines.push(`data: ${JSON.stringify(data)}`);
+
+        res.write(`${lines.join('\n')}\n\n`);
+    }
+
+    /**
+     * Track an open connection
+     * @param {string} stream - Stream name
+     * @param {Object} connection - Connection
+     */
+    add(stream, connection) {
+        if (!this.streams.has(stream)) {
+            this.streams.set(stream, new Set());
+        }
+        this.streams.get(stream).add(connection);
+    }
+
+    /**
+     * Forget a closed connection
+     * @param {string} stream - Stream name
+     * @param {Object} connection - Connection
+     */
+    remove(stream, connection) {
+        const connections = this.streams.get(stream);
+        if (!connections) {
+            return;
+        }
+
+        connections.delete(connection);
+        if (connections.size === 0) {
+            this.streams.delete(stream);
+        }
+    }
+}
+
+export default new SseService();
@@ -0,0 +1,387 @@
+import crypto from 'crypto';
+import User from '../models/user.model.js';
+import auditService from './audit.service.js';
+import logger from '../config/logger.js';
+import { redisClient } from '../config/redis.config.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import {
+    TWO_FACTOR_ISSUER,
+    TWO_FACTOR_MAX_ATTEMPTS,
+    TWO_FACTOR_LOCKOUT_SECONDS,
+    RECOVERY_CODE_COUNT
+} from '../config/two-factor.config.js';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Build the Redis key counting a user's failed 2FA login codes
+ * @param {string} userId - User ID
+ * @returns {string} - Counter key
+ */
+const challengeFailuresKey = (userId) => `2fa:challenge:failures:${userId}`;
+
+/**
+ * Hash a recovery code for storage/comparison (case and dash insensitive)
+ * @param {string} code - Recovery code
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).replace(/-/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {Array<string>} - Plain codes formatted xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * TwoFactorService - Business logic for TOTP two-factor authentication
+ * Handles enrollment, verification, recovery codes and admin requirements
+ */
+class TwoFactorService {
+    /**
+     * Start enrollment: generate a secret and the otpauth URI to scan
+     * @param {string} userId - User ID
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - { secret, otpauthUri }
+     */
+    async enroll(userId, metadata = {}) {
+        try {
+            const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            if (user.twoFactor?.enabled) {
+                throw new Error('TWO_FACTOR_ALREADY_ENABLED');
+            }
+
+            const secret = generateSecret();
+            user.twoFactor.pendingSecret = secret;
+            await user.save();
+
+            await auditService.logTwoFactorEvent({
+                userId: user._id,
+                email: user.email,
+                action: 'AUTH_2FA_ENROLL',
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: '/api/v1/auth/2fa/enroll'
+            });
+
+            logger.info(`2FA enrollment started for user: ${user.email}`);
+
+            return {
+                secret,
+                otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+            };
+        } catch (error) {
+            logger.error(`2FA enrollment error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Finish enrollment with the first code from the authenticator app
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - { recoveryCodes } shown to the user once
+     */
+    async confirmEnrollment(userId, code, metadata = {}) {
+        try {
+            const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            if (user.twoFactor?.enabled) {
+                throw new Error('TWO_FACTOR_ALREADY_ENABLED');
+            }
+
+            if (!user.twoFactor?.pendingSecret) {
+                throw new Error('TWO_FACTOR_NOT_ENROLLED');
+            }
+
+            const step = verifyCode(user.twoFactor.pendingSecret, code);
+
+            await auditService.logTwoFactorEvent({
+                userId: user._id,
+                email: user.email,
+                action: 'AUTH_2FA_ENABLE',
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: '/api/v1/auth/2fa/verify',
+                success: step !== null
+            });
+
+            if (step === null) {
+                throw new Error('INVALID_TWO_FACTOR_CODE');
+            }
+
+            const recoveryCodes = generateRecoveryCodes();
+
+            user.twoFactor.secret = user.twoFactor.pendingSecret;
+            user.twoFactor.pendingSecret = undefined;
+            user.twoFactor.enabled = true;
+            user.twoFactor.enabledAt = new Date();
+            user.twoFactor.lastUsedStep = step;
+            user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+            await user.save();
+
+            logger.info(`2FA enabled for user: ${user.email}`);
+
+            return { recoveryCodes };
+        } catch (error) {
+            logger.error(`2FA verification error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a TOTP or recovery code for a user with 2FA enabled
+     * Accepted TOTP steps and recovery codes cannot be used again
+     * @param {Object} user - User document loaded with the 2FA fields
+     * @param {string} code - TOTP code or recovery code
+     * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null if invalid
+     */
+    async consumeCode(user, code) {
+        const step = verifyCode(user.twoFactor.secret, code, { afterStep: user.twoFactor.lastUsedStep ?? -1 });
+        if (step !== null) {
+            // Conditional on the stored step, so the same code cannot win twice concurrently
+            const result = await User.updateOne(
+                {
+                    _id: user._id,
+                    $or: [
+                        { 'twoFactor.lastUsedStep': { $lt: step } },
+                        { 'twoFactor.lastUsedStep': { $exists: false } }
+                    ]
+                },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+            return result.modifiedCount === 1 ? 'totp' : null;
+        }
+
+        const codeHash = hashRecoveryCode(code);
+        if (!(user.twoFactor.recoveryCodes || []).includes(codeHash)) {
+            return null;
+        }
+
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+            { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+        );
+        return result.modifiedCount === 1 ? 'recovery_code' : null;
+    }
+
+    /**
+     * Turn 2FA off (needs the password and a current code)
+     * @param {string} userId - User ID
+     * @param {string} password - Current password
+     * @param {string} code - TOTP code or recovery code
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     */
+    async disable(userId, password, code, metadata = {}) {
+        try {
+            const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            if (!user.twoFactor?.enabled) {
+                throw new Error('TWO_FACTOR_NOT_ENABLED');
+            }
+
+            if (user.twoFactor.required) {
+                throw new Error('TWO_FACTOR_REQUIRED');
+            }
+
+            const passwordValid = await user.comparePassword(password);
+            const method = passwordValid ? await this.consumeCode(user, code) : null;
+
+            await auditService.logTwoFactorEvent({
+                userId: user._id,
+                email: user.email,
+                action: 'AUTH_2FA_DISABLE',
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: '/api/v1/auth/2fa/disable',
+                success: method !== null,
+                details: method ? { method } : null
+            });
+
+            if (!passwordValid) {
+                throw new Error('INVALID_CREDENTIALS');
+            }
+
+            if (!method) {
+                throw new Error('INVALID_TWO_FACTOR_CODE');
+            }
+
+            await User.updateOne(
+                { _id: user._id },
+                {
+                    $set: { 'twoFactor.enabled': false },
+                    $unset: {
+                        'twoFactor.secret': '',
+                        'twoFactor.recoveryCodes': '',
+                        'twoFactor.lastUsedStep': '',
+                        'twoFactor.enabledAt': ''
+                    }
+                }
+            );
+
+            logger.info(`2FA disabled for user: ${user.email}`);
+        } catch (error) {
+            logger.error(`2FA disable error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the recovery codes (needs a current code)
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - { recoveryCodes } shown to the user once
+     */
+    async regenerateRecoveryCodes(userId, code, metadata = {}) {
+        try {
+            const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            if (!user.twoFactor?.enabled) {
+                throw new Error('TWO_FACTOR_NOT_ENABLED');
+            }
+
+            const method = await this.consumeCode(user, code);
+
+            await auditService.logTwoFactorEvent({
+                userId: user._id,
+                email: user.email,
+                action: 'AUTH_2FA_RECOVERY_CODES',
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: '/api/v1/auth/2fa/recovery-codes',
+                success: method !== null
+            });
+
+            if (!method) {
+                throw new Error('INVALID_TWO_FACTOR_CODE');
+            }
+
+            const recoveryCodes = generateRecoveryCodes();
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+            );
+
+            logger.info(`2FA recovery codes regenerated for user: ${user.email}`);
+
+            return { recoveryCodes };
+        } catch (error) {
+            logger.error(`2FA recovery code error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Require (or stop requiring) 2FA for a user
+     * @param {string} adminId - Admin user ID
+     * @param {string} userId - Target user ID
+     * @param {boolean} required - Whether 2FA is required
+     * @param {Object} metadata - Request metadata (ipAddress, userAgent)
+     * @returns {Promise<Object>} - { required, enabled }
+     */
+    async setRequirement(adminId, userId, required, metadata = {}) {
+        try {
+            const user = await User.findByIdAndUpdate(
+                userId,
+                { $set: { 'twoFactor.required': required } },
+                { new: true }
+            ).lean();
+
+            if (!user) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            await auditService.logTwoFactorEvent({
+                userId: adminId,
+                action: 'AUTH_2FA_REQUIREMENT',
+                ipAddress: metadata.ipAddress,
+                userAgent: metadata.userAgent,
+                path: `/api/v1/users/${userId}/two-factor-requirement`,
+                details: { targetUser: userId, required }
+            });
+
+            logger.info(`2FA ${required ? 'required' : 'no longer required'} for user ${userId} by admin ${adminId}`);
+
+            return {
+                required: user.twoFactor.required,
+                enabled: user.twoFactor.enabled
+            };
+        } catch (error) {
+            logger.error(`2FA requirement error for ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a user is locked out of the second login step
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} - True once the failure limit has been reached
+     */
+    async isChallengeLocked(userId) {
+        try {
+            const failures = parseInt(await redisClient.get(challengeFailuresKey(userId)), 10) || 0;
+            return failures >= TWO_FACTOR_MAX_ATTEMPTS;
+        } catch (error) {
+            logger.error(`Error reading 2FA failures for user ${userId}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Count a wrong code at the second login step
+     * The window starts at the first failure and, once the limit is hit,
+     * doubles as the lockout
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - { failures, locked }
+     */
+    async recordChallengeFailure(userId) {
+        try {
+            const key = challengeFailuresKey(userId);
+            const failures = await redisClient.incr(key);
+
+            if (failures === 1 || failures === TWO_FACTOR_MAX_ATTEMPTS) {
+                await redisClient.expire(key, TWO_FACTOR_LOCKOUT_SECONDS);
+            }
+
+            return { failures, locked: failures >= TWO_FACTOR_MAX_ATTEMPTS };
+        } catch (error) {
+            logger.error(`Error counting 2FA failure for user ${userId}:`, error.message);
+            return { failures: 0, locked: false };
+        }
+    }
+
+    /**
+     * Forget a user's failed codes after a successful second login step
+     * @param {string} userId - User ID
+     */
+    async clearChallengeFailures(userId) {
+        try {
+            await redisClient.del(challengeFailuresKey(userId));
+        } catch (error) {
+            logger.error(`Error clearing 2FA failures for user ${userId}:`, error.message);
+        }
+    }
+}
+
+export default new TwoFactorService();
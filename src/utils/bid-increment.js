@@ -0,0 +1,93 @@
+import {
+    DEFAULT_BID_INCREMENT_RULE,
+    CATEGORY_BID_INCREMENT_RULES
+} from '../config/bid-increment.config.js';
+
+/**
+ * Bid increment utility functions
+ */
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Resolve the increment rule that applies to an auction
+ * Auction rule first, then category default, then platform default
+ * @param {Object} auction - Auction object
+ * @returns {Object} - Increment rule
+ */
+export const resolveIncrementRule = (auction) => {
+    const rule = auction.pricing?.bidIncrement;
+    if (rule && rule.mode) {
+        return rule;
+    }
+
+    const category = (auction.category || '').toLowerCase();
+    return CATEGORY_BID_INCREMENT_RULES[category] || DEFAULT_BID_INCREMENT_RULE;
+};
+
+/**
+ * Get the minimum step over a given price
+ * @param {Object} auction - Auction object
+ * @param {number} price - Price being bid over (defaults to current price)
+ * @returns {number} - Bid increment
+ */
+export const getBidIncrement = (auction, price = auction.pricing.currentPrice) => {
+    const rule = resolveIncrementRule(auction);
+
+    if (rule.mode === 'fixed') {
+        return rule.amount;
+    }
+
+    const tiers = [...rule.tiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+    const tier = tiers.find(t => t.upTo === undefined || t.upTo === null || price < t.upTo)
+        || tiers[tiers.length - 1];
+
+    return tier.increment;
+};
+
+/**
+ * Get the lowest bid an auction currently accepts
+ * The opening bid may equal the starting price; after that each bid must
+ * clear the current price by the increment
+ * @param {Object} auction - Auction object
+ * @returns {number} - Next minimum acceptable bid
+ */
+export const getNextMinimumBid = (auction) => {
+    // No standing bid (none yet, or all retracted)
+    if (!auction.bidding?.totalBids || !auction.bidding.highestBid) {
+        return roundAmount(auction.pricing.startingPrice);
+    }
+
+    const price = auction.pricing.currentPrice;
+    return roundAmount(price + getBidIncrement(auction, price));
+};
+
+/**
+ * Validate an increment rule's shape
+ * @param {Object} rule - Increment rule
+ * @returns {boolean} - True if valid
+ */
+export const isValidIncrementRule = (rule) => {
+    if (!rule || !rule.mode) {
+        return true;
+    }
+
+    if (rule.mode === 'fixed') {
+        return typeof rule.amount === 'number' && rule.amount > 0;
+    }
+
+    if (rule.mode === 'tiered') {
+        const tiers = rule.tiers || [];
+        const openEnded = tiers.filter(t => t.upTo === undefined || t.upTo === null);
+        return tiers.length > 0 &&
+            openEnded.length <= 1 &&
+            tiers.every(t => typeof t.increment === 'number' && t.increment > 0);
+    }
+
+    return false;
+};
@@ -3,7 +3,10 @@ import {
     emailQueue,
     aiWebhookQueue,
     analyticsQueue,
-    auctionExpirationQueue
+    auctionExpirationQueue,
+    paymentDeadlineQueue,
+    auctionReminderQueue,
+    auctionStartQueue
 } from '../config/queue.config.js';
 
 /**
@@ -17,7 +20,10 @@ class QueueManager {
             email: emailQueue,
             aiWebhook: aiWebhookQueue,
             analytics: analyticsQueue,
-            auctionExpiration: auctionExpirationQueue
+            auctionExpiration: auctionExpirationQueue,
+            paymentDeadline: paymentDeadlineQueue,
+            auctionReminder: auctionReminderQueue,
+            auctionStart: auctionStartQueue
         };
         
         this.setupGlobalErrorHandlers();
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { redisClient } from '../config/redis.config.js';
+import logger from '../config/logger.js';
+
+/**
+ * Redis Lock Utility
+ * Short-lived mutual exclusion across API instances (SET NX PX + token-checked release)
+ */
+
+// Only delete the key if it still holds our token, so an expired lock
+// re-acquired by someone else is never released by us
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+else
+    return 0
+end
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Acquire a lock, retrying until it is free or retries run out
+ * @param {string} key - Lock key
+ * @param {Object} options - ttl (ms), retries, retryDelay (ms)
+ * @returns {Promise<string|null>} - Lock token, or null if not acquired
+ */
+export async function acquireLock(key, options = {}) {
+    const { ttl = 10000, retries = 100, retryDelay = 50 } = options;
+    const token = crypto.randomBytes(16).toString('hex');
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        const result = await redisClient.set(key, token, 'PX', ttl, 'NX');
+        if (result === 'OK') {
+            return token;
+        }
+        await sleep(retryDelay);
+    }
+
+    logger.warn(`Could not acquire lock ${key} after ${retries} retries`);
+    return null;
+}
+
+/**
+ * Release a lock previously acquired with acquireLock
+ * @param {string} key - Lock key
+ * @param {string} token - Lock token
+ * @returns {Promise<boolean>} - True if the lock was released
+ */
+export async function releaseLock(key, token) {
+    try {
+        const released = await redisClient.eval(RELEASE_SCRIPT, 1, key, token);
+        if (!released) {
+            logger.warn(`Lock ${key} expired before it was released`);
+        }
+        return released === 1;
+    } catch (error) {
+        logger.error(`Error releasing lock ${key}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Run a function while holding a lock
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - Lock options (see acquireLock)
+ * @returns {Promise<any>} - Result of fn
+ * @throws {Error} LOCK_NOT_ACQUIRED if the lock stays busy
+ */
+export async function withLock(key, fn, options = {}) {
+    const token = await acquireLock(key, options);
+    if (!token) {
+        throw new Error('LOCK_NOT_ACQUIRED');
+    }
+
+    try {
+        return await fn();
+    } finally {
+        await releaseLock(key, token);
+    }
+}
+
+export default {
+    acquireLock,
+    releaseLock,
+    withLock
+};
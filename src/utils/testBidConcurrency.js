@@ -0,0 +1,170 @@
+/**
+ * Concurrency harness for bid placement
+ * Fires simultaneous bids at one auction and checks that exactly one wins each race
+ * and that the auction never ends up with more than one active bid. Every loser must be
+ * rejected with BID_AMOUNT_TOO_LOW against a price that beat it - never AUCTION_BUSY,
+ * however long it waited for the auction's bid lock.
+ * Requires MongoDB and Redis (same .env as the server); creates and removes its own data.
+ * Run with: node src/utils/testBidConcurrency.js [bidders]
+ */
+import { configDotenv } from 'dotenv';
+import logger from '../config/logger.js';
+import { connectToDatabase } from '../config/db.config.js';
+import { connectToRedis } from '../config/redis.config.js';
+import User from '../models/user.model.js';
+import Auction from '../models/auction.model.js';
+import Bid from '../models/bid.model.js';
+import Notification from '../models/notification.model.js';
+import bidService from '../services/bid.service.js';
+
+configDotenv();
+
+const BIDDER_COUNT = parseInt(process.argv[2]) || 10;
+const STARTING_PRICE = 100;
+
+const failures = [];
+
+const check = (condition, message) => {
+    if (condition) {
+        logger.info(`✓ ${message}`);
+    } else {
+        logger.error(`✗ ${message}`);
+        failures.push(message);
+    }
+};
+
+const createFixtures = async (runId) => {
+    const seller = await User.create({
+        email: `concurrency-seller-${runId}@example.test`,
+        password: `Seller-${runId}-pass1`,
+        role: 'seller',
+        notificationPreferences: { email: false }
+    });
+
+    const bidders = await Promise.all(
+        Array.from({ length: BIDDER_COUNT }, (_, i) => User.create({
+            email: `concurrency-bidder-${i}-${runId}@example.test`,
+            password: `Bidder-${runId}-pass1`,
+            role: 'buyer',
+            notificationPreferences: { email: false }
+        }))
+    );
+
+    const now = Date.now();
+    const auction = await Auction.create({
+        seller: seller._id,
+        title: `Concurrency harness ${runId}`,
+        description: 'Temporary auction created by the bid concurrency harness',
+        category: 'test',
+        pricing: {
+            startingPrice: STARTING_PRICE,
+            currentPrice: STARTING_PRICE
+        },
+        timing: {
+            startTime: new Date(now - 60 * 1000),
+            endTime: new Date(now + 60 * 60 * 1000),
+            duration: 1
+        },
+        status: 'active'
+    });
+
+    return { seller, bidders, auction };
+};
+
+const cleanup = async ({ seller, bidders, auction }) => {
+    const userIds = [seller._id, ...bidders.map(b => b._id)];
+    await Promise.all([
+        Bid.deleteMany({ auction: auction._id }),
+        Notification.deleteMany({ user: { $in: userIds } }),
+        Auction.deleteOne({ _id: auction._id }),
+        User.deleteMany({ _id: { $in: userIds } })
+    ]);
+};
+
+const race = (auction, bidders, amountFor) => Promise.allSettled(
+    bidders.map((bidder, i) => bidService.placeBid(
+        { auctionId: auction._id.toString(), amount: amountFor(i) },
+        bidder._id.toString(),
+        { ipAddress: '127.0.0.1', userAgent: 'bid-concurrency-harness' }
+    ))
+);
+
+// A loser must have been beaten: rejected as too low, below the next minimum it was quoted
+const checkLosers = (results, amountFor) => {
+    const rejected = results
+        .map((result, i) => ({ result, amount: amountFor(i) }))
+        .filter(({ result }) => result.status === 'rejected');
+    const codes = [...new Set(rejected.map(({ result }) => result.reason.message))];
+
+    check(rejected.every(({ result }) => result.reason.message === 'BID_AMOUNT_TOO_LOW'),
+        `every loser gets BID_AMOUNT_TOO_LOW (${codes.join(', ') || 'no losers'})`);
+    check(rejected.every(({ result, amount }) => result.reason.nextMinimumBid > amount),
+        'every loser is quoted a next minimum bid above its amount');
+};
+
+const checkAuctionInvariants = async (auction, expectedPrice) => {
+    const [stored, activeBids, totalBids] = await Promise.all([
+        Auction.findById(auction._id).lean(),
+        Bid.find({ auction: auction._id, status: 'active' }).lean(),
+        Bid.countDocuments({ auction: auction._id })
+    ]);
+
+    check(activeBids.length === 1, `exactly one active bid (found ${activeBids.length})`);
+    check(stored.pricing.currentPrice === expectedPrice,
+        `current price is ${expectedPrice} (found ${stored.pricing.currentPrice})`);
+    check(activeBids[0] && stored.bidding.highestBid?.toString() === activeBids[0]._id.toString(),
+        'auction highestBid points at the active bid');
+    check(stored.bidding.totalBids === totalBids,
+        `bid counter matches stored bids (${stored.bidding.totalBids} vs ${totalBids})`);
+};
+
+const testBidConcurrency = async () => {
+    const runId = Date.now().toString(36);
+    let fixtures = null;
+
+    try {
+        await connectToDatabase();
+        await connectToRedis();
+
+        fixtures = await createFixtures(runId);
+        const { bidders, auction } = fixtures;
+
+        // Round 1: everyone bids the same amount at once - only one may win
+        logger.info(`Round 1: ${BIDDER_COUNT} simultaneous bids of the same amount`);
+        const sameAmount = STARTING_PRICE + 10;
+        const round1 = await race(auction, bidders, () => sameAmount);
+        const round1Accepted = round1.filter(r => r.status === 'fulfilled');
+
+        check(round1Accepted.length === 1, `one bid accepted (accepted ${round1Accepted.length})`);
+        checkLosers(round1, () => sameAmount);
+        await checkAuctionInvariants(auction, sameAmount);
+
+        // Round 2: distinct amounts fired in shuffled order - the price must end at the highest
+        logger.info(`Round 2: ${BIDDER_COUNT} simultaneous bids of distinct amounts`);
+        const amounts = bidders
+            .map((_, i) => sameAmount + (i + 1) * 5)
+            .sort(() => Math.random() - 0.5);
+        const round2 = await race(auction, bidders, (i) => amounts[i]);
+        const round2Accepted = round2.filter(r => r.status === 'fulfilled');
+
+        check(round2Accepted.length >= 1, `at least one bid accepted (accepted ${round2Accepted.length})`);
+        checkLosers(round2, (i) => amounts[i]);
+        await checkAuctionInvariants(auction, Math.max(...amounts));
+
+        if (failures.length > 0) {
+            logger.error(`Bid concurrency harness failed: ${failures.length} check(s) failed`);
+        } else {
+            logger.info('Bid concurrency harness passed');
+        }
+    } catch (error) {
+        logger.error('Bid concurrency harness errored:', error);
+        failures.push(error.message);
+    } finally {
+        if (fixtures) {
+            await cleanup(fixtures).catch(error => logger.error('Harness cleanup failed:', error.message));
+        }
+        process.exit(failures.length > 0 ? 1 : 0);
+    }
+};
+
+testBidConcurrency();
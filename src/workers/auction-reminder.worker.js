@@ -0,0 +1,38 @@
+import { auctionReminderQueue } from '../config/queue.config.js';
+import logger from '../config/logger.js';
+
+/**
+ * Auction Reminder Queue Processor
+ * Reminds bidders and watchers at each checkpoint before an auction ends
+ */
+
+// Process ending-soon alert jobs
+auctionReminderQueue.process('ending-soon', async (job) => {
+    logger.info(`Processing auction ending-soon job ${job.id}`);
+
+    try {
+        const { auctionId, endTime, checkpoint } = job.data;
+
+        // Import dynamically to avoid circular dependencies
+        const { default: auctionService } = await import('../services/auction.service.js');
+
+        await auctionService.alertEndingSoon(auctionId, endTime, checkpoint ?? null);
+        logger.info(`Auction ending-soon job ${job.id} completed successfully`);
+    } catch (error) {
+        logger.error(`Auction ending-soon job ${job.id} failed:`, error.message);
+        throw error; // Will trigger retry based on queue configuration
+    }
+});
+
+// Queue event listeners
+auctionReminderQueue.on('failed', (job, err) => {
+    logger.error(`Auction reminder job ${job.id} failed after all retries:`, err.message);
+});
+
+auctionReminderQueue.on('error', (error) => {
+    logger.error('Auction reminder queue error:', error);
+});
+
+logger.info('Auction reminder worker initialized and listening for jobs');
+
+export default auctionReminderQueue;
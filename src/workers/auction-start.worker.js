@@ -0,0 +1,56 @@
+import { auctionStartQueue } from '../config/queue.config.js';
+import logger from '../config/logger.js';
+
+/**
+ * Auction Start Queue Processor
+ * Announces scheduled auctions and moves them from draft to active on time
+ */
+
+// Process starting-soon announcements
+auctionStartQueue.process('starting-soon', async (job) => {
+    logger.info(`Processing auction starting-soon job ${job.id}`);
+
+    try {
+        const { auctionId } = job.data;
+
+        // Import dynamically to avoid circular dependencies
+        const { default: auctionService } = await import('../services/auction.service.js');
+
+        await auctionService.announceStartingSoon(auctionId);
+        logger.info(`Auction starting-soon job ${job.id} completed successfully`);
+    } catch (error) {
+        logger.error(`Auction starting-soon job ${job.id} failed:`, error.message);
+        throw error; // Will trigger retry based on queue configuration
+    }
+});
+
+// Process scheduled auction starts
+auctionStartQueue.process('start-auction', async (job) => {
+    logger.info(`Processing auction start job ${job.id}`);
+
+    try {
+        const { auctionId } = job.data;
+
+        // Import dynamically to avoid circular dependencies
+        const { default: auctionService } = await import('../services/auction.service.js');
+
+        await auctionService.startScheduledAuction(auctionId);
+        logger.info(`Auction start job ${job.id} completed successfully`);
+    } catch (error) {
+        logger.error(`Auction start job ${job.id} failed:`, error.message);
+        throw error; // Will trigger retry based on queue configuration
+    }
+});
+
+// Queue event listeners
+auctionStartQueue.on('failed', (job, err) => {
+    logger.error(`Auction start job ${job.id} failed after all retries:`, err.message);
+});
+
+auctionStartQueue.on('error', (error) => {
+    logger.error('Auction start queue error:', error);
+});
+
+logger.info('Auction start worker initialized and listening for jobs');
+
+export default auctionStartQueue;
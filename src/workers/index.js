@@ -10,13 +10,19 @@ import emailWorker from './email.worker.js';
 import aiWebhookWorker from './ai-webhook.worker.js';
 import analyticsWorker from './analytics.worker.js';
 import auctionExpirationWorker from './auction-expiration.worker.js';
+import paymentDeadlineWorker from './payment-deadline.worker.js';
+import auctionReminderWorker from './auction-reminder.worker.js';
+import auctionStartWorker from './auction-start.worker.js';
 
 // Export all workers for external access
 export {
     emailWorker,
     aiWebhookWorker,
     analyticsWorker,
-    auctionExpirationWorker
+    auctionExpirationWorker,
+    paymentDeadlineWorker,
+    auctionReminderWorker,
+    auctionStartWorker
 };
 
 /**
@@ -35,7 +41,10 @@ export const initializeWorkers = () => {
         emailWorker,
         aiWebhookWorker,
         analyticsWorker,
-        auctionExpirationWorker
+        auctionExpirationWorker,
+        paymentDeadlineWorker,
+        auctionReminderWorker,
+        auctionStartWorker
     };
 };
 
@@ -51,7 +60,10 @@ export const shutdownWorkers = async () => {
             emailWorker.close(),
             aiWebhookWorker.close(),
             analyticsWorker.close(),
-            auctionExpirationWorker.close()
+            auctionExpirationWorker.close(),
+            paymentDeadlineWorker.close(),
+            auctionReminderWorker.close(),
+            auctionStartWorker.close()
         ]);
         
         logger.info('All background workers shut down successfully');
@@ -71,12 +83,18 @@ export const getWorkerHealth = async () => {
             emailJobCounts,
             aiWebhookJobCounts,
             analyticsJobCounts,
-            auctionExpirationJobCounts
+            auctionExpirationJobCounts,
+            paymentDeadlineJobCounts,
+            auctionReminderJobCounts,
+            auctionStartJobCounts
         ] = await Promise.all([
             emailWorker.getJobCounts(),
             aiWebhookWorker.getJobCounts(),
             analyticsWorker.getJobCounts(),
-            auctionExpirationWorker.getJobCounts()
+            auctionExpirationWorker.getJobCounts(),
+            paymentDeadlineWorker.getJobCounts(),
+            auctionReminderWorker.getJobCounts(),
+            auctionStartWorker.getJobCounts()
         ]);
         
         return {
@@ -95,6 +113,18 @@ export const getWorkerHealth = async () => {
             auctionExpiration: {
                 ...auctionExpirationJobCounts,
                 isPaused: await auctionExpirationWorker.isPaused()
+            },
+            paymentDeadline: {
+                ...paymentDeadlineJobCounts,
+                isPaused: await paymentDeadlineWorker.isPaused()
+            },
+            auctionReminder: {
+                ...auctionReminderJobCounts,
+                isPaused: await auctionReminderWorker.isPaused()
+            },
+            auctionStart: {
+                ...auctionStartJobCounts,
+                isPaused: await auctionStartWorker.isPaused()
             }
         };
     } catch (error) {
@@ -115,7 +145,10 @@ export const pauseAllWorkers = async () => {
             emailWorker.pause(),
             aiWebhookWorker.pause(),
             analyticsWorker.pause(),
-            auctionExpirationWorker.pause()
+            auctionExpirationWorker.pause(),
+            paymentDeadlineWorker.pause(),
+            auctionReminderWorker.pause(),
+            auctionStartWorker.pause()
         ]);
         
         logger.info('All workers paused');
@@ -136,7 +169,10 @@ export const resumeAllWorkers = async () => {
             emailWorker.resume(),
             aiWebhookWorker.resume(),
             analyticsWorker.resume(),
-            auctionExpirationWorker.resume()
+            auctionExpirationWorker.resume(),
+            paymentDeadlineWorker.resume(),
+            auctionReminderWorker.resume(),
+            auctionStartWorker.resume()
         ]);
         
         logger.info('All workers resumed');
@@ -158,7 +194,10 @@ export const cleanCompletedJobs = async (grace = 3600000) => {
             emailWorker.clean(grace, 'completed'),
             aiWebhookWorker.clean(grace, 'completed'),
             analyticsWorker.clean(grace, 'completed'),
-            auctionExpirationWorker.clean(grace, 'completed')
+            auctionExpirationWorker.clean(grace, 'completed'),
+            paymentDeadlineWorker.clean(grace, 'completed'),
+            auctionReminderWorker.clean(grace, 'completed'),
+            auctionStartWorker.clean(grace, 'completed')
         ]);
         
         const totalCleaned = results.reduce((sum, jobs) => sum + jobs.length, 0);
@@ -183,7 +222,10 @@ export const cleanFailedJobs = async (grace = 86400000) => {
             emailWorker.clean(grace, 'failed'),
             aiWebhookWorker.clean(grace, 'failed'),
             analyticsWorker.clean(grace, 'failed'),
-            auctionExpirationWorker.clean(grace, 'failed')
+            auctionExpirationWorker.clean(grace, 'failed'),
+            paymentDeadlineWorker.clean(grace, 'failed'),
+            auctionReminderWorker.clean(grace, 'failed'),
+            auctionStartWorker.clean(grace, 'failed')
         ]);
         
         const totalCleaned = results.reduce((sum, jobs) => sum + jobs.length, 0);
@@ -0,0 +1,44 @@
+import { paymentDeadlineQueue } from '../config/queue.config.js';
+import logger from '../config/logger.js';
+
+/**
+ * Payment Deadline Queue Processor
+ * Handles winners who did not pay for an auction in time
+ */
+
+// Process payment deadline jobs
+paymentDeadlineQueue.process('payment-deadline', async (job) => {
+    logger.info(`Processing payment deadline job ${job.id}`);
+
+    try {
+        const { auctionId, buyerId } = job.data;
+
+        // Import dynamically to avoid circular dependencies
+        const { default: secondChanceService } = await import('../services/second-chance.service.js');
+
+        const result = await secondChanceService.handlePaymentDeadline(auctionId, buyerId);
+        logger.info(`Payment deadline job ${job.id} completed successfully`);
+
+        return result;
+    } catch (error) {
+        logger.error(`Payment deadline job ${job.id} failed:`, error.message);
+        throw error; // Will trigger retry based on queue configuration
+    }
+});
+
+// Queue event listeners
+paymentDeadlineQueue.on('completed', (job) => {
+    logger.info(`Payment deadline job ${job.id} completed`);
+});
+
+paymentDeadlineQueue.on('failed', (job, err) => {
+    logger.error(`Payment deadline job ${job.id} failed after all retries:`, err.message);
+});
+
+paymentDeadlineQueue.on('error', (error) => {
+    logger.error('Payment deadline queue error:', error);
+});
+
+logger.info('Payment deadline worker initialized and listening for jobs');
+
+export default paymentDeadlineQueue;